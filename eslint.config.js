@@ -21,6 +21,7 @@ export default [
         clearTimeout: "readonly",
         setInterval: "readonly",
         clearInterval: "readonly",
+        AbortController: "readonly",
       },
     },
     rules: {
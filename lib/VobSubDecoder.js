@@ -1,21 +1,47 @@
 import fs from "node:fs/promises";
 import path from "node:path";
-import { spawnPromise } from "./utils.js";
-import MacOCR from "@cherrystudio/mac-system-ocr";
-import ffmpegStatic from "ffmpeg-static";
-import { promisify } from "node:util";
-import { execFile } from "node:child_process";
+import { createOcrEngine, OcrCache } from "./ocr/index.js";
+import { createSubtitleWriter, formatFromPath } from "./writers/index.js";
+import { createCleanupProfile } from "./cleanup/index.js";
+import { wrapText } from "./readability.js";
+import {
+  InputError,
+  ParseError,
+  OcrError,
+  NoSubtitlesError,
+} from "./errors.js";
+import {
+  parseIdx,
+  readSpu,
+  containerFromPath,
+  readContainer,
+  parseSpuControl,
+  getSpuBounds,
+  renderSpuBitmap,
+  encodePng,
+  detectSpuStyle,
+  resolvePreprocessSteps,
+  preprocessImage,
+  getSpuLines,
+  cropRows,
+} from "./vobsub/index.js";
 
-const execFileAsync = promisify(execFile);
+/**
+ * Display duration in milliseconds used for subtitles whose SPU has no
+ * stop display command
+ * @type {number}
+ */
+const DEFAULT_DURATION = 3000;
 
 /**
  * VobSubDecoder - A class for processing VobSub (IDX/SUB) subtitle files
  *
  * This class handles the complete workflow of extracting text from VobSub subtitle files:
- * 1. Parse IDX files for timing and metadata information
- * 2. Use FFmpeg to extract subtitle frames as PNG images
+ * 1. Parse IDX and SUB files, or the VobSub streams of an MKV or VOB file,
+ *    for timing and metadata information
+ * 2. Decode the subtitle bitmaps into cropped PNG images
  * 3. Apply OCR (Optical Character Recognition) to convert images to text
- * 4. Generate properly formatted SRT subtitle files
+ * 4. Generate properly formatted SRT, WebVTT, ASS or JSON subtitle files
  *
  * @class VobSubDecoder
  */
@@ -26,13 +52,43 @@ class VobSubDecoder {
    * @constructor
    * @param {Object} options - Options for the VobSubDecoder
    * @param {boolean} [options.verbose=false] - Whether to enable verbose logging
-   * @param {string} options.idxFile - Path to the IDX file
-   * @param {string} options.subFile - Path to the SUB file
+   * @param {string} [options.idxFile] - Path to the IDX file
+   * @param {string} [options.subFile] - Path to the SUB file
+   * @param {string} [options.inputFile] - Path to an MKV or VOB file to read
+   *   the VobSub streams from, instead of the IDX and SUB files
+   * @param {string|OcrEngine} [options.ocrEngine] - OCR engine name ("mac" or
+   *   "tesseract") or an OcrEngine instance, defaults to "mac" on macOS and
+   *   "tesseract" elsewhere
+   * @param {number|string} [options.track] - Subtitle track to convert, by
+   *   IDX index or language code, defaults to the IDX `langidx` track
+   * @param {boolean} [options.forcedOnly] - Only keep subtitles flagged as
+   *   forced, defaults to the IDX `forced subs:` setting
+   * @param {string|CleanupProfile} [options.cleanup="auto"] - OCR text
+   *   cleanup profile name, "auto" to pick it from the track language, or a
+   *   CleanupProfile instance
+   * @param {CorrectionRules} [options.corrections] - User supplied rules
+   *   applied to the cleaned text, see `loadCorrectionRules`
+   * @param {SpellFixer} [options.spellFixer] - Dictionary used to fix
+   *   misread glyphs in words, after the correction rules
+   * @param {boolean} [options.detectStyles=true] - Detect italics and text
+   *   colors from the subtitle bitmaps
+   * @param {number} [options.maxLineLength] - Wrap lines longer than this
+   * @param {number} [options.maxLines] - Wrap text with more lines than this
+   * @param {OcrCache} [options.ocrCache] - Cache of OCR results, reused
+   *   for bitmaps recognized before
+   * @param {string|string[]} [options.preprocess] - Image preprocessing
+   *   before OCR: a preset ("none", "basic", "standard" or "strong") or a
+   *   list of steps, see `preprocessImage`; defaults to the preset of the
+   *   OCR engine, "basic" for Tesseract and "none" for Mac System OCR
+   * @param {boolean} [options.debugImages=false] - Save the image of every
+   *   preprocessing step next to the frames
+   * @param {boolean} [options.segmentLines=true] - Split subtitles into
+   *   lines of text and recognize each line on its own
    */
   constructor(options = {}) {
     /**
-     * @type {Object} Metadata from the IDX file including video dimensions
-     * @private
+     * @type {Object} Metadata from the IDX file: video dimensions, origin,
+     *   palette, language index and the subtitle tracks
      */
     this.metadata = {};
     /**
@@ -50,66 +106,333 @@ class VobSubDecoder {
      * @private
      */
     this.subFile = options.subFile;
+    /**
+     * @type {string|null} Path to the MKV or VOB file
+     * @private
+     */
+    this.inputFile = options.inputFile ?? null;
+    /**
+     * @type {OcrEngine} Engine used to recognize text in subtitle frames
+     * @private
+     */
+    this.ocrEngine = createOcrEngine(options.ocrEngine, {
+      verbose: this.verbose,
+    });
+    /**
+     * @type {number|string|null} Requested subtitle track, index or language
+     * @private
+     */
+    this.track = options.track ?? null;
+    /**
+     * @type {boolean|null} Whether to only keep forced subtitles, null to
+     *   follow the IDX `forced subs:` setting
+     * @private
+     */
+    this.forcedOnly = options.forcedOnly ?? null;
+    /**
+     * @type {string|CleanupProfile} OCR text cleanup profile
+     * @private
+     */
+    this.cleanup = options.cleanup ?? "auto";
+    // Fail early on an unknown profile name
+    createCleanupProfile(this.cleanup);
+    /**
+     * @type {CorrectionRules|null} User supplied correction rules
+     * @private
+     */
+    this.corrections = options.corrections ?? null;
+    /**
+     * @type {SpellFixer|null} Dictionary used to fix misread glyphs, can be
+     *   changed between tracks
+     */
+    this.spellFixer = options.spellFixer ?? null;
+    /**
+     * @type {boolean} Whether to detect italics and text colors
+     * @private
+     */
+    this.detectStyles = options.detectStyles ?? true;
+    /**
+     * @type {number} Maximum characters per line, Infinity not to wrap
+     * @private
+     */
+    this.maxLineLength = options.maxLineLength ?? Infinity;
+    /**
+     * @type {number} Maximum number of lines, Infinity not to wrap
+     * @private
+     */
+    this.maxLines = options.maxLines ?? Infinity;
+    /**
+     * @type {OcrCache|null} Cache of OCR results
+     * @private
+     */
+    this.ocrCache = options.ocrCache ?? null;
+    /**
+     * @type {string[]} Image preprocessing steps applied before OCR
+     * @private
+     */
+    this.preprocess = resolvePreprocessSteps(
+      options.preprocess ?? this.ocrEngine.preprocess,
+    );
+    /**
+     * @type {boolean} Whether to save the image of every preprocessing step
+     * @private
+     */
+    this.debugImages = options.debugImages ?? false;
+    /**
+     * @type {boolean} Whether to recognize each line of text on its own
+     * @private
+     */
+    this.segmentLines = options.segmentLines ?? true;
     /**
      * @type {Array} Timeline of subtitle entries
      * @private
      */
     this.timeline = [];
+    /**
+     * @type {Array<{data: Buffer, controls: Object}>} SPU packet of each
+     *   timeline entry, in timeline order
+     * @private
+     */
+    this.packets = [];
+    /**
+     * @type {Array} Timeline entries of the last `processFrames` call that
+     *   have no recognized text, with the `reason`: "empty" without a
+     *   visible bitmap, "no-text" when OCR found nothing
+     */
+    this.unrecognized = [];
   }
 
   /**
    * Parse the IDX file to extract metadata and timing information
    *
    * This method reads and parses a VobSub IDX file to extract:
-   * - Video dimensions (width x height)
+   * - Video dimensions (width x height) and origin
    * - Color palette information
-   * - Language settings
+   * - Language settings and subtitle tracks
    * - Subtitle timing entries with timestamps and file positions
    *
+   * The timeline is then built from the SPU packets of the SUB file. With
+   * an `inputFile`, the same information is read from its VobSub streams,
+   * see `readMkv` and `readVob`.
+   *
+   * @param {Object} [options] - Parse options
+   * @param {AbortSignal} [options.signal] - Signal to abort parsing
    * @returns {Promise<VobSubDecoder>} Returns this instance for method chaining
-   * @throws {Error} If the IDX file cannot be read or parsed
+   * @throws {InputError} If the IDX or input file cannot be read
+   * @throws {ParseError} If the IDX, SUB or input file cannot be parsed
+   * @throws {NoSubtitlesError} If the input file has no VobSub streams
+   */
+  async parse({ signal } = {}) {
+    if (this.inputFile) {
+      this.metadata = await this.readInputFile({ signal });
+    } else {
+      this.metadata = await this.readIdxFile({ signal });
+    }
+    if (this.verbose) {
+      const { width, height, palette, tracks } = this.metadata;
+      console.log(`Video size: ${width}x${height}`);
+      console.log(`Palette: ${palette.length} colors`);
+      if (this.metadata.forcedSubs) console.log("Forced subs: ON");
+      console.log(
+        `Language: ${tracks.map((track) => track.language).join(", ")}`,
+      );
+    }
+    this.timeline = await this.parseTimeline({ signal });
+    if (this.verbose)
+      console.log(`Parsed ${this.timeline.length} subtitle entries`);
+    return this;
+  }
+
+  /**
+   * Read and parse the IDX file
+   *
+   * @private
+   * @param {Object} [options] - Options
+   * @param {AbortSignal} [options.signal] - Signal to abort reading
+   * @returns {Promise<Object>} Metadata, see `parseIdx`
+   * @throws {InputError} If the IDX file cannot be read
+   * @throws {ParseError} If the IDX file cannot be parsed
    */
-  async parse() {
+  async readIdxFile({ signal } = {}) {
     if (this.verbose) console.log("Reading IDX file...");
-    const content = await fs.readFile(this.idxFile, "utf-8");
-    const match = content.match(/size:\s*(\d+)x(\d+)/);
-    if (match) {
-      Object.assign(this.metadata, {
-        width: parseInt(match[1]),
-        height: parseInt(match[2]),
+    let content;
+    try {
+      content = await fs.readFile(this.idxFile, { encoding: "utf-8", signal });
+    } catch (error) {
+      if (signal?.aborted) throw signal.reason;
+      throw new InputError(`Cannot access IDX file: ${error.message}`, {
+        cause: error,
+      });
+    }
+    try {
+      return parseIdx(content);
+    } catch (error) {
+      throw new ParseError(`Invalid IDX file: ${error.message}`, {
+        cause: error,
       });
-      if (this.verbose) console.log(`Video size: ${match[1]}x${match[2]}`);
     }
-    this.timeline = await this.parseTimeline();
-    return this;
   }
 
   /**
-   * Format timestamp for SRT format (HH:MM:SS,mmm)
+   * Read the VobSub streams of the MKV or VOB input file
    *
-   * Convert milliseconds to the standard SRT timestamp format with comma
-   * separator for milliseconds (as required by SRT specification).
+   * @private
+   * @param {Object} [options] - Options
+   * @param {AbortSignal} [options.signal] - Signal to abort reading
+   * @returns {Promise<Object>} Metadata, see `readContainer`
+   * @throws {InputError} If the file type is unknown or it can't be read
+   * @throws {ParseError} If the file cannot be parsed
+   * @throws {NoSubtitlesError} If the file has no VobSub streams
+   */
+  async readInputFile({ signal } = {}) {
+    const container = containerFromPath(this.inputFile);
+    if (!container) {
+      throw new InputError(
+        `Unsupported input file: ${this.inputFile}, expected an MKV or VOB file`,
+      );
+    }
+    const kind = container.toUpperCase();
+    if (this.verbose) console.log(`Reading ${kind} file...`);
+    let metadata;
+    try {
+      metadata = await readContainer(this.inputFile, { signal });
+    } catch (error) {
+      if (signal?.aborted) throw signal.reason;
+      // File system errors come from a system call, format errors don't
+      if (error.syscall) {
+        throw new InputError(`Cannot access ${kind} file: ${error.message}`, {
+          cause: error,
+        });
+      }
+      throw new ParseError(`Invalid ${kind} file: ${error.message}`, {
+        cause: error,
+      });
+    }
+    if (metadata.tracks.length === 0) {
+      throw new NoSubtitlesError(
+        `No VobSub streams found in ${this.inputFile}`,
+      );
+    }
+    if (container === "vob" && !metadata.ifoFile) {
+      console.warn(
+        "Warning: no IFO file found next to the VOB file, subtitles are drawn with a gray palette",
+      );
+    }
+    return metadata;
+  }
+
+  /**
+   * List the subtitle tracks of the IDX file, or the VobSub streams of the
+   * input file
+   *
+   * @returns {Array<{index: number, language: string, count: number, name?: string}>}
+   *   The tracks with their `id:` language code, index, number of subtitles
+   *   and, for MKV tracks that have one, their name
+   */
+  get tracks() {
+    return (this.metadata.tracks ?? []).map(
+      ({ index, language, entries, name }) => ({
+        index,
+        language,
+        count: entries.length,
+        ...(name && { name }),
+      }),
+    );
+  }
+
+  /**
+   * The IDX track currently selected for conversion
+   *
+   * @returns {Object|undefined} The selected track, undefined before `parse()`
+   * @throws {Error} If the requested track doesn't exist
+   */
+  get currentTrack() {
+    return this.findTrack(this.track);
+  }
+
+  /**
+   * OCR engine reading the language of the track selected for conversion
    *
    * @private
-   * @param {number} ms - Time in milliseconds
-   * @returns {string} Formatted timestamp string "HH:MM:SS,mmm"
+   * @returns {OcrEngine} The engine, see `OcrEngine#forLanguage`
    */
-  formatSrtTimestamp(ms) {
-    const hours = Math.floor(ms / 3600000);
-    const minutes = Math.floor((ms % 3600000) / 60000);
-    const seconds = Math.floor((ms % 60000) / 1000);
-    const milliseconds = ms % 1000;
+  get trackOcrEngine() {
+    return this.ocrEngine.forLanguage(this.currentTrack?.language ?? "");
+  }
+
+  /**
+   * Metadata of the track currently selected for conversion
+   *
+   * MKV tracks each carry their own IDX header, whose palette, frame size
+   * and other settings replace the ones of the file.
+   *
+   * @returns {Object} The metadata, with the settings of the selected track
+   */
+  get trackMetadata() {
+    return { ...this.metadata, ...this.currentTrack?.settings };
+  }
+
+  /**
+   * Find an IDX track by index or language code
+   *
+   * @private
+   * @param {number|string|null} track - Track index or language code, null
+   *   for the IDX `langidx` track
+   * @returns {Object|undefined} The track, undefined if the IDX has no tracks
+   * @throws {InputError} If the requested track doesn't exist
+   */
+  findTrack(track) {
+    const { tracks = [], langidx = 0 } = this.metadata;
+    if (tracks.length === 0) return undefined;
+    if (track === null) {
+      return tracks.find((t) => t.index === langidx) ?? tracks[0];
+    }
+    const found = /^\d+$/.test(String(track))
+      ? tracks.find((t) => t.index === Number(track))
+      : tracks.find(
+          (t) => t.language.toLowerCase() === String(track).toLowerCase(),
+        );
+    if (!found) {
+      throw new InputError(
+        `Subtitle track '${track}' not found, available tracks: ${this.tracks
+          .map(({ index, language }) => `${index} (${language})`)
+          .join(", ")}`,
+      );
+    }
+    return found;
+  }
 
-    return `${hours.toString().padStart(2, "0")}:${minutes.toString().padStart(2, "0")}:${seconds.toString().padStart(2, "0")},${milliseconds.toString().padStart(3, "0")}`;
+  /**
+   * Select another subtitle track and rebuild the timeline for it
+   *
+   * @param {number|string} track - Track index or language code
+   * @param {Object} [options] - Parse options
+   * @param {AbortSignal} [options.signal] - Signal to abort parsing
+   * @returns {Promise<VobSubDecoder>} Returns this instance for method chaining
+   * @throws {InputError} If the track doesn't exist
+   * @throws {ParseError} If the track can't be parsed
+   */
+  async selectTrack(track, { signal } = {}) {
+    this.findTrack(track);
+    this.track = track;
+    this.timeline = await this.parseTimeline({ signal });
+    if (this.verbose) {
+      const { index, language } = this.currentTrack;
+      console.log(
+        `Selected track ${index} (${language}): ${this.timeline.length} subtitle entries`,
+      );
+    }
+    return this;
   }
 
   /**
    * Clean up common OCR mistakes and filter problematic characters
    *
-   * This method applies various text cleaning operations to improve OCR accuracy:
-   * - Replace common misidentified characters (/, \, | → I)
-   * - Convert special characters to their ASCII equivalents
-   * - Remove unwanted characters while preserving punctuation
+   * The cleanup profile is picked from the `cleanup` option, or from the
+   * language of the current track with "auto":
+   * - Replace common misidentified characters (| → I)
+   * - Apply language specific fixes, e.g. l/I confusion in English
+   * - Remove unwanted characters, keeping letters of any script
    * - Normalize whitespace
    *
    * @private
@@ -117,340 +440,538 @@ class VobSubDecoder {
    * @returns {string} Cleaned and normalized text
    */
   cleanOcrText(text) {
-    if (!text) return text;
-
-    // Character replacements for common OCR mistakes
-    const replacements = {
-      "/": "I",
-      "\\": "I",
-      "|": "I",
-      "~": "-",
-      "°": "o",
-      "¢": "c",
-      "£": "E",
-      "¥": "Y",
-      "§": "S",
-      "©": "O",
-      "®": "R",
-      "±": "+",
-      "²": "2",
-      "³": "3",
-      "¹": "1",
-      "¼": "1/4",
-      "½": "1/2",
-      "¾": "3/4",
-      À: "A",
-      Á: "A",
-      Â: "A",
-      Ã: "A",
-      Ä: "A",
-      Å: "A",
-      È: "E",
-      É: "E",
-      Ê: "E",
-      Ë: "E",
-      Ì: "I",
-      Í: "I",
-      Î: "I",
-      Ï: "I",
-      Ò: "O",
-      Ó: "O",
-      Ô: "O",
-      Õ: "O",
-      Ö: "O",
-      Ù: "U",
-      Ú: "U",
-      Û: "U",
-      Ü: "U",
-    };
-
-    let cleanedText = text;
-
-    // Apply character replacements
-    for (const [bad, good] of Object.entries(replacements)) {
-      // Escape special regex characters
-      const escapedBad = bad.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
-      cleanedText = cleanedText.replace(new RegExp(escapedBad, "g"), good);
-    }
+    return createCleanupProfile(
+      this.cleanup,
+      this.currentTrack?.language,
+    ).clean(text);
+  }
 
-    // Remove or replace other problematic characters
-    cleanedText = cleanedText
-      .replace(/[^\w\s.,!?;:()\-"']/g, "") // Keep only basic characters
-      .replace(/\s+/g, " ") // Collapse multiple spaces
-      .trim();
+  /**
+   * Apply the user supplied correction rules to cleaned OCR text
+   *
+   * With verbose logging, each change is logged with the rules that made it.
+   *
+   * @private
+   * @param {string} text - Cleaned OCR text
+   * @param {number} index - Index of the entry, for logging
+   * @returns {string} Corrected text
+   */
+  correctText(text, index) {
+    if (!this.corrections || !text) return text;
+    const { text: corrected, changes } = this.corrections.apply(
+      text,
+      this.currentTrack?.language,
+    );
+    if (this.verbose && changes.length > 0) {
+      console.log(
+        `  Frame ${index}: ${changes.map((name) => `[${name}]`).join(" ")} "${text}" → "${corrected}"`,
+      );
+    }
+    return corrected.trim();
+  }
 
-    return cleanedText;
+  /**
+   * Fix misread words with the dictionary of the spell fixer
+   *
+   * @private
+   * @param {string} text - Corrected OCR text
+   * @param {number} index - Index of the entry, for logging
+   * @returns {{text: string, changes: Array<{from: string, to: string}>}}
+   *   Fixed text and the replaced words
+   */
+  fixSpelling(text, index) {
+    if (!this.spellFixer || !text) return { text, changes: [] };
+    const result = this.spellFixer.fix(text);
+    if (this.verbose && result.changes.length > 0) {
+      const list = result.changes.map(({ from, to }) => `${from} → ${to}`);
+      console.log(`  Frame ${index}: spellfix ${list.join(", ")}`);
+    }
+    return result;
   }
 
   /**
    * Wrap long lines to fit subtitle display constraints
    *
-   * This method intelligently wraps subtitle text to ensure good readability:
-   * - Wraps lines longer than maxLength characters
-   * - Breaks at word boundaries when possible
-   * - Limits to maximum 2 lines per subtitle
-   * - Handles long words with hyphenation
+   * Line breaks found by the OCR engine are kept, unless the text goes
+   * over the `maxLineLength` or `maxLines` options. Text is never dropped.
    *
    * @private
    * @param {string} text - Text to wrap
-   * @param {number} [maxLength=42] - Maximum characters per line
    * @returns {string} Wrapped text with newlines
    */
-  wrapSubtitleText(text, maxLength = 42) {
-    if (!text || text.length <= maxLength) return text;
-
-    const words = text.split(" ");
-    const lines = [];
-    let currentLine = "";
-
-    for (const word of words) {
-      // If adding this word would exceed the limit
-      if (currentLine.length + word.length + 1 > maxLength) {
-        // If we have a current line, save it and start a new one
-        if (currentLine.length > 0) {
-          lines.push(currentLine.trim());
-          currentLine = word;
-        } else {
-          // Word itself is longer than maxLength, force break it
-          if (word.length > maxLength) {
-            lines.push(word.substring(0, maxLength - 1) + "-");
-            currentLine = word.substring(maxLength - 1);
-          } else {
-            currentLine = word;
-          }
-        }
-      } else {
-        // Add word to current line
-        if (currentLine.length > 0) {
-          currentLine += " " + word;
-        } else {
-          currentLine = word;
-        }
-      }
-    }
-
-    // Don't forget the last line
-    if (currentLine.length > 0) {
-      lines.push(currentLine.trim());
-    }
-
-    // Limit to maximum 2 lines for subtitles
-    if (lines.length > 2) {
-      const firstLine = lines[0];
-      const remainingText = lines.slice(1).join(" ");
-      return (
-        firstLine +
-        "\n" +
-        this.wrapSubtitleText(remainingText, maxLength).split("\n")[0]
-      );
-    }
-
-    return lines.join("\n");
+  wrapSubtitleText(text) {
+    return wrapText(text, {
+      maxLineLength: this.maxLineLength,
+      maxLines: this.maxLines,
+    });
   }
 
   /**
-   * Extract the timeline from the IDX file
+   * Extract the timeline from the IDX and SUB files
+   *
+   * Every IDX entry points to an SPU packet in the SUB file, entries read
+   * from an MKV or VOB file hold their SPU packet. The start
+   * time is the IDX timestamp plus the start display delay of the SPU, and
+   * the end time comes from its stop display command. Without a stop
+   * display command, the subtitle lasts until the next one starts, for at
+   * most DEFAULT_DURATION. Only the selected track is read.
+   *
+   * Each entry also keeps the `position` of its subtitle on screen: the
+   * bounding box of the visible bitmap pixels, or null when nothing is
+   * visible. Entries shown with the forced start display command have
+   * `forced` set, and are the only ones kept in forced-only mode.
+   *
    * @private
+   * @param {Object} [options] - Parse options
+   * @param {AbortSignal} [options.signal] - Signal to abort reading
    * @returns {Promise<Array>} Array of timeline entries
+   * @throws {InputError} If the SUB file cannot be read
+   * @throws {ParseError} If the SUB file cannot be parsed
    */
-  async parseTimeline() {
-    const ffmpegArgs = [
-      "-i",
-      this.idxFile,
-      "-i",
-      this.subFile,
-      "-filter_complex",
-      "[0:s:0]showinfo",
-      "-f",
-      "null",
-      "-",
-    ];
-    // Parse frame information into a timeline, at this point
-    // we don't know which subtitle each frame belongs to frame
-    // so we compose a data timeline and a set of images
-    const { stderr: showInfo } = await spawnPromise(ffmpegStatic, ffmpegArgs);
-    const timeline = [];
-    const lines = showInfo.split("\n");
-    let textIndex = 0;
-    for (const line of lines) {
-      const match = line.match(
-        /n:\s*\d+\s+.*pts_time:\s*(\d+\.?\d*)\s+.*checksum:([A-F0-9]+)/,
-      );
-      if (match) {
-        const startTime = Math.round(parseFloat(match[1]) * 1000); // Convert to milliseconds
-        const checksum = match[2];
-        if (checksum !== "00000000") {
-          timeline.push({
-            index: textIndex,
-            startTime,
-            endTime: startTime + 3000,
-          });
-          textIndex++;
-        } else if (timeline.length > 0) {
-          timeline[textIndex - 1].endTime = startTime;
-        }
+  async parseTimeline({ signal } = {}) {
+    const { timeOffset, alpha, origin, forcedSubs } = this.trackMetadata;
+    const track = this.currentTrack;
+    if (!track) return [];
+    // Subpicture substreams are numbered from 0x20 in track order
+    const streamId = 0x20 + track.index;
+
+    // Streams read from an MKV or VOB file already hold their SPU packets
+    let buffer = null;
+    if (!this.inputFile) {
+      try {
+        buffer = await fs.readFile(this.subFile, { signal });
+      } catch (error) {
+        if (signal?.aborted) throw signal.reason;
+        throw new InputError(`Cannot access SUB file: ${error.message}`, {
+          cause: error,
+        });
       }
     }
+    const source = this.inputFile ? "Invalid input file" : "Invalid SUB file";
+    const packets = [];
+    const timeline = track.entries.map((entry, index) => {
+      const { timestamp, filepos } = entry;
+      let data, controls;
+      try {
+        data = entry.data ?? readSpu(buffer, filepos, streamId).data;
+        controls = parseSpuControl(data);
+      } catch (error) {
+        throw new ParseError(
+          `${source}, subtitle ${index + 1}: ${error.message}`,
+          { cause: error },
+        );
+      }
+      const { start, stop, forced } = controls;
+      packets.push({ data, controls });
+      const time = timestamp + timeOffset;
+      const bounds = getSpuBounds(data, controls, { alpha });
+      return {
+        index,
+        startTime: Math.max(0, time + (start ?? 0)),
+        endTime: stop === null ? null : Math.max(0, time + stop),
+        filepos,
+        forced,
+        position: bounds && {
+          ...bounds,
+          x: bounds.x + origin.x,
+          y: bounds.y + origin.y,
+        },
+      };
+    });
+
+    timeline.forEach((entry, i) => {
+      if (entry.endTime !== null) return;
+      const next = timeline[i + 1];
+      entry.endTime = Math.min(
+        entry.startTime + DEFAULT_DURATION,
+        next ? next.startTime : Infinity,
+      );
+    });
+
+    if (this.forcedOnly ?? forcedSubs) {
+      this.packets = packets.filter((_packet, i) => timeline[i].forced);
+      const forcedTimeline = timeline.filter((entry) => entry.forced);
+      if (this.verbose)
+        console.log(
+          `Forced-only mode: kept ${forcedTimeline.length} of ${timeline.length} subtitle entries`,
+        );
+      return forcedTimeline;
+    }
+    this.packets = packets;
     return timeline;
   }
 
   /**
-   * Extract actual subtitle frames using FFmpeg
+   * Decode the subtitle bitmap of every timeline entry
+   *
+   * The RLE bitmap of each SPU packet is decoded in-process, colored with
+   * the IDX palette and the SPU color/alpha commands, and cropped to the
+   * visible pixels. Entries without any visible pixels have a null image.
+   * Unless style detection is off, the glyphs are also checked for italics
+   * and their fill color.
+   *
+   * The images handed to OCR are in `lines`: with line segmentation, the
+   * subtitle is split into lines of text by projecting its rows, otherwise
+   * it is a single image. They go through the preprocessing steps; with
+   * `debugImages`, the image after each step is kept in their `steps`.
+   *
+   * @returns {Array<{index: number, x: number, y: number, width: number, height: number, italic: boolean, color: string|null, image: Buffer|null, lines: Array<{image: Buffer, steps?: Array<{name: string, image: Buffer}>}>}>}
+   *   One frame per timeline entry, with its position on screen, its style,
+   *   a PNG image of the subtitle and the PNG images to recognize
+   */
+  decodeFrames() {
+    const { palette, alpha, origin } = this.trackMetadata;
+    return this.timeline.map((entry, i) => {
+      const { data, controls } = this.packets[i];
+      const bitmap = renderSpuBitmap(data, controls, palette, { alpha });
+      if (!bitmap) {
+        return {
+          index: entry.index,
+          x: 0,
+          y: 0,
+          width: 0,
+          height: 0,
+          italic: false,
+          color: null,
+          image: null,
+          lines: [],
+        };
+      }
+      const { x, y, width, height, padding, rgba } = bitmap;
+      // Removing the outline needs the fill color, even without styles
+      const style =
+        this.detectStyles || this.preprocess.includes("outline")
+          ? detectSpuStyle(data, controls, palette, { alpha })
+          : null;
+      const image = {
+        width: width + padding * 2,
+        height: height + padding * 2,
+        rgba,
+      };
+      const parts = this.segmentLines
+        ? getSpuLines(data, controls, { alpha }).map((line) =>
+            cropRows(image, line.y - y + padding, line.height, padding),
+          )
+        : [image];
+      const lines = parts.map((part) => {
+        const steps = [];
+        const processed = preprocessImage(part, this.preprocess, {
+          fillColor: style?.color,
+          onStep: this.debugImages
+            ? (name, { width, height, rgba }) =>
+                steps.push({ name, image: encodePng(rgba, width, height) })
+            : undefined,
+        });
+        return {
+          image: encodePng(processed.rgba, processed.width, processed.height),
+          ...(this.debugImages && { steps }),
+        };
+      });
+      return {
+        index: entry.index,
+        x: x + origin.x,
+        y: y + origin.y,
+        width,
+        height,
+        italic: (this.detectStyles && style?.italic) || false,
+        color: (this.detectStyles && style?.color) || null,
+        image: encodePng(rgba, image.width, image.height),
+        lines,
+      };
+    });
+  }
+
+  /**
+   * Write the decoded subtitle frames to disk for OCR
    *
-   * This method uses FFmpeg to extract subtitle bitmap frames from VobSub files:
-   * - Creates a temporary directory for frame storage
-   * - Uses FFmpeg overlay filter to render subtitles on black background
-   * - Extracts frames as PNG images
+   * Each frame is written as `subtitle_frame_0001.png`. Images to recognize
+   * that differ from it, once split in lines or preprocessed, are written
+   * next to it as `subtitle_frame_0001.line1.png` or
+   * `subtitle_frame_0001.ocr.png`, with their preprocessing steps in debug.
    *
    * @private
-   * @param {string} subPath - Path to the SUB file
    * @param {string} tempDir - Temporary directory for frame storage
-   * @returns {Promise<string[]>} Array of subtitle objects with image paths
-   * @throws {Error} If FFmpeg extraction fails
+   * @param {Object} [options] - Options
+   * @param {AbortSignal} [options.signal] - Signal to abort writing frames
+   * @param {Function} [options.onProgress] - Called with `{ stage: "frames",
+   *   completed, total }` as frames are written
+   * @returns {Promise<Array>} The decoded frame of each timeline entry, with
+   *   the `path` of its image, or a null path without a visible bitmap, and
+   *   the `path` and `hash` of each of its `lines`
    */
-  async generateFrames(tempDir) {
-    if (this.verbose) console.log("Extracting subtitle frames using FFmpeg...");
+  async generateFrames(tempDir, { signal, onProgress } = {}) {
+    if (this.verbose) console.log("Decoding subtitle frames...");
     const frameDir = path.join(tempDir, "frames");
     await fs.mkdir(frameDir, { recursive: true });
-    const { width, height } = this.metadata;
-    const framePattern = path.join(frameDir, "subtitle_frame_%04d.png");
-    const ffmpegArgs = [
-      "-f",
-      "lavfi",
-      "-i",
-      `color=black:size=${width}x${height}:duration=1`,
-      "-i",
-      this.idxFile,
-      "-i",
-      this.subFile,
-      "-filter_complex",
-      `[1:s:0]scale=${width}:${height}[sub];[0:v][sub]overlay`,
-      "-fps_mode",
-      "vfr",
-      "-y",
-      framePattern,
-    ];
-
-    await execFileAsync(ffmpegStatic, ffmpegArgs);
-
-    // Extract all the images from the frame directory
-    const frames = (await fs.readdir(frameDir))
-      .filter((file) => file.endsWith(".png"))
-      .sort()
-      .map((file) => path.join(frameDir, file));
+
+    const decoded = this.decodeFrames();
+    let completed = 0;
+    onProgress?.({ stage: "frames", completed, total: decoded.length });
+    const frames = await Promise.all(
+      decoded.map(async ({ image, lines, ...frame }) => {
+        let framePath = null;
+        const written = [];
+        if (image) {
+          const name = `subtitle_frame_${String(frame.index + 1).padStart(4, "0")}`;
+          framePath = path.join(frameDir, `${name}.png`);
+          await fs.writeFile(framePath, image, { signal });
+          for (const [i, line] of lines.entries()) {
+            const lineName =
+              lines.length > 1 ? `${name}.line${i + 1}` : `${name}.ocr`;
+            let linePath = framePath;
+            if (!line.image.equals(image)) {
+              linePath = path.join(frameDir, `${lineName}.png`);
+              await fs.writeFile(linePath, line.image, { signal });
+            }
+            // Intermediate preprocessing images, for debugging
+            for (const [j, step] of (line.steps ?? []).entries()) {
+              await fs.writeFile(
+                path.join(frameDir, `${lineName}.${j + 1}-${step.name}.png`),
+                step.image,
+                { signal },
+              );
+            }
+            written.push({
+              path: linePath,
+              hash: OcrCache.hashImage(line.image),
+            });
+          }
+        }
+        onProgress?.({
+          stage: "frames",
+          completed: ++completed,
+          total: decoded.length,
+        });
+        return { ...frame, path: framePath, lines: written };
+      }),
+    );
 
     if (this.verbose) {
-      console.log(`Extracted ${frames.length} subtitle frames with timestamps`);
+      console.log(
+        `Decoded ${frames.filter((frame) => frame.path).length} subtitle frames with timestamps`,
+      );
     }
 
     return frames;
   }
 
   /**
-   * Process subtitles with Mac System OCR using batch processing
+   * Read the cached OCR results of bitmaps
+   *
+   * @private
+   * @param {string[]} hashes - Hashes of the bitmaps
+   * @param {"fast"|"accurate"} quality - OCR quality
+   * @returns {Promise<Map<string, {text: string, confidence: number|null}>>}
+   *   Cached results by bitmap hash, empty without a cache
+   */
+  async readCachedResults(hashes, quality) {
+    const cached = new Map();
+    if (!this.ocrCache) return cached;
+    const engine = this.trackOcrEngine;
+    await Promise.all(
+      hashes.map(async (hash) => {
+        const key = OcrCache.key(hash, engine, quality);
+        const result = await this.ocrCache.get(key);
+        if (result) cached.set(hash, result);
+      }),
+    );
+    return cached;
+  }
+
+  /**
+   * Store new OCR results in the cache
    *
-   * This method performs OCR on all extracted subtitle frames using MacOCR:
-   * - Uses batch processing for optimal performance
+   * A cache that can't be written doesn't stop the conversion.
+   *
+   * @private
+   * @param {Array<[string, {text: string, confidence: number|null}]>} results -
+   *   Bitmap hashes and their OCR results
+   * @param {"fast"|"accurate"} quality - OCR quality
+   * @returns {Promise<void>}
+   */
+  async writeCachedResults(results, quality) {
+    if (!this.ocrCache) return;
+    const engine = this.trackOcrEngine;
+    try {
+      await Promise.all(
+        results.map(([hash, result]) =>
+          this.ocrCache.set(OcrCache.key(hash, engine, quality), result),
+        ),
+      );
+    } catch (error) {
+      console.warn(`Warning: could not write the OCR cache: ${error.message}`);
+    }
+  }
+
+  /**
+   * Process subtitles with the configured OCR engine using batch processing
+   *
+   * This method performs OCR on all extracted subtitle frames:
+   * - Splits them into lines of text, unless line segmentation is off
+   * - Recognizes identical images once, and reuses cached results
+   * - Hands the other images to the OCR engine in a single batch
+   * - Rebuilds the text of each subtitle from its lines, in order
    * - Applies text cleaning and character correction
-   * - Wraps long lines for subtitle display
+   * - Wraps long lines, if asked to
    * - Creates SRT entries with proper timing
    *
-   * @param {Array} images - Array of subtitle objects with image paths
-   * @returns {Promise<Array>} Array of SRT entry objects
-   * @throws {Error} If batch OCR processing fails
+   * Every timeline entry is tied to its own frame and OCR result. Entries
+   * without recognized text are left out and listed in `unrecognized`.
+   *
+   * @param {Object} options - Processing options
+   * @param {string} options.tempDir - Temporary directory for frame storage
+   * @param {"fast"|"accurate"} [options.quality="fast"] - OCR quality
+   * @param {AbortSignal} [options.signal] - Signal to abort processing
+   * @param {Function} [options.onProgress] - Called with `{ stage, completed,
+   *   total }` while frames are written ("frames") and recognized ("ocr")
+   * @returns {Promise<Array>} Array of SRT entry objects, each with the OCR
+   *   `confidence` of its least confident line (null if the engine has
+   *   none), the recognized `lines` with their own confidence, the `image`
+   *   path of its frame in `tempDir` and, with a spell fixer, the
+   *   `spellfixes` made
+   * @throws {NoSubtitlesError} If there are no subtitle images to process
+   * @throws {OcrError} If batch OCR processing fails
    */
-  async processFrames({ quality = "fast", tempDir }) {
-    const frames = await this.generateFrames(tempDir);
-    if (frames.length === 0) {
-      throw new Error("No subtitle images could be created");
+  async processFrames({ quality = "fast", tempDir, signal, onProgress }) {
+    const frames = await this.generateFrames(tempDir, { signal, onProgress });
+    // Frames without a bitmap have nothing to recognize
+    const pending = frames.flatMap((frame) => frame.lines);
+    if (pending.length === 0) {
+      throw new NoSubtitlesError("No subtitle images could be created");
     }
-    const { timeline } = this;
-
-    console.log("Starting batch OCR processing...");
 
+    // Identical images, like repeated lyrics, only need OCR once
+    const unique = new Map();
+    for (const line of pending) {
+      if (!unique.has(line.hash)) unique.set(line.hash, line);
+    }
+    const resultsByHash = await this.readCachedResults(
+      [...unique.keys()],
+      quality,
+    );
+    const uncached = [...unique.values()].filter(
+      (line) => !resultsByHash.has(line.hash),
+    );
     if (this.verbose)
       console.log(
-        `Processing ${frames.length} frames with MacOCR batch processing...`,
+        `${pending.length - unique.size} duplicate images, ${resultsByHash.size} cached results`,
       );
 
-    try {
-      // Map quality level to MacOCR constants
-      const recognitionLevel =
-        quality === "fast"
-          ? MacOCR.RECOGNITION_LEVEL_FAST
-          : MacOCR.RECOGNITION_LEVEL_ACCURATE;
-
-      // Use MacOCR batch processing for all images at once
-      const ocrResults = await MacOCR.recognizeBatchFromPath(frames, {
-        maxThreads: 4, // Limit threads to avoid overwhelming the system
-        batchSize: 100, // Process in batches of 100 internally
-        ocrOptions: {
-          recognitionLevel,
-          minConfidence: 0.5, // Lower confidence threshold to capture more text
-        },
-      });
-
-      if (this.verbose)
-        console.log(`OCR batch processing completed. Processing results...`);
-
-      const cleanedTexts = ocrResults
-        .map((ocrResult) => {
-          const text = this.cleanOcrText(ocrResult?.text || "");
-          return this.wrapSubtitleText(text.trim());
-        })
-        .filter((text) => text.length > 0);
-
-      const srtEntries = timeline
-        .map((entry, i) => {
-          const text = cleanedTexts[i] ?? "";
-          if (!text) {
-            return null;
-          }
-          if (this.verbose)
-            console.log(`  Frame ${i}: "${text.replace(/\n/g, " | ")}"`);
-          return { ...entry, text };
-        })
-        .filter((entry) => entry !== null);
+    if (this.verbose) console.log("Starting batch OCR processing...");
 
-      if (this.verbose)
-        console.log(
-          `Completed batch OCR processing of ${frames.length} frames, generated ${srtEntries.length} subtitle entries`,
+    const engine = this.trackOcrEngine;
+    let recognized = [];
+    try {
+      if (uncached.length > 0)
+        recognized = await engine.recognize(
+          uncached.map((line) => line.path),
+          {
+            quality,
+            signal,
+            onProgress: (completed, total) =>
+              onProgress?.({ stage: "ocr", completed, total }),
+          },
         );
-      return srtEntries;
     } catch (error) {
-      console.error("Batch OCR processing failed:", error.message, error.stack);
-      throw new Error(`Failed to process subtitles with OCR: ${error.message}`);
+      if (signal?.aborted) throw signal.reason;
+      throw new OcrError(
+        `Failed to process subtitles with OCR: ${error.message}`,
+        { cause: error },
+      );
     }
+
+    if (this.verbose)
+      console.log(`OCR batch processing completed. Processing results...`);
+
+    // Results are in the order of the images, tie each one to its image
+    // and then to every line showing that image
+    uncached.forEach((line, i) => resultsByHash.set(line.hash, recognized[i]));
+    await this.writeCachedResults(
+      uncached.map((line, i) => [line.hash, recognized[i]]),
+      quality,
+    );
+    const framesByIndex = new Map(frames.map((frame) => [frame.index, frame]));
+
+    const srtEntries = [];
+    this.unrecognized = [];
+    for (const entry of this.timeline) {
+      const frame = framesByIndex.get(entry.index);
+      const image = frame?.path ?? null;
+      // Lines without text are dropped by the cleanup
+      const lines = (frame?.lines ?? [])
+        .map(({ hash }) => resultsByHash.get(hash))
+        .map((result) => ({
+          text: this.cleanOcrText(result?.text || "").trim(),
+          confidence: result?.confidence ?? null,
+        }))
+        .filter((line) => line.text);
+      const cleaned = lines.map((line) => line.text).join("\n");
+      const confidences = lines
+        .map((line) => line.confidence)
+        .filter((confidence) => confidence !== null);
+      const { text: fixed, changes } = this.fixSpelling(
+        this.correctText(cleaned, entry.index),
+        entry.index,
+      );
+      const text = this.wrapSubtitleText(fixed);
+      if (!text) {
+        const reason = image ? "no-text" : "empty";
+        this.unrecognized.push({ ...entry, image, reason });
+        if (this.verbose)
+          console.log(`  Frame ${entry.index}: no text (${reason})`);
+        continue;
+      }
+      if (this.verbose)
+        console.log(`  Frame ${entry.index}: "${text.replace(/\n/g, " | ")}"`);
+      srtEntries.push({
+        ...entry,
+        text,
+        confidence: confidences.length > 0 ? Math.min(...confidences) : null,
+        lines,
+        italic: frame.italic,
+        color: frame.color,
+        image,
+        ...(this.spellFixer && { spellfixes: changes }),
+      });
+    }
+
+    if (this.verbose)
+      console.log(
+        `Completed batch OCR processing of ${pending.length} images, generated ${srtEntries.length} subtitle entries`,
+      );
+    return srtEntries;
   }
 
   /**
-   * Generate SRT file from processed subtitle entries
+   * Generate a subtitle file from processed subtitle entries
    *
-   * Creates a properly formatted SRT subtitle file with:
-   * - Sequential numbering for each subtitle
-   * - Proper timestamp formatting (HH:MM:SS,mmm --> HH:MM:SS,mmm)
-   * - Text content with line wrapping
-   * - Blank lines between entries as per SRT specification
+   * The output format is taken from the `format` option, or guessed from
+   * the extension of `outputPath` (.srt, .vtt, .ass or .json), and
+   * defaults to SRT.
    *
    * @param {Array} srtEntries - Array of processed subtitle entries
-   * @param {string} outputPath - Path where the SRT file will be saved
+   * @param {string} outputPath - Path where the subtitle file will be saved
+   * @param {Object} [options] - Output options
+   * @param {string|SubtitleWriter} [options.format] - Output format name
+   *   ("srt", "vtt", "ass" or "json") or a SubtitleWriter instance
+   * @param {boolean} [options.markForced=false] - Tag forced entries in the
+   *   output, in the way the format allows
    * @returns {Promise<void>}
-   * @throws {Error} If file writing fails
+   * @throws {Error} If the format is unknown or file writing fails
    */
-  async generate(srtEntries, outputPath) {
-    const srtContent = srtEntries
-      .map((entry) => {
-        return [
-          entry.index,
-          `${this.formatSrtTimestamp(entry.startTime)} --> ${this.formatSrtTimestamp(entry.endTime)}`,
-          entry.text,
-          "",
-        ].join("\n");
-      })
-      .join("\n");
-
-    await fs.writeFile(outputPath, srtContent, "utf-8");
-    if (this.verbose) console.log(`Generated SRT file: ${outputPath}`);
+  async generate(srtEntries, outputPath, { format, markForced = false } = {}) {
+    const writer = createSubtitleWriter(format ?? formatFromPath(outputPath));
+    const { width, height } = this.trackMetadata;
+    const content = writer.format(srtEntries, {
+      width,
+      height,
+      language: this.currentTrack?.language,
+      markForced,
+    });
+
+    await fs.writeFile(outputPath, content, "utf-8");
+    if (this.verbose)
+      console.log(`Generated ${writer.name.toUpperCase()} file: ${outputPath}`);
   }
 }
 
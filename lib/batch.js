@@ -0,0 +1,331 @@
+import fs from "node:fs/promises";
+import path from "node:path";
+import { convert, listTracks, trackOutputPath } from "./convert.js";
+import { containerFromPath, parseIdx } from "./vobsub/index.js";
+import { createSubtitleWriter } from "./writers/index.js";
+import { loadCorrectionRules, loadSpellFixer } from "./cleanup/index.js";
+import { InputError, NoSubtitlesError } from "./errors.js";
+import { mapConcurrent } from "./utils.js";
+
+/**
+ * Name of the summary report written to the output directory
+ * @type {string}
+ */
+const REPORT_FILE = "vobsub-report.json";
+
+/**
+ * Find the VobSub files of a directory tree: IDX files that have a matching
+ * SUB file, and MKV and VOB files
+ *
+ * A video next to an IDX/SUB pair of the same name is left out, as both
+ * would be converted to the same output.
+ *
+ * @param {string} inputDir - Directory to walk recursively
+ * @returns {Promise<Array<{idxFile: string, subFile: string}|{inputFile: string}>>}
+ *   Paths relative to `inputDir`, sorted: IDX files with their SUB file,
+ *   which may not have the same extension case, or MKV and VOB files
+ */
+async function findInputFiles(inputDir) {
+  const files = await fs.readdir(inputDir, { recursive: true });
+  const base = (file) => file.slice(0, -path.extname(file).length);
+  const subFiles = new Map(
+    files
+      .filter((file) => /\.sub$/i.test(file))
+      .map((file) => [base(file), file]),
+  );
+  const paired = new Set(
+    files
+      .filter((file) => /\.idx$/i.test(file) && subFiles.has(base(file)))
+      .map(base),
+  );
+  return files.sort().flatMap((file) => {
+    if (/\.idx$/i.test(file) && paired.has(base(file))) {
+      return [{ idxFile: file, subFile: subFiles.get(base(file)) }];
+    }
+    if (containerFromPath(file) && !paired.has(base(file))) {
+      return [{ inputFile: file }];
+    }
+    return [];
+  });
+}
+
+/**
+ * Get the modification time of a file
+ *
+ * @param {string} file - File path
+ * @returns {Promise<number|null>} Modification time in ms, null if missing
+ */
+async function modifiedTime(file) {
+  try {
+    return (await fs.stat(file)).mtimeMs;
+  } catch (_error) {
+    return null;
+  }
+}
+
+/**
+ * List the tracks of an IDX file with their number of subtitles
+ *
+ * @param {string} idxFile - IDX path
+ * @returns {Promise<Array<{index: number, language: string, count: number}>>}
+ *   The tracks, as listed by `listTracks`
+ */
+async function idxTracks(idxFile) {
+  const { tracks } = parseIdx(await fs.readFile(idxFile, "utf-8"));
+  return tracks.map(({ index, language, entries }) => ({
+    index,
+    language,
+    count: entries.length,
+  }));
+}
+
+/**
+ * Work out the output files a conversion is expected to write
+ *
+ * @param {string} outputPath - Output path of the conversion
+ * @param {Array<{index: number, language: string, count: number}>|null} tracks -
+ *   Tracks of the input when every track is converted, null otherwise
+ * @returns {string[]} Expected output paths
+ */
+function expectedOutputs(outputPath, tracks) {
+  if (!tracks) return [outputPath];
+  return tracks
+    .filter((track) => track.count > 0)
+    .map((track) => trackOutputPath(outputPath, track, tracks));
+}
+
+/**
+ * Read the outputs of each input of the report of a previous batch
+ *
+ * @param {string} outputDir - Output directory of the batch
+ * @returns {Promise<Map<string, string[]>>} Output paths by input, empty
+ *   without a readable report
+ */
+async function previousOutputs(outputDir) {
+  try {
+    const report = JSON.parse(
+      await fs.readFile(path.join(outputDir, REPORT_FILE), "utf-8"),
+    );
+    return new Map(
+      [...report.converted, ...report.skipped].map(({ input, outputs }) => [
+        input,
+        outputs,
+      ]),
+    );
+  } catch (_error) {
+    return new Map();
+  }
+}
+
+/**
+ * Check whether all outputs exist and are newer than the input files
+ *
+ * @param {string[]} outputs - Expected output paths
+ * @param {string[]} inputs - IDX and SUB paths, or MKV or VOB path
+ * @returns {Promise<boolean>} Whether the conversion can be skipped
+ */
+async function isUpToDate(outputs, inputs) {
+  const inputTimes = await Promise.all(inputs.map(modifiedTime));
+  const newestInput = Math.max(...inputTimes.map((time) => time ?? Infinity));
+  const outputTimes = await Promise.all(outputs.map(modifiedTime));
+  return (
+    outputs.length > 0 &&
+    outputTimes.every((time) => time !== null && time > newestInput)
+  );
+}
+
+/**
+ * Write the summary report of a batch
+ *
+ * The report goes to a temporary file first and is renamed over the
+ * previous one, so an interrupted write never leaves a truncated report.
+ *
+ * @param {string} outputDir - Output directory of the batch
+ * @param {Object} report - Summary report
+ * @returns {Promise<void>}
+ */
+async function writeReport(outputDir, report) {
+  const file = path.join(outputDir, REPORT_FILE);
+  const temp = `${file}.${process.pid}.tmp`;
+  await fs.writeFile(temp, JSON.stringify(report, null, 2) + "\n", "utf-8");
+  await fs.rename(temp, file);
+}
+
+/**
+ * Convert every VobSub file of a directory tree
+ *
+ * IDX/SUB pairs, MKV and VOB files are found recursively in `inputDir` and
+ * converted with `convert`, at most `jobs` at a time. Outputs mirror the
+ * folder structure into `outputDir`. Files whose outputs are newer than
+ * their inputs are skipped, so an interrupted batch can be resumed by
+ * running it again, and so are videos without VobSub streams. A failed
+ * file doesn't stop the batch; a JSON summary of converted, skipped and
+ * failed files is written to `outputDir` after each file, and gets its
+ * `finishedAt` time once the batch completes.
+ *
+ * @param {Object} options - Batch options, plus any `convert` option except
+ *   `idxFile`, `subFile`, `inputFile`, `outputPath`, `tempDir` and `review`
+ * @param {string} options.inputDir - Directory to search for IDX, MKV and
+ *   VOB files
+ * @param {string} options.outputDir - Directory to write the outputs to
+ * @param {number} [options.jobs=2] - Maximum number of parallel conversions
+ * @param {(event: {input: string, status: string, error?: Error, completed: number, total: number}) => void} [options.onFile] -
+ *   Called when a file is "converted", "skipped" or "failed"
+ * @returns {Promise<Object>} The summary report, also written to `outputDir`
+ * @throws {InputError} If the input directory can't be read
+ */
+async function convertDirectory(options) {
+  const {
+    inputDir,
+    outputDir,
+    jobs = 2,
+    format,
+    allTracks = false,
+    signal,
+    onFile,
+    corrections,
+    spellfix,
+    ...convertOptions
+  } = options;
+
+  if (!inputDir || !outputDir) {
+    throw new InputError("The inputDir and outputDir options are required");
+  }
+  if (!Number.isInteger(jobs) || jobs < 1) {
+    throw new InputError(`Invalid jobs count '${jobs}'. Must be at least 1`);
+  }
+  let files;
+  try {
+    files = await findInputFiles(inputDir);
+  } catch (error) {
+    throw new InputError(`Cannot read input directory: ${error.message}`, {
+      cause: error,
+    });
+  }
+  // Fail early on an invalid format rather than once per file
+  let extension;
+  try {
+    const writer =
+      typeof format === "object" ? format : createSubtitleWriter(format);
+    extension = writer.extensions[0];
+  } catch (error) {
+    throw new InputError(error.message, { cause: error });
+  }
+
+  const report = {
+    inputDir,
+    outputDir,
+    startedAt: new Date().toISOString(),
+    finishedAt: null,
+    converted: [],
+    skipped: [],
+    failed: [],
+  };
+  // The report is saved after every file, so an interrupted batch leaves
+  // the state of the files it got through
+  let saving = fs.mkdir(outputDir, { recursive: true });
+  const saveReport = () => {
+    saving = saving.then(() => writeReport(outputDir, report));
+    return saving;
+  };
+  let completed = 0;
+  const done = async (input, status, error) => {
+    await saveReport();
+    onFile?.({
+      input,
+      status,
+      error,
+      completed: ++completed,
+      total: files.length,
+    });
+  };
+
+  // Load the corrections and dictionary once rather than for every file
+  const correctionRules =
+    typeof corrections === "string"
+      ? await loadCorrectionRules(corrections)
+      : corrections;
+
+  const spellFixer =
+    typeof spellfix === "string" ? await loadSpellFixer(spellfix) : spellfix;
+
+  // Tracks without text are never written, so with allTracks only the
+  // tracks the last batch wrote are expected
+  const previous = allTracks ? await previousOutputs(outputDir) : new Map();
+
+  await mapConcurrent(files, jobs, async (input) => {
+    signal?.throwIfAborted();
+    const file = input.idxFile ?? input.inputFile;
+    const inputs = input.idxFile
+      ? {
+          idxFile: path.join(inputDir, input.idxFile),
+          subFile: path.join(inputDir, input.subFile),
+        }
+      : { inputFile: path.join(inputDir, input.inputFile) };
+    const outputPath = path.join(
+      outputDir,
+      file.slice(0, -path.extname(file).length) + extension,
+    );
+
+    try {
+      let tracks = null;
+      if (inputs.inputFile) {
+        try {
+          tracks = await listTracks({ ...inputs, signal });
+        } catch (error) {
+          if (!(error instanceof NoSubtitlesError)) throw error;
+          // Most videos have no VobSub streams, which isn't a failure
+          report.skipped.push({ input: file, outputs: [] });
+          await done(file, "skipped");
+          return;
+        }
+      } else if (allTracks) {
+        tracks = await idxTracks(inputs.idxFile);
+      }
+      let outputs = expectedOutputs(outputPath, allTracks ? tracks : null);
+      const written = previous.get(file);
+      if (written) outputs = outputs.filter((out) => written.includes(out));
+      if (await isUpToDate(outputs, Object.values(inputs))) {
+        report.skipped.push({ input: file, outputs });
+        await done(file, "skipped");
+        return;
+      }
+
+      const results = await convert({
+        ...convertOptions,
+        corrections: correctionRules,
+        spellfix: spellFixer,
+        ...inputs,
+        outputPath,
+        format,
+        allTracks,
+        // Parallel conversions can't share a temporary directory or report
+        tempDir: undefined,
+        review: undefined,
+        signal,
+      });
+      report.converted.push({
+        input: file,
+        outputs: results
+          .filter((result) => result.outputPath)
+          .map((result) => result.outputPath),
+        entries: results.reduce((sum, r) => sum + r.entries.length, 0),
+      });
+      await done(file, "converted");
+    } catch (error) {
+      if (signal?.aborted) throw signal.reason;
+      report.failed.push({
+        input: file,
+        code: error.code ?? null,
+        message: error.message,
+      });
+      await done(file, "failed", error);
+    }
+  });
+
+  report.finishedAt = new Date().toISOString();
+  await saveReport();
+  return report;
+}
+
+export { convertDirectory };
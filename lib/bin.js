@@ -1,10 +1,17 @@
 #!/usr/bin/env node
 
-import fs from "node:fs/promises";
 import path from "node:path";
 import { parseArgs } from "node:util";
-import { tmpdir } from "node:os";
-import { VobSubDecoder } from "./VobSubDecoder.js";
+import { convert, listTracks } from "./convert.js";
+import { convertDirectory } from "./batch.js";
+import { defaultOcrEngine } from "./ocr/index.js";
+import { formatFromPath } from "./writers/index.js";
+import { InputError } from "./errors.js";
+import { containerFromPath } from "./vobsub/index.js";
+import { compareSubtitles, readSrt } from "./compare.js";
+import { extract } from "./extract.js";
+import { muxOutputPath, muxSubtitles } from "./mux.js";
+import { splitTime } from "./writers/SubtitleWriter.js";
 
 /**
  * Parse and validate command line arguments
@@ -19,12 +26,31 @@ function parseCliArgs() {
         input: {
           type: "string",
           short: "i",
-          description: "Path to the input IDX file",
+          description: "Path to the input IDX, MKV or VOB file",
         },
         output: {
           type: "string",
           short: "o",
-          description: "Path for the output SRT file",
+          description: "Path for the output subtitle file",
+        },
+        "input-dir": {
+          type: "string",
+          description: "Directory to search recursively for IDX files",
+        },
+        "output-dir": {
+          type: "string",
+          description: "Directory to write the converted files to",
+        },
+        jobs: {
+          type: "string",
+          short: "j",
+          description: "Number of files converted in parallel",
+          default: "2",
+        },
+        format: {
+          type: "string",
+          short: "f",
+          description: "Output format: 'srt', 'vtt', 'ass' or 'json'",
         },
         verbose: {
           type: "boolean",
@@ -38,6 +64,164 @@ function parseCliArgs() {
           description: "OCR quality level: 'fast' or 'accurate'",
           default: "fast",
         },
+        engine: {
+          type: "string",
+          short: "e",
+          description: "OCR engine: 'mac' or 'tesseract'",
+          default: defaultOcrEngine,
+        },
+        "ocr-language": {
+          type: "string",
+          description:
+            "Tesseract language(s), e.g. 'eng+fra', instead of the track language",
+        },
+        track: {
+          type: "string",
+          short: "t",
+          description: "Subtitle track to convert, by index or language code",
+        },
+        "all-tracks": {
+          type: "boolean",
+          short: "a",
+          description: "Convert every subtitle track to its own output file",
+          default: false,
+        },
+        "list-tracks": {
+          type: "boolean",
+          description: "List the subtitle tracks of the input and exit",
+          default: false,
+        },
+        "forced-only": {
+          type: "boolean",
+          description: "Only convert subtitles flagged as forced",
+          default: false,
+        },
+        "mark-forced": {
+          type: "boolean",
+          description:
+            "Tag forced subtitles in the output, or write them to a .forced.srt file",
+          default: false,
+        },
+        cleanup: {
+          type: "string",
+          description: "OCR text cleanup profile",
+          default: "auto",
+        },
+        corrections: {
+          type: "string",
+          description: "JSON or YAML file of correction rules",
+        },
+        spellfix: {
+          type: "boolean",
+          description: "Fix misread glyphs in words with a dictionary",
+          default: false,
+        },
+        dictionary: {
+          type: "string",
+          description: "Wordlist or Hunspell dictionary for --spellfix",
+        },
+        "no-cache": {
+          type: "boolean",
+          description: "Run OCR on every bitmap, even if cached",
+          default: false,
+        },
+        "cache-dir": {
+          type: "string",
+          description: "Directory of the OCR cache",
+        },
+        "no-merge": {
+          type: "boolean",
+          description: "Don't merge consecutive entries with the same text",
+          default: false,
+        },
+        "split-dialogue": {
+          type: "boolean",
+          description: "Split dashed dialogues into one entry per speaker",
+          default: false,
+        },
+        offset: {
+          type: "string",
+          description: "Delay subtitles by this many milliseconds",
+        },
+        "fps-from": {
+          type: "string",
+          description: "Frame rate the subtitles were timed for",
+        },
+        "fps-to": {
+          type: "string",
+          description: "Frame rate to convert the timings to",
+        },
+        "min-duration": {
+          type: "string",
+          description: "Show subtitles for at least this many milliseconds",
+        },
+        "fix-overlaps": {
+          type: "boolean",
+          description: "End subtitles when the next one starts",
+        },
+        "max-line-length": {
+          type: "string",
+          description: "Wrap lines longer than this many characters",
+        },
+        "max-lines": {
+          type: "string",
+          description: "Wrap text to at most this many lines",
+        },
+        "max-cps": {
+          type: "string",
+          description: "Flag entries with more characters per second",
+        },
+        "min-read-time": {
+          type: "string",
+          description: "Flag entries shown for less milliseconds",
+        },
+        "split-dense": {
+          type: "boolean",
+          description: "Split entries over --max-cps at their line breaks",
+          default: false,
+        },
+        preprocess: {
+          type: "string",
+          description: "Image preprocessing preset or steps before OCR",
+          default: "none",
+        },
+        "no-segment": {
+          type: "boolean",
+          description: "Recognize each subtitle as a whole, not line by line",
+          default: false,
+        },
+        "no-styles": {
+          type: "boolean",
+          description: "Don't detect italics and text colors",
+          default: false,
+        },
+        mux: {
+          type: "string",
+          description: "Add the converted subtitles to a copy of this video",
+        },
+        "mux-output": {
+          type: "string",
+          description: "Path of the muxed video",
+        },
+        "mux-default": {
+          type: "boolean",
+          description: "Make the added subtitle track the default one",
+          default: false,
+        },
+        "mux-forced": {
+          type: "boolean",
+          description: "Flag the added subtitle tracks as forced",
+          default: false,
+        },
+        review: {
+          type: "string",
+          description: "Write low-confidence entries to an HTML or JSON file",
+        },
+        "review-threshold": {
+          type: "string",
+          description: "Confidence under which entries are reviewed (0-1)",
+          default: "0.8",
+        },
         debug: {
           type: "boolean",
           short: "d",
@@ -69,187 +253,854 @@ function showHelp() {
   console.log("=====================");
   console.log("");
   console.log(
-    "Convert VobSub (IDX/SUB) subtitle files to SRT format using FFmpeg and OCR",
+    "Convert VobSub (IDX/SUB, MKV or VOB) subtitles to SRT format using OCR",
   );
   console.log("");
   console.log("Usage:");
   console.log("  node index.js -i <input.idx> -o <output.srt> [options]");
+  console.log("  node index.js -i <movie.mkv|VTS_01_1.VOB> --list-tracks");
+  console.log("  node index.js --input-dir <dir> --output-dir <dir> [options]");
+  console.log(
+    "  node index.js compare <output.srt> <reference.srt> [compare options]",
+  );
+  console.log(
+    "  node index.js extract -i <input.idx> -o <out.xml|out.json|out.idx> [extract options]",
+  );
   console.log("");
   console.log("Options:");
-  console.log("  -i, --input <file>   Path to the input IDX file (required)");
-  console.log("  -o, --output <file>  Path for the output SRT file (required)");
+  console.log(
+    "  -i, --input <file>   Path to the input IDX, MKV or VOB file (required)",
+  );
+  console.log(
+    "  -o, --output <file>  Path for the output subtitle file (required)",
+  );
+  console.log(
+    "  --input-dir <dir>    Convert every IDX, MKV and VOB file of a directory tree",
+  );
+  console.log(
+    "  --output-dir <dir>   Where to write them, mirroring the input folders",
+  );
+  console.log(
+    "  -j, --jobs <n>       Number of files converted in parallel (default: 2)",
+  );
+  console.log(
+    "  -f, --format <name>  Output format: 'srt', 'vtt', 'ass' or 'json' (default: from output extension, else srt)",
+  );
   console.log("  -v, --verbose        Enable verbose logging");
   console.log(
     "  -q, --quality <level> OCR quality: 'fast' or 'accurate' (default: accurate)",
   );
+  console.log(
+    `  -e, --engine <name>  OCR engine: 'mac' or 'tesseract' (default: ${defaultOcrEngine})`,
+  );
+  console.log(
+    "  --ocr-language <lang> Tesseract language(s), e.g. 'eng+fra' (default: the track language)",
+  );
+  console.log(
+    "  -t, --track <n|lang> Subtitle track to convert, by index or language code",
+  );
+  console.log(
+    "  -a, --all-tracks     Convert every track, e.g. movie.en.srt, movie.fr.srt",
+  );
+  console.log(
+    "  --list-tracks        List the subtitle tracks of the input and exit",
+  );
+  console.log(
+    "  --forced-only        Only convert forced subtitles (foreign parts only)",
+  );
+  console.log(
+    "  --mark-forced        Tag forced subtitles, or write them to a .forced.srt",
+  );
+  console.log(
+    "  --cleanup <profile>  Text cleanup: 'auto' (from the track language), 'unicode', 'ascii', 'en', 'fr', 'de' or 'es'",
+  );
+  console.log(
+    "  --corrections <file> Apply the correction rules of a JSON or YAML file",
+  );
+  console.log(
+    "  --spellfix           Fix misread glyphs (rn/m, 0/o, ...) with the installed dictionary",
+  );
+  console.log(
+    "  --dictionary <file>  Wordlist or Hunspell .dic file to use for --spellfix",
+  );
+  console.log(
+    "  --no-cache           Run OCR on every bitmap, even if recognized before",
+  );
+  console.log(
+    "  --cache-dir <dir>    OCR cache directory (default: ~/.cache/vobsub-to-srt/ocr)",
+  );
+  console.log(
+    "  --no-merge           Don't merge consecutive entries with the same text",
+  );
+  console.log(
+    "  --split-dialogue     Split dashed dialogues into one entry per speaker",
+  );
+  console.log(
+    "  --offset <ms>        Delay subtitles by ms milliseconds (--offset=-500 for earlier)",
+  );
+  console.log(
+    "  --fps-from <fps>     Frame rate the subtitles were timed for, with --fps-to",
+  );
+  console.log(
+    "  --fps-to <fps>       Frame rate to convert timings to (e.g. 25 to 23.976)",
+  );
+  console.log(
+    "  --min-duration <ms>  Show subtitles for at least ms milliseconds",
+  );
+  console.log("  --fix-overlaps       End subtitles when the next one starts");
+  console.log(
+    "  --max-line-length <n> Wrap lines longer than n characters (default: keep OCR lines)",
+  );
+  console.log(
+    "  --max-lines <n>      Wrap text to at most n lines, never dropping text",
+  );
+  console.log(
+    "  --max-cps <n>        Flag entries with more than n characters per second",
+  );
+  console.log(
+    "  --min-read-time <ms> Flag entries shown for less than ms milliseconds",
+  );
+  console.log(
+    "  --split-dense        Split entries over --max-cps at their line breaks",
+  );
+  console.log(
+    "  --preprocess <preset> Prepare images for OCR: none, basic, standard, strong (default: basic for tesseract, none for mac)",
+  );
+  console.log(
+    "                       or steps: outline,crop,upscale,grayscale,binarize,invert,denoise",
+  );
+  console.log(
+    "  --no-segment         Recognize each subtitle as a whole, not line by line",
+  );
+  console.log("  --no-styles          Don't detect italics and speaker colors");
+  console.log(
+    "  --mux <video>        Add the subtitles to a copy of the video with ffmpeg, without re-encoding",
+  );
+  console.log(
+    "  --mux-output <file>  Path of the muxed video (default: <video>.muxed.<ext>)",
+  );
+  console.log(
+    "  --mux-default        Make the added track the default (the first one with --all-tracks)",
+  );
+  console.log("  --mux-forced         Flag the added tracks as forced");
+  console.log(
+    "  --review <file>      List low-confidence entries with their images (.html or .json)",
+  );
+  console.log(
+    "  --review-threshold <n> Confidence under which entries are listed (default: 0.8)",
+  );
+  console.log(
+    "  -d, --debug          Keep the frames and preprocessing images next to the input",
+  );
   console.log("  -h, --help           Show this help message");
   console.log("");
   console.log("Requirements:");
-  console.log("  - Mac System OCR (macOS only)");
+  console.log("  - mac engine: Mac System OCR (macOS only)");
+  console.log("  - tesseract engine: Tesseract 4+ installed and on PATH");
   console.log("");
   console.log("Features:");
   console.log("  1. Parses IDX files for timing and metadata");
-  console.log("  2. Uses FFmpeg to extract subtitle bitmap frames");
+  console.log("  2. Decodes the subtitle bitmaps into cropped images");
   console.log("  3. Applies OCR to convert images to text");
-  console.log("  4. Generates properly formatted SRT files");
+  console.log("  4. Generates SRT, WebVTT, ASS or JSON files");
   console.log("  5. Includes text cleaning and line wrapping");
 }
 
 /**
- * Main CLI function
+ * Labels of the progress stages shown on interactive terminals
+ * @type {Record<string, string>}
+ */
+const stageLabels = {
+  frames: "Decoding frames",
+  ocr: "Recognizing text",
+};
+
+/**
+ * Show frame decoding and OCR progress on a single terminal line
  *
- * Orchestrates the complete VobSub to SRT conversion process:
- * 1. Parse command line arguments
- * 2. Validate input files
- * 3. Create temporary directory for processing
- * 4. Extract subtitle frames using FFmpeg
- * 5. Process frames with OCR
- * 6. Generate SRT output file
- * 7. Clean up temporary files
+ * @param {{stage: string, completed: number, total: number}} event - Progress event
  */
-async function main() {
-  const args = parseCliArgs();
+function showProgress({ stage, completed, total }) {
+  const label = stageLabels[stage];
+  if (!label || !process.stdout.isTTY) return;
+  process.stdout.write(`\r${label}: ${completed}/${total}`);
+  if (completed === total) process.stdout.write("\n");
+}
 
-  if (args.help) {
-    showHelp();
+/**
+ * Build the merge, timing, text layout and reading speed options from the
+ * arguments
+ *
+ * @param {Object} args - Parsed command line arguments
+ * @returns {{merge: boolean, splitDialogue: boolean, timing?: Object, maxLineLength?: number, maxLines?: number, readingSpeed?: Object}}
+ *   Options for `convert`
+ */
+function postProcessingOptions(args) {
+  const number = (name) =>
+    args[name] === undefined ? undefined : Number(args[name]);
+  const timing = {
+    offset: number("offset"),
+    fpsFrom: number("fps-from"),
+    fpsTo: number("fps-to"),
+    minDuration: number("min-duration"),
+    fixOverlaps: args["fix-overlaps"],
+  };
+  const maxCps = number("max-cps");
+  const minDuration = number("min-read-time");
+  return {
+    merge: !args["no-merge"],
+    splitDialogue: args["split-dialogue"],
+    timing: Object.values(timing).some((value) => value !== undefined)
+      ? timing
+      : undefined,
+    maxLineLength: number("max-line-length"),
+    maxLines: number("max-lines"),
+    readingSpeed:
+      maxCps === undefined && minDuration === undefined
+        ? undefined
+        : {
+            maxCps,
+            minDuration,
+            action: args["split-dense"] ? "split" : "flag",
+          },
+  };
+}
+
+/**
+ * Build the input options of `convert` from the -i path
+ *
+ * MKV and VOB files are read directly, other paths are IDX files.
+ *
+ * @param {string} input - Input path
+ * @returns {{idxFile?: string, inputFile?: string}} Options for `convert`
+ */
+function inputOptions(input) {
+  return containerFromPath(input) ? { inputFile: input } : { idxFile: input };
+}
+
+/**
+ * Print the subtitle tracks of the input file
+ *
+ * Exits with 1 if the input can't be read.
+ *
+ * @param {Object} args - Parsed command line arguments
+ */
+async function runListTracks(args) {
+  try {
+    const tracks = await listTracks(inputOptions(args.input));
+    console.log(`Subtitle tracks of ${args.input}:`);
+    for (const { index, language, count, name } of tracks) {
+      const label = [language || "unknown", name && `"${name}"`]
+        .filter(Boolean)
+        .join(" ");
+      console.log(`  ${index}: ${label}, ${count} subtitles`);
+    }
+  } catch (error) {
+    console.error(
+      error instanceof InputError ? "Error:" : "\nError during processing:",
+      error.message,
+    );
+    if (args.verbose || process.env.DEBUG) {
+      console.error(error.stack);
+    }
+    process.exit(1);
+  }
+}
+
+/**
+ * Display help information of the compare command
+ */
+function showCompareHelp() {
+  console.log("Usage:");
+  console.log(
+    "  node index.js compare <output.srt> <reference.srt> [compare options]",
+  );
+  console.log("");
+  console.log(
+    "Score subtitles against a reference, pairing their cues by time",
+  );
+  console.log("");
+  console.log("Compare options:");
+  console.log(
+    "  --max-cer <n>        Fail if the character error rate is above n (0-1)",
+  );
+  console.log(
+    "  --max-wer <n>        Fail if the word error rate is above n (0-1)",
+  );
+  console.log("  --json               Print the report as JSON");
+  console.log("  -v, --verbose        List the cues whose text differs");
+  console.log("  -h, --help           Show this help message");
+  console.log("");
+  console.log(
+    "Exits with 1 when a threshold is exceeded, and 2 if a file can't be read",
+  );
+}
+
+/**
+ * Format milliseconds as an SRT style timestamp for reports
+ *
+ * @param {number} ms - Time in milliseconds
+ * @returns {string} Formatted timestamp
+ */
+function formatTimestamp(ms) {
+  const { hours, minutes, seconds, milliseconds } = splitTime(ms);
+  return `${hours}:${minutes}:${seconds},${milliseconds}`;
+}
+
+/**
+ * Compare generated subtitles with reference subtitles
+ *
+ * Prints the error rates, the timing drift and the missing and extra cues.
+ * Exits with 1 if an error rate is above its threshold, 2 on invalid
+ * arguments or unreadable files.
+ *
+ * @param {string[]} argv - Arguments after the `compare` command
+ */
+async function runCompare(argv) {
+  let values, positionals;
+  try {
+    ({ values, positionals } = parseArgs({
+      args: argv,
+      options: {
+        "max-cer": { type: "string" },
+        "max-wer": { type: "string" },
+        json: { type: "boolean", default: false },
+        verbose: { type: "boolean", short: "v", default: false },
+        help: { type: "boolean", short: "h", default: false },
+      },
+      allowPositionals: true,
+    }));
+  } catch (error) {
+    console.error(`Error parsing arguments: ${error.message}`);
+    process.exit(2);
+  }
+  if (values.help) {
+    showCompareHelp();
     process.exit(0);
   }
+  if (positionals.length !== 2) {
+    console.error("Error: compare needs an output and a reference file");
+    console.error("");
+    showCompareHelp();
+    process.exit(2);
+  }
 
-  // gate run running in non-macos
-  if (process.platform !== "darwin") {
-    console.error("Error: This tool is only supported on macOS");
-    process.exit(1);
+  const thresholds = {};
+  for (const name of ["cer", "wer"]) {
+    const value = values[`max-${name}`];
+    if (value === undefined) continue;
+    thresholds[name] = Number(value);
+    if (!(thresholds[name] >= 0 && thresholds[name] <= 1)) {
+      console.error(
+        `Error: Invalid --max-${name} '${value}'. Must be between 0 and 1`,
+      );
+      process.exit(2);
+    }
   }
 
-  if (!args.input || !args.output) {
+  let generated, reference;
+  try {
+    [generated, reference] = await Promise.all(positionals.map(readSrt));
+  } catch (error) {
+    console.error("Error:", error.message);
+    process.exit(2);
+  }
+  const report = compareSubtitles(generated, reference);
+  const { cer, wer, matched, drift, missing, extra, differences } = report;
+  const failed = Object.entries(thresholds).filter(
+    ([name, threshold]) => report[name] > threshold,
+  );
+
+  if (values.json) {
+    console.log(
+      JSON.stringify(
+        {
+          cer,
+          wer,
+          matched,
+          drift,
+          missing,
+          extra,
+          differences,
+          passed: failed.length === 0,
+        },
+        null,
+        2,
+      ),
+    );
+  } else {
+    const percent = (rate) => `${(rate * 100).toFixed(2)}%`;
+    const signed = (ms) => `${ms > 0 ? "+" : ""}${ms} ms`;
+    console.log(
+      `Matched cues: ${matched} of ${reference.length} reference cues`,
+    );
+    console.log(`Character error rate: ${percent(cer)}`);
+    console.log(`Word error rate: ${percent(wer)}`);
+    console.log(
+      `Timing drift: mean ${signed(drift.mean)}, mean absolute ${drift.meanAbsolute} ms, max ${drift.max} ms`,
+    );
+    console.log(`Missing cues: ${missing.length}`);
+    for (const { startTime, text } of missing) {
+      console.log(
+        `  ${formatTimestamp(startTime)} ${text.replace(/\n/g, " | ")}`,
+      );
+    }
+    console.log(`Extra cues: ${extra.length}`);
+    for (const { startTime, text } of extra) {
+      console.log(
+        `  ${formatTimestamp(startTime)} ${text.replace(/\n/g, " | ")}`,
+      );
+    }
+    if (values.verbose) {
+      console.log(`Different cues: ${differences.length}`);
+      for (const { startTime, actual, expected } of differences) {
+        console.log(`  ${formatTimestamp(startTime)}`);
+        console.log(`    - ${expected}`);
+        console.log(`    + ${actual}`);
+      }
+    }
+  }
+
+  for (const [name, threshold] of failed) {
+    console.error(
+      `${name.toUpperCase()} ${report[name].toFixed(4)} is above the threshold of ${threshold}`,
+    );
+  }
+  process.exit(failed.length > 0 ? 1 : 0);
+}
+
+/**
+ * Display help information of the extract command
+ */
+function showExtractHelp() {
+  console.log("Usage:");
+  console.log(
+    "  node index.js extract -i <input.idx> -o <out.xml|out.json|out.idx> [extract options]",
+  );
+  console.log("");
+  console.log(
+    "Write the subtitle bitmaps as PNG images with a timing manifest, or as a new IDX/SUB pair, without OCR",
+  );
+  console.log("");
+  console.log("Extract options:");
+  console.log(
+    "  -i, --input <file>   Path to the input IDX, MKV or VOB file (required)",
+  );
+  console.log(
+    "  -o, --output <file>  BDN XML (.xml) or JSON (.json) manifest, or IDX file (.idx) (required)",
+  );
+  console.log(
+    "  -f, --format <name>  Output format: 'bdn', 'json' or 'idx' (default: from output extension)",
+  );
+  console.log(
+    "  -t, --track <n|lang> Subtitle track to extract, by index or language code",
+  );
+  console.log("  --forced-only        Only extract forced subtitles");
+  console.log(
+    "  --offset <ms>        Delay subtitles by ms milliseconds (--offset=-500 for earlier)",
+  );
+  console.log(
+    "  --fps-from <fps>     Frame rate the subtitles were timed for, with --fps-to",
+  );
+  console.log(
+    "  --fps-to <fps>       Frame rate to convert timings to (e.g. 25 to 23.976)",
+  );
+  console.log(
+    "  --min-duration <ms>  Show subtitles for at least ms milliseconds",
+  );
+  console.log("  --fix-overlaps       End subtitles when the next one starts");
+  console.log(
+    "  --frame-rate <fps>   Frame rate of the BDN timecodes (default: --fps-to, else from the video size)",
+  );
+  console.log("  -v, --verbose        Enable verbose logging");
+  console.log("  -h, --help           Show this help message");
+}
+
+/**
+ * Extract subtitle images or a new IDX/SUB pair
+ *
+ * Exits with 1 on errors, 130 if aborted.
+ *
+ * @param {string[]} argv - Arguments after the `extract` command
+ */
+async function runExtract(argv) {
+  let values;
+  try {
+    ({ values } = parseArgs({
+      args: argv,
+      options: {
+        input: { type: "string", short: "i" },
+        output: { type: "string", short: "o" },
+        format: { type: "string", short: "f" },
+        track: { type: "string", short: "t" },
+        "forced-only": { type: "boolean", default: false },
+        offset: { type: "string" },
+        "fps-from": { type: "string" },
+        "fps-to": { type: "string" },
+        "min-duration": { type: "string" },
+        "fix-overlaps": { type: "boolean" },
+        "frame-rate": { type: "string" },
+        verbose: { type: "boolean", short: "v", default: false },
+        help: { type: "boolean", short: "h", default: false },
+      },
+    }));
+  } catch (error) {
+    console.error(`Error parsing arguments: ${error.message}`);
+    process.exit(1);
+  }
+  if (values.help) {
+    showExtractHelp();
+    process.exit(0);
+  }
+  if (!values.input || !values.output) {
     console.error(
       "Error: Both input (-i) and output (-o) arguments are required",
     );
     console.error("");
-    showHelp();
+    showExtractHelp();
     process.exit(1);
   }
 
-  // Validate quality argument
-  if (args.quality && !["fast", "accurate"].includes(args.quality)) {
+  const controller = new AbortController();
+  process.once("SIGINT", () => controller.abort());
+
+  try {
+    const { track, entries } = await extract({
+      ...inputOptions(values.input),
+      outputPath: values.output,
+      format: values.format,
+      track: values.track,
+      forcedOnly: values["forced-only"] || undefined,
+      timing: postProcessingOptions(values).timing,
+      frameRate:
+        values["frame-rate"] === undefined
+          ? undefined
+          : Number(values["frame-rate"]),
+      verbose: values.verbose,
+      signal: controller.signal,
+    });
+    console.log(
+      `Extracted ${entries.length} subtitles of track ${track.index} (${track.language || "unknown"}) to ${values.output}`,
+    );
+  } catch (error) {
+    if (controller.signal.aborted) {
+      console.error("\nExtraction aborted");
+      process.exit(130);
+    }
     console.error(
-      `Error: Invalid quality level '${args.quality}'. Must be 'fast' or 'accurate'`,
+      error instanceof InputError ? "Error:" : "\nError during processing:",
+      error.message,
     );
+    if (values.verbose || process.env.DEBUG) {
+      console.error(error.stack);
+    }
     process.exit(1);
   }
+}
 
-  // Set up verbose logging
+/**
+ * Convert a directory tree of VobSub files
+ *
+ * Prints a line per file and a summary at the end. Exits with 1 if any file
+ * failed, 130 if aborted.
+ *
+ * @param {Object} args - Parsed command line arguments
+ */
+async function runBatch(args) {
+  const inputDir = args["input-dir"];
+  const outputDir = args["output-dir"];
   const verbose = args.verbose;
-  const idxFile = args.input;
-  const outputPath = args.output;
 
-  if (verbose) {
-    console.log("VobSub to SRT Decoder");
-    console.log("=====================");
-    console.log(`Input IDX file: ${idxFile}`);
-    console.log(`Output SRT file: ${outputPath}`);
-    console.log(`Verbose logging: enabled`);
-    console.log("");
+  if (!outputDir) {
+    console.error("Error: --output-dir is required with --input-dir");
+    process.exit(1);
+  }
+  if (args.debug) {
+    console.log("Debug mode is not supported with --input-dir, ignoring");
+  }
+  if (args.review) {
+    console.log("--review is not supported with --input-dir, ignoring");
+  }
+  if (args.mux) {
+    console.log("--mux is not supported with --input-dir, ignoring");
   }
 
-  // Create temporary directory for processing
-  let tempDir;
+  const controller = new AbortController();
+  process.once("SIGINT", () => controller.abort());
 
   try {
-    tempDir = await fs.mkdtemp(path.join(tmpdir(), "vobsub-"));
-    if (args.debug) {
-      tempDir = path.join(path.dirname(idxFile), "vobsub-debug");
-    }
-    if (verbose) console.log(`Created temporary directory: ${tempDir}`);
-
-    // Ensure output directory exists
-    const outputDir = path.dirname(outputPath);
-    await fs.mkdir(outputDir, { recursive: true });
+    const report = await convertDirectory({
+      inputDir,
+      outputDir,
+      jobs: Number(args.jobs),
+      format: args.format,
+      ocrEngine: args.engine,
+      ocrLanguage: args["ocr-language"],
+      quality: args.quality,
+      track: args.track,
+      allTracks: args["all-tracks"],
+      forcedOnly: args["forced-only"] || undefined,
+      markForced: args["mark-forced"],
+      cleanup: args.cleanup,
+      corrections: args.corrections,
+      spellfix: args.dictionary ?? args.spellfix,
+      cache: args["no-cache"] ? false : (args["cache-dir"] ?? true),
+      detectStyles: !args["no-styles"],
+      preprocess: args.preprocess,
+      segmentLines: !args["no-segment"],
+      ...postProcessingOptions(args),
+      verbose,
+      signal: controller.signal,
+      onFile: ({ input, status, error, completed, total }) => {
+        const detail = error ? `: ${error.message}` : "";
+        console.log(`[${completed}/${total}] ${status} ${input}${detail}`);
+      },
+    });
 
-    // Check if IDX file exists
-    try {
-      await fs.access(idxFile);
-    } catch (error) {
-      console.error(`Cannot access IDX file: ${error.message}`);
+    const { converted, skipped, failed } = report;
+    console.log("");
+    console.log(
+      `Converted: ${converted.length}, skipped: ${skipped.length}, failed: ${failed.length}`,
+    );
+    for (const { input, message } of failed) {
+      console.error(`  ✗ ${input}: ${message}`);
+    }
+    console.log(
+      `Report written to ${path.join(outputDir, "vobsub-report.json")}`,
+    );
+    if (failed.length > 0) {
       process.exit(1);
     }
+  } catch (error) {
+    if (controller.signal.aborted) {
+      console.error("\nConversion aborted");
+      process.exit(130);
+    }
+    console.error(
+      error instanceof InputError ? "Error:" : "\nError during processing:",
+      error.message,
+    );
+    if (verbose || process.env.DEBUG) {
+      console.error(error.stack);
+    }
+    process.exit(1);
+  }
+}
 
-    // Determine SUB file path (should be alongside IDX file)
-    const subFile = idxFile.replace(/\.idx$/i, ".sub");
+/**
+ * Main CLI function
+ *
+ * Validates the command line arguments and runs the conversion, which:
+ * 1. Validates input files
+ * 2. Creates a temporary directory for processing
+ * 3. Decodes subtitle frames of each selected track
+ * 4. Processes frames with OCR
+ * 5. Generates the output files
+ * 6. Cleans up temporary files
+ * 7. Adds the subtitles to a copy of the video with --mux
+ *
+ * Ctrl+C aborts the conversion and still cleans up.
+ */
+async function main() {
+  if (process.argv[2] === "compare") {
+    await runCompare(process.argv.slice(3));
+    return;
+  }
+  if (process.argv[2] === "extract") {
+    await runExtract(process.argv.slice(3));
+    return;
+  }
+
+  const args = parseCliArgs();
 
-    // Check if both IDX and SUB files exist
-    try {
-      await fs.access(subFile);
-    } catch (_error) {
-      console.error(`Cannot access SUB file: ${subFile}`);
-      console.error("SUB file must be in the same directory as IDX file");
+  if (args.help) {
+    showHelp();
+    process.exit(0);
+  }
+
+  if (args["list-tracks"]) {
+    if (!args.input) {
+      console.error("Error: --list-tracks requires an input (-i)");
       process.exit(1);
     }
+    await runListTracks(args);
+    return;
+  }
 
-    if (verbose) {
-      console.log(`SUB file: ${subFile}`);
-      console.log(`Temporary directory: ${tempDir}`);
-      console.log("");
+  if (args["input-dir"]) {
+    if (args.input || args.output) {
+      console.error("Error: --input-dir can't be combined with -i or -o");
+      process.exit(1);
     }
+    await runBatch(args);
+    return;
+  }
 
-    // Initialize decoder
-    const decoder = new VobSubDecoder({
-      verbose,
-      idxFile,
-      subFile,
-    });
+  if (!args.input || !args.output) {
+    console.error(
+      "Error: Both input (-i) and output (-o) arguments are required",
+    );
+    console.error("");
+    showHelp();
+    process.exit(1);
+  }
 
-    // Parse IDX file for timing information
-    await decoder.parse();
+  // Set up verbose logging
+  const verbose = args.verbose;
+  const input = args.input;
+  const outputPath = args.output;
+  const format = args.format ?? formatFromPath(outputPath) ?? "srt";
+  if (args.mux && !["srt", "vtt", "ass"].includes(format)) {
+    console.error(
+      `Error: --mux needs SRT, WebVTT or ASS subtitles, not ${format}`,
+    );
+    process.exit(1);
+  }
 
-    if (decoder.timeline.length === 0) {
-      console.error("No timeline could be created");
-      process.exit(1);
-    }
+  if (verbose) {
+    console.log("VobSub to SRT Decoder");
+    console.log("=====================");
+    console.log(`Input file: ${input}`);
+    console.log(`Output file: ${outputPath} (${format})`);
+    console.log(`OCR engine: ${args.engine}`);
+    console.log(`Verbose logging: enabled`);
+    console.log("");
+  }
 
-    // Process with Mac System OCR
-    if (verbose)
-      console.log(
-        `\nStarting Mac System OCR processing (${args.quality} quality)...`,
-      );
-    const srtEntries = await decoder.processFrames({
+  // Keep the frames next to the input in debug mode
+  const tempDir = args.debug
+    ? path.join(path.dirname(input), "vobsub-debug")
+    : undefined;
+  if (tempDir) {
+    console.log(`Debug mode: Not cleaning up temporary directory: ${tempDir}`);
+  }
+
+  const controller = new AbortController();
+  process.once("SIGINT", () => controller.abort());
+
+  try {
+    const results = await convert({
+      ...inputOptions(input),
+      outputPath,
+      format,
+      ocrEngine: args.engine,
+      ocrLanguage: args["ocr-language"],
       quality: args.quality,
+      track: args.track,
+      allTracks: args["all-tracks"],
+      // Without the flag, follow the IDX "forced subs:" setting
+      forcedOnly: args["forced-only"] || undefined,
+      markForced: args["mark-forced"],
+      cleanup: args.cleanup,
+      corrections: args.corrections,
+      spellfix: args.dictionary ?? args.spellfix,
+      cache: args["no-cache"] ? false : (args["cache-dir"] ?? true),
+      detectStyles: !args["no-styles"],
+      preprocess: args.preprocess,
+      segmentLines: !args["no-segment"],
+      ...postProcessingOptions(args),
+      review: args.review,
+      reviewThreshold: Number(args["review-threshold"]),
       tempDir,
+      debugImages: args.debug,
+      verbose,
+      signal: controller.signal,
+      onProgress: verbose ? undefined : showProgress,
     });
 
-    if (srtEntries.length === 0) {
-      console.error("No text could be extracted from subtitles");
-      process.exit(1);
+    for (const {
+      track,
+      entries,
+      unrecognized,
+      dense,
+      outputPath: written,
+      forcedOutputPath,
+      error,
+    } of results) {
+      if (error) {
+        console.warn(
+          `Warning: track ${track.index} (${track.language}) was not converted: ${error.message}`,
+        );
+        continue;
+      }
+      if (unrecognized.length > 0) {
+        const list = unrecognized.map((entry) => entry.index).join(", ");
+        console.warn(
+          `Warning: no text recognized for ${unrecognized.length} subtitles of track ${track.index} (entries ${list})`,
+        );
+      }
+      if (dense.length > 0) {
+        const indexes = new Set(dense.map((entry) => entry.index));
+        const list = [...indexes].join(", ");
+        console.warn(
+          `Warning: ${indexes.size} subtitles of track ${track.index} are too dense to read (entries ${list})`,
+        );
+      }
+      for (const { index, spellfixes = [] } of entries) {
+        if (spellfixes.length > 0) {
+          const list = spellfixes.map(({ from, to }) => `${from} → ${to}`);
+          console.log(`Spellfix entry ${index}: ${list.join(", ")}`);
+        }
+      }
+      if (entries.length === 0) {
+        console.warn(
+          `Warning: no text could be extracted from subtitles of track ${track.index}`,
+        );
+      } else if (args["all-tracks"]) {
+        console.log(
+          `Converted track ${track.index} (${track.language}) to ${written}`,
+        );
+      }
+      if (forcedOutputPath) {
+        console.log(`Forced subtitles: ${forcedOutputPath}`);
+      }
+    }
+    if (args.review) {
+      console.log(`Review file: ${args.review}`);
+    }
+    if (args.mux) {
+      const muxed = await muxSubtitles({
+        videoFile: args.mux,
+        outputPath: args["mux-output"] ?? muxOutputPath(args.mux),
+        subtitles: results
+          .filter((result) => result.outputPath)
+          .flatMap(({ track, outputPath: file, forcedOutputPath }, i) => [
+            {
+              file,
+              language: track.language,
+              default: args["mux-default"] && i === 0,
+              forced: args["mux-forced"],
+            },
+            // The forced entries of an SRT output get their own track
+            ...(forcedOutputPath
+              ? [
+                  {
+                    file: forcedOutputPath,
+                    language: track.language,
+                    forced: true,
+                  },
+                ]
+              : []),
+          ]),
+        verbose,
+        signal: controller.signal,
+      });
+      console.log(`Muxed video: ${muxed}`);
     }
-
-    // Generate SRT file
-    await decoder.generate(srtEntries, outputPath);
     console.log(`\n✅ Conversion complete!`);
   } catch (error) {
-    console.error("\nError during processing:", error.message);
+    if (controller.signal.aborted) {
+      console.error("\nConversion aborted");
+      process.exit(130);
+    }
+    console.error(
+      error instanceof InputError ? "Error:" : "\nError during processing:",
+      error.message,
+    );
     if (verbose || process.env.DEBUG) {
       console.error(error.stack);
     }
     process.exit(1);
-  } finally {
-    // Clean up temporary directory
-    if (tempDir) {
-      if (args.debug) {
-        console.log(
-          `Debug mode: Not cleaning up temporary directory: ${tempDir}`,
-        );
-        process.exit(0);
-      }
-      try {
-        await fs.rm(tempDir, { recursive: true, force: true });
-        if (verbose) console.log(`Cleaned up temporary directory: ${tempDir}`);
-      } catch (cleanupError) {
-        if (verbose)
-          console.warn(
-            `Failed to clean up temporary directory: ${cleanupError.message}`,
-          );
-      }
-    }
   }
 }
 
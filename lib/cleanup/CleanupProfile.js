@@ -0,0 +1,69 @@
+/**
+ * Characters kept by default: letters and marks of any script, numbers,
+ * punctuation, whitespace and a few symbols seen in subtitles
+ * @type {RegExp}
+ */
+const UNICODE_DISALLOWED = /[^\p{L}\p{M}\p{N}\p{P}\s♪♫$€£¥%&+=]/gu;
+
+/**
+ * CleanupProfile - Rules to clean up the raw text of an OCR engine
+ *
+ * Text is cleaned in a fixed order:
+ * 1. Literal character `replacements` for common OCR mistakes
+ * 2. Regular expression `rules`, in the order given
+ * 3. Removal of the characters matching `disallowed`
+ * 4. Whitespace normalization, keeping the line breaks of the OCR engine
+ *
+ * @class CleanupProfile
+ */
+class CleanupProfile {
+  /**
+   * @param {Object} options - Profile definition
+   * @param {string} options.name - Name of the profile, e.g. a language code
+   * @param {Record<string, string>} [options.replacements] - Literal
+   *   replacements, applied everywhere in the text
+   * @param {Array<[RegExp, string]>} [options.rules] - Patterns and their
+   *   replacement, as given to `String.prototype.replace`
+   * @param {RegExp} [options.disallowed] - Global pattern of the characters
+   *   to remove, defaults to anything that isn't a letter, number,
+   *   punctuation or whitespace
+   */
+  constructor({
+    name,
+    replacements = {},
+    rules = [],
+    disallowed = UNICODE_DISALLOWED,
+  }) {
+    this.name = name;
+    this.replacements = replacements;
+    this.rules = rules;
+    this.disallowed = disallowed;
+  }
+
+  /**
+   * Clean up raw OCR text
+   *
+   * @param {string} text - Raw OCR text
+   * @returns {string} Cleaned and normalized text
+   */
+  clean(text) {
+    if (!text) return text;
+
+    let cleanedText = text.normalize("NFC");
+    for (const [bad, good] of Object.entries(this.replacements)) {
+      cleanedText = cleanedText.replaceAll(bad, good);
+    }
+    for (const [pattern, replacement] of this.rules) {
+      cleanedText = cleanedText.replace(pattern, replacement);
+    }
+
+    return cleanedText
+      .replace(this.disallowed, "")
+      .split(/\r?\n/)
+      .map((line) => line.replace(/\s+/g, " ").trim()) // Collapse multiple spaces
+      .filter((line) => line.length > 0)
+      .join("\n");
+  }
+}
+
+export { CleanupProfile };
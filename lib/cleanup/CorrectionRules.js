@@ -0,0 +1,120 @@
+/**
+ * Escape text for use in a regular expression
+ *
+ * @param {string} text - Literal text
+ * @returns {string} Escaped text
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * Compile a correction rule to a regular expression
+ *
+ * @param {Object} rule - Rule definition
+ * @param {string} rule.find - Text to find, or a pattern with `regex`
+ * @param {boolean} [rule.regex=false] - Whether `find` is a regular expression
+ * @param {boolean} [rule.wholeWord=false] - Only match whole words
+ * @param {boolean} [rule.ignoreCase=false] - Match regardless of case
+ * @returns {RegExp} Global pattern of the rule
+ */
+function compileRule({ find, regex = false, wholeWord = false, ignoreCase }) {
+  let source = regex ? find : escapeRegExp(find);
+  if (wholeWord) {
+    source = `(?<![\\p{L}\\p{N}_])(?:${source})(?![\\p{L}\\p{N}_])`;
+  }
+  return new RegExp(source, `gu${ignoreCase ? "i" : ""}`);
+}
+
+/**
+ * CorrectionRules - User supplied fixes for recurring OCR misreads
+ *
+ * Rules are applied after the cleanup profile, in a fixed order: the
+ * `rules` for every language first, then the rules of the track language
+ * from `languages`, each list in the order it is given.
+ *
+ * @class CorrectionRules
+ */
+class CorrectionRules {
+  /**
+   * @param {Object} definition - Rule set, as loaded from a corrections file
+   * @param {Array<Object>} [definition.rules] - Rules for every language
+   * @param {Record<string, Array<Object>>} [definition.languages] - Rules by
+   *   language code
+   * @throws {Error} If a rule is invalid
+   */
+  constructor({ rules = [], languages = {} } = {}) {
+    const compile = (list, section) => {
+      if (!Array.isArray(list)) {
+        throw new Error(`'${section}' must be a list of rules`);
+      }
+      return list.map((rule, i) => {
+        const where = `${section}[${i}]`;
+        if (typeof rule?.find !== "string" || rule.find === "") {
+          throw new Error(`${where}: 'find' must be a non-empty string`);
+        }
+        if (typeof rule.replace !== "string") {
+          throw new Error(`${where}: 'replace' must be a string`);
+        }
+        let pattern;
+        try {
+          pattern = compileRule(rule);
+        } catch (error) {
+          throw new Error(`${where}: ${error.message}`);
+        }
+        return {
+          name: rule.name ?? `${rule.find} → ${rule.replace}`,
+          pattern,
+          replace: rule.replace,
+        };
+      });
+    };
+
+    if (typeof languages !== "object" || Array.isArray(languages)) {
+      throw new Error("'languages' must map language codes to rules");
+    }
+
+    /**
+     * @type {Array<{name: string, pattern: RegExp, replace: string}>}
+     *   Compiled rules for every language
+     * @private
+     */
+    this.rules = compile(rules, "rules");
+    /**
+     * @type {Record<string, Array<{name: string, pattern: RegExp, replace: string}>>}
+     *   Compiled rules by lowercase language code
+     * @private
+     */
+    this.languages = Object.fromEntries(
+      Object.entries(languages).map(([language, list]) => [
+        language.toLowerCase(),
+        compile(list, `languages.${language}`),
+      ]),
+    );
+  }
+
+  /**
+   * Apply the rules to the text of an entry
+   *
+   * @param {string} text - Cleaned OCR text
+   * @param {string} [language] - Language code of the track
+   * @returns {{text: string, changes: string[]}} Corrected text and the
+   *   names of the rules that changed it
+   */
+  apply(text, language) {
+    const rules = [
+      ...this.rules,
+      ...(this.languages[language?.toLowerCase()] ?? []),
+    ];
+    const changes = [];
+    let corrected = text;
+    for (const { name, pattern, replace } of rules) {
+      const next = corrected.replace(pattern, replace);
+      if (next !== corrected) changes.push(name);
+      corrected = next;
+    }
+    return { text: corrected, changes };
+  }
+}
+
+export { CorrectionRules };
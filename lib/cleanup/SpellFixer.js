@@ -0,0 +1,235 @@
+import fs from "node:fs/promises";
+
+/**
+ * Glyphs OCR engines commonly confuse, and what they may stand for
+ * @type {Array<[string, string]>}
+ */
+const CONFUSABLE_GLYPHS = [
+  ["rn", "m"],
+  ["m", "rn"],
+  ["cl", "d"],
+  ["vv", "w"],
+  ["0", "o"],
+  ["0", "O"],
+  ["1", "l"],
+  ["1", "I"],
+  ["l", "I"],
+  ["I", "l"],
+  ["5", "s"],
+  ["5", "S"],
+  ["8", "B"],
+];
+
+/**
+ * Maximum number of substitutions tried in a single word
+ * @type {number}
+ */
+const MAX_SUBSTITUTIONS = 2;
+
+/**
+ * Words of a text: letters and digits, with inner apostrophes and hyphens
+ * @type {RegExp}
+ */
+const WORD_PATTERN = /[\p{L}\p{N}]+(?:['’-][\p{L}\p{N}]+)*/gu;
+
+/**
+ * Words in lowercase, uppercase or capitalized
+ * @type {RegExp}
+ */
+const CONSISTENT_CASE = /^(?:\p{Lu}?[^\p{Lu}]*|[^\p{Ll}]*)$/u;
+
+/**
+ * Parse the affix rules of a Hunspell .aff file
+ *
+ * Only plain prefix and suffix rules are supported, which is enough to
+ * expand the common word forms of a dictionary.
+ *
+ * @param {string} content - Contents of the .aff file
+ * @returns {Map<string, {type: string, cross: boolean, rules: Array<{strip: string, add: string, condition: RegExp}>}>}
+ *   Affix classes by flag
+ */
+function parseAffixes(content) {
+  const affixes = new Map();
+  for (const line of content.split(/\r?\n/)) {
+    const [type, flag, ...rest] = line.trim().split(/\s+/);
+    if (type !== "PFX" && type !== "SFX") continue;
+    const affix = affixes.get(flag);
+    if (!affix) {
+      affixes.set(flag, { type, cross: rest[0] === "Y", rules: [] });
+      continue;
+    }
+    const [strip, add = "0", condition = "."] = rest;
+    const source = type === "SFX" ? `${condition}$` : `^${condition}`;
+    affix.rules.push({
+      strip: strip === "0" ? "" : strip,
+      add: add === "0" ? "" : add.split("/")[0],
+      condition: new RegExp(source, "u"),
+    });
+  }
+  return affixes;
+}
+
+/**
+ * Expand a dictionary word with its affix flags
+ *
+ * @param {string} word - Dictionary stem
+ * @param {string} flags - Affix flags of the stem, one character each
+ * @param {Map} affixes - Affix classes from `parseAffixes`
+ * @returns {string[]} The stem and its derived forms
+ */
+function expandWord(word, flags, affixes) {
+  const apply = (forms, type) =>
+    forms.flatMap((form) =>
+      [...flags].flatMap((flag) => {
+        const affix = affixes.get(flag);
+        if (affix?.type !== type) return [];
+        return affix.rules
+          .filter((rule) => rule.condition.test(form.word))
+          .map((rule) => ({
+            word:
+              type === "SFX"
+                ? form.word.slice(0, form.word.length - rule.strip.length) +
+                  rule.add
+                : rule.add + form.word.slice(rule.strip.length),
+            cross: form.cross && affix.cross,
+          }));
+      }),
+    );
+
+  const suffixed = apply([{ word, cross: true }], "SFX");
+  const prefixed = apply(
+    [{ word, cross: true }, ...suffixed.filter((form) => form.cross)],
+    "PFX",
+  );
+  return [word, ...suffixed, ...prefixed].map((form) => form.word ?? form);
+}
+
+/**
+ * SpellFixer - Dictionary based fix of confusable OCR glyphs
+ *
+ * Each word that isn't in the dictionary is tried with substitutions of
+ * glyphs that OCR engines often confuse, like "rn" for "m" or "0" for "o".
+ * A word is only replaced when exactly one candidate is a dictionary word,
+ * so real words and unknown names are left alone.
+ *
+ * @class SpellFixer
+ */
+class SpellFixer {
+  /**
+   * @param {Iterable<string>} words - Dictionary words, matched regardless
+   *   of case
+   */
+  constructor(words) {
+    /**
+     * @type {Set<string>} Lowercase dictionary words
+     * @private
+     */
+    this.words = new Set([...words].map((word) => word.toLowerCase()));
+  }
+
+  /**
+   * Load a dictionary from a wordlist or a Hunspell dictionary
+   *
+   * Wordlists have one word per line. Hunspell .dic files are expanded with
+   * the prefix and suffix rules of the .aff file next to them, if any.
+   *
+   * @param {string} file - Path to the wordlist or .dic file
+   * @returns {Promise<SpellFixer>} The spell fixer
+   */
+  static async load(file) {
+    const content = await fs.readFile(file, "utf-8");
+    const lines = content.split(/\r?\n/).filter((line) => line.trim());
+    if (!file.toLowerCase().endsWith(".dic")) {
+      return new SpellFixer(lines.map((line) => line.trim()));
+    }
+
+    let affixes = new Map();
+    try {
+      affixes = parseAffixes(
+        await fs.readFile(file.replace(/\.dic$/i, ".aff"), "utf-8"),
+      );
+    } catch (_error) {
+      // Without affix rules, only the stems are known
+    }
+    // The first line of a .dic file is the number of words
+    const entries = /^\d+$/.test(lines[0].trim()) ? lines.slice(1) : lines;
+    return new SpellFixer(
+      entries.flatMap((entry) => {
+        const [word, flags = ""] = entry.trim().split(/\s/)[0].split("/");
+        return expandWord(word, flags, affixes);
+      }),
+    );
+  }
+
+  /**
+   * Check whether a word is in the dictionary
+   *
+   * @param {string} word - Word to check
+   * @returns {boolean} Whether the word is known
+   */
+  has(word) {
+    return this.words.has(word.toLowerCase());
+  }
+
+  /**
+   * Find the dictionary word an unknown word was misread from
+   *
+   * @private
+   * @param {string} word - Unknown word
+   * @returns {string|null} The only dictionary word reachable with glyph
+   *   substitutions, null if there are none or several
+   */
+  suggest(word) {
+    const found = new Set();
+    let pending = new Set([word]);
+    const seen = new Set(pending);
+    for (let depth = 0; depth < MAX_SUBSTITUTIONS; depth++) {
+      const next = new Set();
+      for (const form of pending) {
+        for (const [glyph, replacement] of CONFUSABLE_GLYPHS) {
+          for (
+            let i = form.indexOf(glyph);
+            i !== -1;
+            i = form.indexOf(glyph, i + 1)
+          ) {
+            const candidate =
+              form.slice(0, i) + replacement + form.slice(i + glyph.length);
+            if (seen.has(candidate)) continue;
+            seen.add(candidate);
+            if (this.has(candidate)) found.add(candidate.toLowerCase());
+            next.add(candidate);
+          }
+        }
+      }
+      // Prefer the candidates with the fewest substitutions
+      if (found.size > 0) break;
+      pending = next;
+    }
+    if (found.size !== 1) return null;
+    const [match] = found;
+    const forms = [...seen].filter((form) => form.toLowerCase() === match);
+    // "0K" gives both "oK" and "OK", keep the one with a consistent case
+    return forms.find((form) => CONSISTENT_CASE.test(form)) ?? forms[0];
+  }
+
+  /**
+   * Fix the misread words of a text
+   *
+   * @param {string} text - Text to fix
+   * @returns {{text: string, changes: Array<{from: string, to: string}>}}
+   *   Fixed text and the words that were replaced
+   */
+  fix(text) {
+    const changes = [];
+    const fixed = text.replace(WORD_PATTERN, (word) => {
+      if (this.has(word) || /^\p{N}+$/u.test(word)) return word;
+      const suggestion = this.suggest(word);
+      if (!suggestion) return word;
+      changes.push({ from: word, to: suggestion });
+      return suggestion;
+    });
+    return { text: fixed, changes };
+  }
+}
+
+export { SpellFixer, CONFUSABLE_GLYPHS };
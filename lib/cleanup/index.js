@@ -0,0 +1,253 @@
+import fs from "node:fs/promises";
+import path from "node:path";
+import { homedir } from "node:os";
+import { parse as parseYaml } from "yaml";
+import { CleanupProfile } from "./CleanupProfile.js";
+import { CorrectionRules } from "./CorrectionRules.js";
+import { SpellFixer, CONFUSABLE_GLYPHS } from "./SpellFixer.js";
+import { InputError } from "../errors.js";
+
+/**
+ * Replacements shared by the Unicode profiles
+ * @type {Record<string, string>}
+ */
+const COMMON_REPLACEMENTS = {
+  "|": "I",
+};
+
+/**
+ * Replacements of the ASCII profile, which folds accented capitals
+ * @type {Record<string, string>}
+ */
+const ASCII_REPLACEMENTS = {
+  "/": "I",
+  "\\": "I",
+  "|": "I",
+  "~": "-",
+  "°": "o",
+  "¢": "c",
+  "£": "E",
+  "¥": "Y",
+  "§": "S",
+  "©": "O",
+  "®": "R",
+  "±": "+",
+  "²": "2",
+  "³": "3",
+  "¹": "1",
+  "¼": "1/4",
+  "½": "1/2",
+  "¾": "3/4",
+  À: "A",
+  Á: "A",
+  Â: "A",
+  Ã: "A",
+  Ä: "A",
+  Å: "A",
+  È: "E",
+  É: "E",
+  Ê: "E",
+  Ë: "E",
+  Ì: "I",
+  Í: "I",
+  Î: "I",
+  Ï: "I",
+  Ò: "O",
+  Ó: "O",
+  Ô: "O",
+  Õ: "O",
+  Ö: "O",
+  Ù: "U",
+  Ú: "U",
+  Û: "U",
+  Ü: "U",
+};
+
+/**
+ * Built-in cleanup profiles by name
+ *
+ * Language profiles are named after the IDX `id:` language code. "unicode"
+ * is used for other languages, and "ascii" is the legacy behavior, which
+ * only keeps ASCII letters and basic punctuation.
+ *
+ * @type {Record<string, CleanupProfile>}
+ */
+const cleanupProfiles = {
+  ascii: new CleanupProfile({
+    name: "ascii",
+    replacements: ASCII_REPLACEMENTS,
+    disallowed: /[^\w\s.,!?;:()\-"']/g,
+  }),
+  unicode: new CleanupProfile({
+    name: "unicode",
+    replacements: COMMON_REPLACEMENTS,
+  }),
+  en: new CleanupProfile({
+    name: "en",
+    replacements: COMMON_REPLACEMENTS,
+    rules: [
+      // Lowercase l read for a capital I: "l'm", "l will"
+      [/\bl(?='(?:m|ll|ve|d)\b)/g, "I"],
+      [/(?<![\w'])l(?![\w'])/g, "I"],
+      // Capital I read for a lowercase l inside a word: "heIlo"
+      [/(?<=[a-z])I(?=[a-z])/g, "l"],
+    ],
+  }),
+  fr: new CleanupProfile({
+    name: "fr",
+    replacements: { ...COMMON_REPLACEMENTS, "<<": "«", ">>": "»" },
+    rules: [
+      [/\.{3}/g, "…"],
+      // Guillemets and high punctuation are preceded by a space
+      [/«\s*/g, "« "],
+      [/\s*»/g, " »"],
+      [/(?<=[\p{L}»])([?!;:])/gu, " $1"],
+    ],
+  }),
+  de: new CleanupProfile({
+    name: "de",
+    replacements: { ...COMMON_REPLACEMENTS, ",,": "„" },
+  }),
+  es: new CleanupProfile({
+    name: "es",
+    replacements: COMMON_REPLACEMENTS,
+    rules: [
+      // Inverted exclamation mark read as an i: "iHola!"
+      [/(?<![\p{L}\p{N}])i(?=\p{Lu})/gu, "¡"],
+    ],
+  }),
+};
+
+/**
+ * Resolve a cleanup profile by name or from a track language
+ *
+ * @param {string|CleanupProfile} [profile="auto"] - Profile name, "auto" to
+ *   pick it from `language`, or a CleanupProfile instance
+ * @param {string} [language] - Language code of the track
+ * @returns {CleanupProfile} The cleanup profile
+ * @throws {Error} If the profile name is unknown
+ */
+function createCleanupProfile(profile = "auto", language) {
+  if (typeof profile !== "string") return profile;
+  if (profile === "auto") {
+    return cleanupProfiles[language?.toLowerCase()] ?? cleanupProfiles.unicode;
+  }
+  const found = cleanupProfiles[profile.toLowerCase()];
+  if (!found) {
+    throw new Error(
+      `Unknown cleanup profile '${profile}'. Must be 'auto' or one of: ${Object.keys(cleanupProfiles).join(", ")}`,
+    );
+  }
+  return found;
+}
+
+/**
+ * Load correction rules from a JSON or YAML file
+ *
+ * Files with a .yaml or .yml extension are read as YAML, others as JSON.
+ *
+ * @param {string} file - Path to the corrections file
+ * @returns {Promise<CorrectionRules>} The loaded rules
+ * @throws {InputError} If the file can't be read or its rules are invalid
+ */
+async function loadCorrectionRules(file) {
+  let content;
+  try {
+    content = await fs.readFile(file, "utf-8");
+  } catch (error) {
+    throw new InputError(`Cannot read corrections file: ${file}`, {
+      cause: error,
+    });
+  }
+  try {
+    const yaml = /^\.ya?ml$/i.test(path.extname(file));
+    return new CorrectionRules(
+      (yaml ? parseYaml(content) : JSON.parse(content)) ?? {},
+    );
+  } catch (error) {
+    throw new InputError(`Invalid corrections file ${file}: ${error.message}`, {
+      cause: error,
+    });
+  }
+}
+
+/**
+ * Directories searched for Hunspell dictionaries
+ * @type {string[]}
+ */
+const DICTIONARY_DIRS = [
+  "/usr/share/hunspell",
+  "/usr/share/myspell",
+  "/usr/share/myspell/dicts",
+  "/usr/local/share/hunspell",
+  "/opt/homebrew/share/hunspell",
+  "/Library/Spelling",
+  path.join(homedir(), "Library", "Spelling"),
+];
+
+/**
+ * Find an installed dictionary for a language
+ *
+ * Looks for a Hunspell dictionary named after the language, like
+ * `fr.dic` or `fr_FR.dic`, and falls back to the system wordlist
+ * (/usr/share/dict/words) for English.
+ *
+ * @param {string} language - Language code of the track
+ * @returns {Promise<string|null>} Path of the dictionary, null if none
+ */
+async function findDictionary(language) {
+  if (!language) return null;
+  const prefix = language.toLowerCase();
+  for (const dir of DICTIONARY_DIRS) {
+    let files;
+    try {
+      files = await fs.readdir(dir);
+    } catch (_error) {
+      continue;
+    }
+    const found = files
+      .filter((file) => {
+        const name = file.toLowerCase();
+        return name === `${prefix}.dic` || name.startsWith(`${prefix}_`);
+      })
+      .filter((file) => file.toLowerCase().endsWith(".dic"))
+      .sort();
+    if (found.length > 0) return path.join(dir, found[0]);
+  }
+  if (prefix === "en") {
+    try {
+      await fs.access("/usr/share/dict/words");
+      return "/usr/share/dict/words";
+    } catch (_error) {
+      // No system wordlist
+    }
+  }
+  return null;
+}
+
+/**
+ * Load a spell fixer from a wordlist or Hunspell dictionary
+ *
+ * @param {string} file - Path to the wordlist or .dic file
+ * @returns {Promise<SpellFixer>} The spell fixer
+ * @throws {InputError} If the dictionary can't be read
+ */
+async function loadSpellFixer(file) {
+  try {
+    return await SpellFixer.load(file);
+  } catch (error) {
+    throw new InputError(`Cannot read dictionary: ${file}`, { cause: error });
+  }
+}
+
+export {
+  CONFUSABLE_GLYPHS,
+  CleanupProfile,
+  CorrectionRules,
+  SpellFixer,
+  cleanupProfiles,
+  createCleanupProfile,
+  findDictionary,
+  loadCorrectionRules,
+  loadSpellFixer,
+};
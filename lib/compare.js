@@ -0,0 +1,178 @@
+import fs from "node:fs/promises";
+import { InputError } from "./errors.js";
+import { editDistance } from "./utils.js";
+
+/**
+ * Timing line of an SRT cue, WebVTT style timestamps are accepted too
+ * @private
+ */
+const TIMING_LINE =
+  /^(\d+):(\d{2}):(\d{2})[,.](\d{3})\s*-->\s*(\d+):(\d{2}):(\d{2})[,.](\d{3})/;
+
+/**
+ * Parse the contents of an SRT file
+ *
+ * Cues are blocks separated by blank lines, with an optional counter, a
+ * timing line and the text. Blocks without a timing line are skipped.
+ *
+ * @param {string} content - SRT file contents
+ * @returns {Array<{index: number, startTime: number, endTime: number, text: string}>}
+ *   Cues in file order, with times in milliseconds
+ */
+function parseSrt(content) {
+  const cues = [];
+  for (const block of content.replace(/^\uFEFF/, "").split(/\r?\n\s*\r?\n/)) {
+    const lines = block.trim().split(/\r?\n/);
+    const timing = lines.findIndex((line) => TIMING_LINE.test(line));
+    if (timing === -1) continue;
+    const [, ...parts] = lines[timing].match(TIMING_LINE);
+    const [h1, m1, s1, ms1, h2, m2, s2, ms2] = parts.map(Number);
+    cues.push({
+      index: cues.length,
+      startTime: ((h1 * 60 + m1) * 60 + s1) * 1000 + ms1,
+      endTime: ((h2 * 60 + m2) * 60 + s2) * 1000 + ms2,
+      text: lines.slice(timing + 1).join("\n"),
+    });
+  }
+  return cues;
+}
+
+/**
+ * Read and parse an SRT file
+ *
+ * @param {string} file - Path to the SRT file
+ * @returns {Promise<Array<Object>>} Cues, see `parseSrt`
+ * @throws {InputError} If the file can't be read or has no cues
+ */
+async function readSrt(file) {
+  let content;
+  try {
+    content = await fs.readFile(file, "utf-8");
+  } catch (error) {
+    throw new InputError(`Cannot read subtitle file: ${file}`, {
+      cause: error,
+    });
+  }
+  const cues = parseSrt(content);
+  if (cues.length === 0) {
+    throw new InputError(`No subtitles found in ${file}`);
+  }
+  return cues;
+}
+
+/**
+ * Reduce cue text to what is compared: tags are removed and lines joined
+ *
+ * @param {string} text - Cue text
+ * @returns {string} Plain text on one line
+ */
+function plainText(text) {
+  return text
+    .replace(/<[^>]*>|\{[^}]*\}/g, "")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+/**
+ * Pair generated cues with reference cues by time
+ *
+ * Pairs overlapping the most are taken first, each cue being used once.
+ *
+ * @param {Array<Object>} generated - Generated cues
+ * @param {Array<Object>} reference - Reference cues
+ * @returns {Array<[Object, Object]>} Pairs of generated and reference cues
+ */
+function alignCues(generated, reference) {
+  const candidates = [];
+  for (const a of generated) {
+    for (const b of reference) {
+      const overlap =
+        Math.min(a.endTime, b.endTime) - Math.max(a.startTime, b.startTime);
+      if (overlap > 0) candidates.push({ a, b, overlap });
+    }
+  }
+  candidates.sort((x, y) => y.overlap - x.overlap);
+  const used = new Set();
+  const pairs = [];
+  for (const { a, b } of candidates) {
+    if (used.has(a) || used.has(b)) continue;
+    used.add(a);
+    used.add(b);
+    pairs.push([a, b]);
+  }
+  return pairs.sort(([, x], [, y]) => x.startTime - y.startTime);
+}
+
+/**
+ * Score generated subtitles against reference subtitles
+ *
+ * Cues are paired by time. The character and word error rates count the
+ * edits turning the generated text into the reference, over the length of
+ * the reference, with missing cues counted as deleted text and extra cues
+ * as inserted text. Tags and line breaks are ignored. The drift is the
+ * difference between the start times of paired cues.
+ *
+ * @param {Array<Object>} generated - Generated cues
+ * @param {Array<Object>} reference - Reference cues
+ * @returns {{cer: number, wer: number, matched: number, drift: {mean: number, meanAbsolute: number, max: number}, missing: Array<Object>, extra: Array<Object>, differences: Array<Object>}}
+ *   The scores, the missing and extra cues, and the paired cues whose
+ *   text differs
+ */
+function compareSubtitles(generated, reference) {
+  const pairs = alignCues(generated, reference);
+  const paired = new Set(pairs.flat());
+  const missing = reference.filter((cue) => !paired.has(cue));
+  const extra = generated.filter((cue) => !paired.has(cue));
+
+  const words = (text) => text.split(" ").filter(Boolean);
+  let characters = 0;
+  let characterErrors = 0;
+  let wordCount = 0;
+  let wordErrors = 0;
+  const differences = [];
+  for (const [a, b] of pairs) {
+    const actual = plainText(a.text);
+    const expected = plainText(b.text);
+    characters += expected.length;
+    characterErrors += editDistance(actual, expected);
+    wordCount += words(expected).length;
+    wordErrors += editDistance(words(actual), words(expected));
+    if (actual !== expected) {
+      differences.push({ startTime: b.startTime, actual, expected });
+    }
+  }
+  for (const { text } of missing) {
+    const plain = plainText(text);
+    characters += plain.length;
+    characterErrors += plain.length;
+    wordCount += words(plain).length;
+    wordErrors += words(plain).length;
+  }
+  for (const { text } of extra) {
+    const plain = plainText(text);
+    characterErrors += plain.length;
+    wordErrors += words(plain).length;
+  }
+
+  const drifts = pairs.map(([a, b]) => a.startTime - b.startTime);
+  const sum = (values) => values.reduce((total, value) => total + value, 0);
+  const average = (values) =>
+    values.length > 0 ? sum(values) / values.length : 0;
+  const absolute = drifts.map(Math.abs);
+
+  return {
+    cer: characters > 0 ? characterErrors / characters : 0,
+    wer: wordCount > 0 ? wordErrors / wordCount : 0,
+    matched: pairs.length,
+    drift: {
+      mean: Math.round(average(drifts)),
+      meanAbsolute: Math.round(average(absolute)),
+      max: Math.max(0, ...absolute),
+    },
+    missing,
+    extra,
+    differences,
+  };
+}
+
+export { parseSrt, readSrt, compareSubtitles };
@@ -0,0 +1,584 @@
+import fs from "node:fs/promises";
+import path from "node:path";
+import { tmpdir } from "node:os";
+import { VobSubDecoder } from "./VobSubDecoder.js";
+import { createOcrEngine, defaultOcrEngine, OcrCache } from "./ocr/index.js";
+import { createSubtitleWriter, formatFromPath } from "./writers/index.js";
+import {
+  createCleanupProfile,
+  findDictionary,
+  loadCorrectionRules,
+  loadSpellFixer,
+} from "./cleanup/index.js";
+import { InputError, NoSubtitlesError, OcrError } from "./errors.js";
+import { DEFAULT_REVIEW_THRESHOLD, writeReview } from "./review.js";
+import { checkReadingSpeed } from "./readability.js";
+import { containerFromPath, resolvePreprocessSteps } from "./vobsub/index.js";
+import { retime } from "./timing.js";
+import { mergeDuplicates, splitDialogue } from "./merge.js";
+
+/**
+ * Build the output path of a track when converting all tracks
+ *
+ * The track language is inserted before the extension, e.g. `movie.srt`
+ * becomes `movie.en.srt`. Tracks without a language, or sharing it with
+ * another track, use their index instead.
+ *
+ * @param {string} outputPath - Output path of the conversion
+ * @param {{index: number, language: string}} track - Track to convert
+ * @param {Array<{index: number, language: string}>} tracks - All tracks
+ * @returns {string} Output path for the track
+ */
+function trackOutputPath(outputPath, track, tracks) {
+  const { dir, name, ext } = path.parse(outputPath);
+  const shared = tracks.filter((t) => t.language === track.language).length;
+  const suffix =
+    track.language && shared === 1
+      ? track.language
+      : [track.language, track.index].filter((s) => s !== "").join(".");
+  return path.join(dir, `${name}.${suffix}${ext}`);
+}
+
+/**
+ * Build the path of the file holding the forced entries of an SRT output,
+ * `movie.en.srt` becoming `movie.en.forced.srt`
+ *
+ * @private
+ * @param {string} outputPath - Output path of the track
+ * @returns {string} Path of the forced subtitles file
+ */
+function forcedOutputPath(outputPath) {
+  const { dir, name, ext } = path.parse(outputPath);
+  return path.join(dir, `${name}.forced${ext}`);
+}
+
+/**
+ * Create a function giving the spell fixer of a track language
+ *
+ * Dictionaries are loaded once per language.
+ *
+ * @param {boolean|string|SpellFixer} spellfix - `true` to use the installed
+ *   dictionary of each language, or the path of a dictionary or a spell
+ *   fixer for every track
+ * @returns {(language: string) => Promise<SpellFixer|null>} Spell fixer
+ *   lookup, giving null when spell fixing is off
+ */
+function spellFixerLookup(spellfix) {
+  const cache = new Map();
+  return async (language) => {
+    if (!spellfix) return null;
+    if (typeof spellfix === "object") return spellfix;
+    const key = spellfix === true ? language : spellfix;
+    if (!cache.has(key)) {
+      const file =
+        spellfix === true ? await findDictionary(language) : spellfix;
+      if (!file) {
+        throw new InputError(
+          `No dictionary found for language '${language}', give the path of a wordlist or Hunspell dictionary instead`,
+        );
+      }
+      cache.set(key, await loadSpellFixer(file));
+    }
+    return cache.get(key);
+  };
+}
+
+/**
+ * Check that the input files of a conversion exist
+ *
+ * @param {Object} files - Input files
+ * @param {string} [files.idxFile] - Path to the IDX file
+ * @param {string} [files.subFile] - Path to the SUB file
+ * @param {string} [files.inputFile] - Path to the MKV or VOB file
+ * @returns {Promise<void>}
+ * @throws {InputError} If a file can't be accessed, or the input file
+ *   isn't an MKV or VOB file
+ */
+async function checkInputFiles({ idxFile, subFile, inputFile }) {
+  if (inputFile && !containerFromPath(inputFile)) {
+    throw new InputError(
+      `Unsupported input file: ${inputFile}, expected an MKV or VOB file`,
+    );
+  }
+  const files = inputFile
+    ? [[inputFile, containerFromPath(inputFile).toUpperCase()]]
+    : [
+        [idxFile, "IDX"],
+        [subFile, "SUB"],
+      ];
+  for (const [file, kind] of files) {
+    try {
+      await fs.access(file);
+    } catch (error) {
+      throw new InputError(`Cannot access ${kind} file: ${file}`, {
+        cause: error,
+      });
+    }
+  }
+}
+
+/**
+ * Validate the conversion options and resolve the OCR engine and writer
+ *
+ * @param {Object} options - Options passed to `convert`
+ * @returns {{ocrEngine: OcrEngine, writer: SubtitleWriter}} Resolved engine
+ *   and writer
+ * @throws {InputError} If an option is invalid
+ */
+function resolveOptions(options) {
+  const {
+    idxFile,
+    inputFile,
+    outputPath,
+    format,
+    quality = "fast",
+    ocrEngine = defaultOcrEngine,
+    ocrLanguage,
+    track,
+    allTracks = false,
+    cleanup,
+    preprocess,
+    reviewThreshold = DEFAULT_REVIEW_THRESHOLD,
+    maxLineLength,
+    maxLines,
+    readingSpeed,
+    timing,
+    merge,
+    verbose = false,
+  } = options;
+
+  if (!idxFile === !inputFile) {
+    throw new InputError(
+      "Either the idxFile or the inputFile option is required",
+    );
+  }
+  if (!["fast", "accurate"].includes(quality)) {
+    throw new InputError(
+      `Invalid quality level '${quality}'. Must be 'fast' or 'accurate'`,
+    );
+  }
+  if (track !== undefined && allTracks) {
+    throw new InputError("The track and allTracks options can't be combined");
+  }
+  if (
+    typeof reviewThreshold !== "number" ||
+    !(reviewThreshold >= 0 && reviewThreshold <= 1)
+  ) {
+    throw new InputError(
+      `Invalid review threshold '${reviewThreshold}'. Must be between 0 and 1`,
+    );
+  }
+  for (const [name, value, integer] of [
+    ["maxLineLength", maxLineLength, true],
+    ["maxLines", maxLines, true],
+    ["readingSpeed.maxCps", readingSpeed?.maxCps, false],
+    ["readingSpeed.minDuration", readingSpeed?.minDuration, false],
+    ["timing.fpsFrom", timing?.fpsFrom, false],
+    ["timing.fpsTo", timing?.fpsTo, false],
+    ["timing.minDuration", timing?.minDuration, false],
+    ["merge.maxGap", merge?.maxGap, false],
+  ]) {
+    if (
+      value !== undefined &&
+      !(value > 0 && (!integer || Number.isInteger(value)))
+    ) {
+      throw new InputError(
+        `Invalid ${name} '${value}'. Must be a positive ${integer ? "integer" : "number"}`,
+      );
+    }
+  }
+  if (
+    readingSpeed?.action &&
+    !["flag", "split"].includes(readingSpeed.action)
+  ) {
+    throw new InputError(
+      `Invalid reading speed action '${readingSpeed.action}'. Must be 'flag' or 'split'`,
+    );
+  }
+  if (timing?.offset !== undefined && !Number.isFinite(timing.offset)) {
+    throw new InputError(
+      `Invalid timing.offset '${timing.offset}'. Must be a number of milliseconds`,
+    );
+  }
+  const similarity = merge?.similarity;
+  if (
+    similarity !== undefined &&
+    !(typeof similarity === "number" && similarity >= 0 && similarity <= 1)
+  ) {
+    throw new InputError(
+      `Invalid merge.similarity '${similarity}'. Must be between 0 and 1`,
+    );
+  }
+  if ((timing?.fpsFrom === undefined) !== (timing?.fpsTo === undefined)) {
+    throw new InputError(
+      "The timing.fpsFrom and timing.fpsTo options must be given together",
+    );
+  }
+  if (outputPath && path.extname(outputPath).toLowerCase() === ".ssa") {
+    throw new InputError(
+      "SSA output isn't supported, write an ASS file (.ass) instead",
+    );
+  }
+  if (ocrEngine === "mac" && process.platform !== "darwin") {
+    throw new InputError(
+      "The 'mac' OCR engine is only supported on macOS, use the 'tesseract' engine instead",
+    );
+  }
+
+  try {
+    createCleanupProfile(cleanup);
+    resolvePreprocessSteps(preprocess);
+    return {
+      ocrEngine: createOcrEngine(ocrEngine, { verbose, language: ocrLanguage }),
+      writer: createSubtitleWriter(
+        format ?? (outputPath && formatFromPath(outputPath)) ?? "srt",
+      ),
+    };
+  } catch (error) {
+    throw new InputError(error.message, { cause: error });
+  }
+}
+
+/**
+ * Convert VobSub subtitles to text subtitles
+ *
+ * Runs the whole pipeline: parse the IDX/SUB files, or the VobSub streams
+ * of an MKV or VOB file, decode the subtitle frames, recognize their text
+ * and, when an `outputPath` is given, write the subtitle file. With
+ * `allTracks`, every track with subtitles is converted and written next to
+ * `outputPath` with its language code, e.g. `movie.en.srt`.
+ *
+ * @param {Object} options - Conversion options
+ * @param {string} [options.idxFile] - Path to the IDX file
+ * @param {string} [options.subFile] - Path to the SUB file, defaults to the
+ *   IDX path with a .sub extension
+ * @param {string} [options.inputFile] - Path to an MKV or VOB file to
+ *   convert instead of an IDX/SUB pair; VOB files are read with the IFO
+ *   file of their title set
+ * @param {string} [options.outputPath] - Path of the subtitle file to write,
+ *   nothing is written without it
+ * @param {string|SubtitleWriter} [options.format] - Output format, defaults
+ *   to the `outputPath` extension or "srt"
+ * @param {string|OcrEngine} [options.ocrEngine] - OCR engine name or instance
+ * @param {string} [options.ocrLanguage] - Tesseract language code(s) of an
+ *   engine given by name, e.g. "eng+fra"; each track is read in its own
+ *   language by default
+ * @param {"fast"|"accurate"} [options.quality="fast"] - OCR quality
+ * @param {number|string} [options.track] - Track index or language code
+ * @param {boolean} [options.allTracks=false] - Convert every track
+ * @param {boolean} [options.forcedOnly] - Only convert forced subtitles
+ * @param {boolean} [options.markForced=false] - Tag forced subtitles; SRT
+ *   has no way to, so they're also written to a `.forced.srt` file next to
+ *   the output
+ * @param {string|CleanupProfile} [options.cleanup="auto"] - OCR text cleanup
+ *   profile, picked from the track language by default
+ * @param {string|CorrectionRules} [options.corrections] - Path of a JSON or
+ *   YAML corrections file, or loaded correction rules
+ * @param {boolean} [options.detectStyles=true] - Detect italics and text
+ *   colors from the subtitle bitmaps
+ * @param {string|string[]} [options.preprocess] - Image preprocessing
+ *   before OCR: a preset ("none", "basic", "standard" or "strong") or a
+ *   list of steps, see `preprocessImage`; defaults to the preset of the OCR
+ *   engine, "basic" for Tesseract and "none" for Mac System OCR
+ * @param {boolean} [options.debugImages=false] - Save the image of every
+ *   preprocessing step next to the frames in `tempDir`
+ * @param {boolean} [options.segmentLines=true] - Recognize each line of text
+ *   of a subtitle on its own
+ * @param {number} [options.maxLineLength] - Wrap lines longer than this,
+ *   OCR line breaks are kept otherwise
+ * @param {number} [options.maxLines] - Wrap text with more lines than this
+ * @param {boolean|Object} [options.merge=false] - Merge consecutive entries
+ *   with the same text, see `mergeDuplicates`
+ * @param {number} [options.merge.maxGap=120] - Largest gap in ms between
+ *   merged entries
+ * @param {number} [options.merge.similarity=0.85] - Smallest text
+ *   similarity of merged entries, from 0 to 1
+ * @param {boolean} [options.splitDialogue=false] - Split dialogues marked
+ *   with dashes into one entry per speaker
+ * @param {Object} [options.timing] - Retime the entries, see `retime`
+ * @param {number} [options.timing.offset=0] - Delay in milliseconds
+ * @param {number} [options.timing.fpsFrom] - Frame rate the subtitles were
+ *   timed for, to convert to `fpsTo`
+ * @param {number} [options.timing.fpsTo] - Frame rate of the target video
+ * @param {number} [options.timing.minDuration] - Minimum display time in ms
+ * @param {boolean} [options.timing.fixOverlaps=false] - End entries when
+ *   the next one starts
+ * @param {Object} [options.readingSpeed] - Check that entries can be read
+ *   in time, see `checkReadingSpeed`
+ * @param {number} [options.readingSpeed.maxCps] - Maximum characters per second
+ * @param {number} [options.readingSpeed.minDuration] - Minimum display time in ms
+ * @param {"flag"|"split"} [options.readingSpeed.action="flag"] - Whether to
+ *   only flag dense entries, or split them at their line breaks
+ * @param {boolean|string|OcrCache} [options.cache=false] - Reuse the OCR
+ *   results of bitmaps recognized before: `true` for the default cache
+ *   directory, or a directory path or an OcrCache; off by default, so
+ *   nothing is written to the cache unless asked
+ * @param {boolean|string|SpellFixer} [options.spellfix=false] - Fix misread
+ *   glyphs in words with a dictionary: `true` for the installed dictionary
+ *   of the track language, or a wordlist or Hunspell .dic path
+ * @param {string} [options.review] - Path of a report listing the entries
+ *   with a low OCR confidence and their images, HTML for a .html path and
+ *   JSON otherwise
+ * @param {number} [options.reviewThreshold=0.8] - Confidence under which an
+ *   entry is listed in the review report
+ * @param {string} [options.tempDir] - Directory for intermediate frames,
+ *   kept after the conversion; a temporary one is used and removed otherwise
+ * @param {boolean} [options.verbose=false] - Whether to enable verbose logging
+ * @param {AbortSignal} [options.signal] - Signal to abort the conversion
+ * @param {Function} [options.onProgress] - Called with `{stage, completed,
+ *   total, track}` as the "parse", "frames", "ocr" and "write" stages
+ *   progress
+ * @returns {Promise<Array<Object>>} One result per converted track, with
+ *   its `track` index and language, its `entries`, the timeline entries
+ *   that have no recognized text in `unrecognized`, the entries too dense
+ *   to read in `dense`, the written `outputPath` and `forcedOutputPath`
+ *   (with `markForced` in SRT), null when nothing was written; tracks
+ *   without recognized text have no entries and aren't written. With `allTracks`, a track whose recognition fails has the
+ *   `error` instead, and the conversion only fails when no track has text
+ * @throws {InputError} If an option is invalid, or an input or corrections
+ *   file is missing or malformed
+ * @throws {ParseError} If the IDX, SUB, MKV or VOB file is malformed
+ * @throws {OcrError} If the OCR engine fails
+ * @throws {NoSubtitlesError} If there is nothing to convert
+ */
+async function convert(options) {
+  const { ocrEngine, writer } = resolveOptions(options);
+  const {
+    idxFile,
+    subFile = idxFile?.replace(/\.idx$/i, ".sub"),
+    inputFile,
+    outputPath,
+    quality = "fast",
+    track,
+    allTracks = false,
+    forcedOnly,
+    markForced = false,
+    cleanup,
+    corrections,
+    spellfix = false,
+    cache = false,
+    detectStyles = true,
+    preprocess,
+    debugImages = false,
+    segmentLines = true,
+    maxLineLength,
+    maxLines,
+    readingSpeed,
+    merge = false,
+    splitDialogue: splitDialogues = false,
+    timing,
+    review,
+    reviewThreshold = DEFAULT_REVIEW_THRESHOLD,
+    verbose = false,
+    signal,
+    onProgress,
+  } = options;
+  signal?.throwIfAborted();
+
+  await checkInputFiles({ idxFile, subFile, inputFile });
+
+  const correctionRules =
+    typeof corrections === "string"
+      ? await loadCorrectionRules(corrections)
+      : corrections;
+
+  const getSpellFixer = spellFixerLookup(spellfix);
+
+  const decoder = new VobSubDecoder({
+    verbose,
+    idxFile,
+    subFile,
+    inputFile,
+    ocrEngine,
+    track,
+    forcedOnly,
+    cleanup,
+    corrections: correctionRules,
+    detectStyles,
+    preprocess,
+    debugImages,
+    segmentLines,
+    maxLineLength,
+    maxLines,
+    ocrCache:
+      typeof cache === "object"
+        ? cache
+        : cache
+          ? new OcrCache({ dir: cache === true ? undefined : cache })
+          : null,
+  });
+
+  onProgress?.({ stage: "parse", completed: 0, total: 1, track: null });
+  await decoder.parse({ signal });
+  const { index, language } = decoder.currentTrack ?? {};
+  onProgress?.({
+    stage: "parse",
+    completed: 1,
+    total: 1,
+    track: { index, language },
+  });
+
+  // Pick the tracks to convert and where to write them
+  const { tracks } = decoder;
+  const jobs = allTracks
+    ? tracks
+        .filter((t) => t.count > 0)
+        .map((t) => ({
+          track: t,
+          outputPath: outputPath && trackOutputPath(outputPath, t, tracks),
+        }))
+    : [{ track: decoder.currentTrack, outputPath }];
+  if (jobs.length === 0 || jobs.every((job) => !job.track)) {
+    throw new NoSubtitlesError("No subtitle tracks found");
+  }
+
+  const tempDir =
+    options.tempDir ?? (await fs.mkdtemp(path.join(tmpdir(), "vobsub-")));
+  if (verbose) console.log(`Temporary directory: ${tempDir}`);
+
+  try {
+    const results = [];
+    for (const job of jobs) {
+      const info = { index: job.track.index, language: job.track.language };
+      if (allTracks) {
+        await decoder.selectTrack(info.index, { signal });
+      }
+      if (decoder.timeline.length === 0) {
+        if (verbose)
+          console.log(`No subtitles to convert in track ${info.index}`);
+        continue;
+      }
+
+      decoder.spellFixer = await getSpellFixer(info.language);
+      let processed;
+      try {
+        processed = await decoder.processFrames({
+          quality,
+          tempDir: path.join(tempDir, `track-${info.index}`),
+          signal,
+          onProgress: (event) => onProgress?.({ ...event, track: info }),
+        });
+      } catch (error) {
+        // A track that can't be recognized doesn't stop the other tracks
+        if (signal?.aborted || !allTracks) throw error;
+        if (!(error instanceof NoSubtitlesError || error instanceof OcrError))
+          throw error;
+        if (verbose) console.log(`Track ${info.index}: ${error.message}`);
+        results.push({
+          track: info,
+          entries: [],
+          unrecognized: [],
+          dense: [],
+          outputPath: null,
+          forcedOutputPath: null,
+          error,
+        });
+        continue;
+      }
+      let merged = processed;
+      if (merge) {
+        merged = mergeDuplicates(processed, merge === true ? {} : merge);
+        if (verbose && merged.length < processed.length)
+          console.log(
+            `Merged ${processed.length - merged.length} duplicate entries`,
+          );
+      }
+      if (splitDialogues) merged = splitDialogue(merged);
+      const retimed = timing ? retime(merged, timing) : merged;
+      const { entries, flagged } = readingSpeed
+        ? checkReadingSpeed(retimed, readingSpeed)
+        : { entries: retimed, flagged: [] };
+      if (verbose && flagged.length > 0)
+        console.log(`${flagged.length} entries are too dense to read`);
+
+      let written = null;
+      let forcedWritten = null;
+      if (job.outputPath && entries.length > 0) {
+        signal?.throwIfAborted();
+        onProgress?.({ stage: "write", completed: 0, total: 1, track: info });
+        await fs.mkdir(path.dirname(job.outputPath), { recursive: true });
+        await decoder.generate(entries, job.outputPath, {
+          format: writer,
+          markForced,
+        });
+        written = job.outputPath;
+        const forced = entries.filter((entry) => entry.forced);
+        if (markForced && writer.name === "srt" && forced.length > 0) {
+          forcedWritten = forcedOutputPath(job.outputPath);
+          await decoder.generate(forced, forcedWritten, { format: writer });
+        }
+        onProgress?.({ stage: "write", completed: 1, total: 1, track: info });
+      }
+      results.push({
+        track: info,
+        entries,
+        unrecognized: decoder.unrecognized,
+        dense: flagged,
+        outputPath: written,
+        forcedOutputPath: forcedWritten,
+      });
+    }
+
+    if (results.every((result) => result.entries.length === 0)) {
+      const failed = results.find((result) => result.error);
+      if (failed) throw failed.error;
+      throw new NoSubtitlesError(
+        results.length === 0
+          ? "No subtitles to convert"
+          : "No text could be extracted from subtitles",
+      );
+    }
+
+    // The review embeds the frames, so write it before they're cleaned up
+    if (review) {
+      const count = await writeReview(results, review, {
+        threshold: reviewThreshold,
+        source: path.basename(inputFile ?? idxFile),
+      });
+      if (verbose)
+        console.log(`Listed ${count} entries for review in ${review}`);
+    }
+    return results;
+  } finally {
+    if (!options.tempDir) {
+      await fs.rm(tempDir, { recursive: true, force: true });
+      if (verbose) console.log(`Cleaned up temporary directory: ${tempDir}`);
+    }
+  }
+}
+
+/**
+ * List the subtitle tracks of an IDX/SUB pair, or the VobSub streams of an
+ * MKV or VOB file
+ *
+ * @param {Object} options - Input options
+ * @param {string} [options.idxFile] - Path to the IDX file
+ * @param {string} [options.subFile] - Path to the SUB file, defaults to the
+ *   IDX path with a .sub extension
+ * @param {string} [options.inputFile] - Path to an MKV or VOB file
+ * @param {AbortSignal} [options.signal] - Signal to abort reading
+ * @returns {Promise<Array<Object>>} The tracks with their index, language,
+ *   number of subtitles and name, see `VobSubDecoder#tracks`
+ * @throws {InputError} If an input file is missing or unsupported
+ * @throws {ParseError} If an input file is malformed
+ * @throws {NoSubtitlesError} If an MKV or VOB file has no VobSub streams
+ */
+async function listTracks(options) {
+  const {
+    idxFile,
+    subFile = idxFile?.replace(/\.idx$/i, ".sub"),
+    inputFile,
+    signal,
+  } = options;
+  if (!idxFile === !inputFile) {
+    throw new InputError(
+      "Either the idxFile or the inputFile option is required",
+    );
+  }
+  await checkInputFiles({ idxFile, subFile, inputFile });
+  const decoder = new VobSubDecoder({ idxFile, subFile, inputFile });
+  await decoder.parse({ signal });
+  return decoder.tracks;
+}
+
+export { convert, listTracks, trackOutputPath };
@@ -0,0 +1,99 @@
+/**
+ * VobSubError - Base class for errors thrown by the conversion pipeline
+ *
+ * Every error has a stable `code`, so callers can tell failures apart
+ * without matching on messages. The underlying error, if any, is kept as
+ * `cause`.
+ *
+ * @class VobSubError
+ * @extends Error
+ */
+class VobSubError extends Error {
+  /**
+   * @constructor
+   * @param {string} message - Error message
+   * @param {Object} [options] - Error options
+   * @param {unknown} [options.cause] - Underlying error
+   */
+  constructor(message, options) {
+    super(message, options);
+    this.name = this.constructor.name;
+  }
+
+  /**
+   * Stable error code
+   * @type {string}
+   */
+  get code() {
+    return "ERR_VOBSUB";
+  }
+}
+
+/**
+ * InputError - Invalid options, or input files that can't be accessed
+ *
+ * @class InputError
+ * @extends VobSubError
+ */
+class InputError extends VobSubError {
+  get code() {
+    return "ERR_VOBSUB_INPUT";
+  }
+}
+
+/**
+ * ParseError - The IDX or SUB file is malformed
+ *
+ * @class ParseError
+ * @extends VobSubError
+ */
+class ParseError extends VobSubError {
+  get code() {
+    return "ERR_VOBSUB_PARSE";
+  }
+}
+
+/**
+ * OcrError - The OCR engine failed
+ *
+ * @class OcrError
+ * @extends VobSubError
+ */
+class OcrError extends VobSubError {
+  get code() {
+    return "ERR_VOBSUB_OCR";
+  }
+}
+
+/**
+ * MuxError - ffmpeg failed to add the subtitles to the video
+ *
+ * @class MuxError
+ * @extends VobSubError
+ */
+class MuxError extends VobSubError {
+  get code() {
+    return "ERR_VOBSUB_MUX";
+  }
+}
+
+/**
+ * NoSubtitlesError - There is nothing to convert, or no text was recognized
+ *
+ * @class NoSubtitlesError
+ * @extends VobSubError
+ */
+class NoSubtitlesError extends VobSubError {
+  get code() {
+    return "ERR_VOBSUB_NO_SUBTITLES";
+  }
+}
+
+export {
+  VobSubError,
+  InputError,
+  ParseError,
+  OcrError,
+  MuxError,
+  NoSubtitlesError,
+};
@@ -0,0 +1,373 @@
+import fs from "node:fs/promises";
+import path from "node:path";
+import { VobSubDecoder } from "./VobSubDecoder.js";
+import { InputError, NoSubtitlesError } from "./errors.js";
+import { retime } from "./timing.js";
+import {
+  encodePng,
+  encodeSpu,
+  formatIdx,
+  matroskaLanguage,
+  packSpu,
+  renderSpuBitmap,
+} from "./vobsub/index.js";
+
+/**
+ * Extraction formats and the manifest extensions they are picked from
+ * @private
+ */
+const extractFormats = {
+  bdn: ".xml",
+  json: ".json",
+  idx: ".idx",
+};
+
+/**
+ * Guess the extraction format from the output path extension
+ *
+ * @param {string} filePath - Output path
+ * @returns {"bdn"|"json"|"idx"|undefined} Format name, undefined for
+ *   unknown extensions
+ */
+function extractFormatFromPath(filePath) {
+  const extension = path.extname(filePath).toLowerCase();
+  return Object.keys(extractFormats).find(
+    (name) => extractFormats[name] === extension,
+  );
+}
+
+/**
+ * Format milliseconds as a BDN timecode ("HH:MM:SS:FF")
+ *
+ * Frames are counted at the nominal rate, 30 for 29.97 fps, without
+ * dropping frame numbers.
+ *
+ * @private
+ * @param {number} ms - Time in milliseconds
+ * @param {number} frameRate - Frames per second
+ * @returns {string} Timecode
+ */
+function formatTimecode(ms, frameRate) {
+  const pad = (value) => String(value).padStart(2, "0");
+  const nominal = Math.round(frameRate);
+  const frames = Math.round((ms * frameRate) / 1000);
+  const seconds = Math.floor(frames / nominal);
+  return [
+    Math.floor(seconds / 3600),
+    Math.floor(seconds / 60) % 60,
+    seconds % 60,
+    frames % nominal,
+  ]
+    .map(pad)
+    .join(":");
+}
+
+/**
+ * Escape text for an XML attribute value
+ *
+ * @private
+ * @param {string} text - Text
+ * @returns {string} Escaped text
+ */
+function escapeXml(text) {
+  return text
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+/**
+ * Build a BDN XML manifest, the image subtitle format of Blu-ray authoring
+ * tools
+ *
+ * @private
+ * @param {Array<Object>} entries - Extracted entries, with their `image`
+ * @param {Object} context - Information about the source
+ * @param {string} context.title - Title of the subtitles
+ * @param {string} context.language - Language code of the track
+ * @param {number} context.height - Video height
+ * @param {number} context.frameRate - Frames per second of the timecodes
+ * @returns {string} File contents
+ */
+function formatBdn(entries, { title, language, height, frameRate }) {
+  const timecode = (ms) => formatTimecode(ms, frameRate);
+  const videoFormat =
+    height === 576 ? "576i" : height === 480 ? "480i" : `${height}p`;
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<BDN Version="0.93" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" xsi:noNamespaceSchemaLocation="BD-03-006-0093b BDN File Format.xsd">',
+    "  <Description>",
+    `    <Name Title="${escapeXml(title)}" Content=""/>`,
+    `    <Language Code="${matroskaLanguage(language)}"/>`,
+    `    <Format VideoFormat="${videoFormat}" FrameRate="${frameRate}" DropFrame="False"/>`,
+    `    <Events Type="Graphic" FirstEventInTC="${timecode(entries[0].startTime)}" LastEventOutTC="${timecode(entries.at(-1).endTime)}" NumberofEvents="${entries.length}"/>`,
+    "  </Description>",
+    "  <Events>",
+  ];
+  for (const { startTime, endTime, forced, position, image } of entries) {
+    const { x, y, width, height } = position;
+    lines.push(
+      `    <Event Forced="${forced ? "True" : "False"}" InTC="${timecode(startTime)}" OutTC="${timecode(endTime)}">`,
+      `      <Graphic Width="${width}" Height="${height}" X="${x}" Y="${y}">${escapeXml(path.basename(image))}</Graphic>`,
+      "    </Event>",
+    );
+  }
+  lines.push("  </Events>", "</BDN>");
+  return lines.join("\n") + "\n";
+}
+
+/**
+ * Build a JSON manifest, laid out like the JSON subtitle output
+ *
+ * @private
+ * @param {Array<Object>} entries - Extracted entries, with their `image`
+ * @param {Object} context - Information about the source
+ * @param {string} context.language - Language code of the track
+ * @param {number} context.width - Video width
+ * @param {number} context.height - Video height
+ * @returns {string} File contents
+ */
+function formatJsonManifest(entries, { language, width, height }) {
+  const document = {
+    language,
+    width,
+    height,
+    entries: entries.map((entry) => ({
+      index: entry.index,
+      startTime: entry.startTime,
+      endTime: entry.endTime,
+      forced: entry.forced,
+      position: entry.position,
+      image: path.basename(entry.image),
+    })),
+  };
+  return JSON.stringify(document, null, 2) + "\n";
+}
+
+/**
+ * Validate the extraction options
+ *
+ * @private
+ * @param {Object} options - Options passed to `extract`
+ * @returns {string} The extraction format
+ * @throws {InputError} If an option is invalid
+ */
+function resolveExtractOptions(options) {
+  const { idxFile, inputFile, outputPath, format, timing, frameRate } = options;
+  if (!idxFile === !inputFile) {
+    throw new InputError(
+      "Either the idxFile or the inputFile option is required",
+    );
+  }
+  if (!outputPath) {
+    throw new InputError("The outputPath option is required");
+  }
+  const resolved = format ?? extractFormatFromPath(outputPath);
+  if (!Object.hasOwn(extractFormats, resolved ?? "")) {
+    throw new InputError(
+      format
+        ? `Invalid extraction format '${format}'. Must be one of: ${Object.keys(extractFormats).join(", ")}`
+        : `Cannot guess the extraction format of ${outputPath}, use a .xml, .json or .idx path`,
+    );
+  }
+  for (const [name, value] of [
+    ["timing.fpsFrom", timing?.fpsFrom],
+    ["timing.fpsTo", timing?.fpsTo],
+    ["timing.minDuration", timing?.minDuration],
+    ["frameRate", frameRate],
+  ]) {
+    if (value !== undefined && !(value > 0)) {
+      throw new InputError(
+        `Invalid ${name} '${value}'. Must be a positive number`,
+      );
+    }
+  }
+  if (timing?.offset !== undefined && !Number.isFinite(timing.offset)) {
+    throw new InputError(
+      `Invalid timing.offset '${timing.offset}'. Must be a number of milliseconds`,
+    );
+  }
+  if ((timing?.fpsFrom === undefined) !== (timing?.fpsTo === undefined)) {
+    throw new InputError(
+      "The timing.fpsFrom and timing.fpsTo options must be given together",
+    );
+  }
+  return resolved;
+}
+
+/**
+ * Extract VobSub subtitles as images or as a new IDX/SUB pair, without OCR
+ *
+ * The subtitles of a track are parsed like `convert` does, retimed, and
+ * written in one of these formats, picked from the `outputPath` extension:
+ * - "bdn": a BDN XML manifest (.xml), the format of Blu-ray authoring
+ *   tools, with a PNG image per subtitle next to it
+ * - "json": a JSON manifest (.json) with a PNG image per subtitle
+ * - "idx": a new IDX/SUB pair (.idx), with the SUB file next to it
+ *
+ * Images are numbered after the manifest, e.g. `movie_0001.png`, cropped
+ * to the visible pixels with a transparent background, and positioned on
+ * the video frame by the manifest. Subtitles without visible pixels are
+ * left out.
+ *
+ * @param {Object} options - Extraction options
+ * @param {string} [options.idxFile] - Path to the IDX file
+ * @param {string} [options.subFile] - Path to the SUB file, defaults to the
+ *   IDX path with a .sub extension
+ * @param {string} [options.inputFile] - Path to an MKV or VOB file to read
+ *   instead of an IDX/SUB pair
+ * @param {string} options.outputPath - Path of the manifest or IDX file to
+ *   write
+ * @param {"bdn"|"json"|"idx"} [options.format] - Output format, defaults to
+ *   the `outputPath` extension
+ * @param {number|string} [options.track] - Track index or language code
+ * @param {boolean} [options.forcedOnly] - Only extract forced subtitles
+ * @param {Object} [options.timing] - Retime the subtitles, see `retime`
+ * @param {number} [options.timing.offset=0] - Delay in milliseconds
+ * @param {number} [options.timing.fpsFrom] - Frame rate the subtitles were
+ *   timed for, to convert to `fpsTo`
+ * @param {number} [options.timing.fpsTo] - Frame rate of the target video
+ * @param {number} [options.timing.minDuration] - Minimum display time in ms
+ * @param {boolean} [options.timing.fixOverlaps=false] - End subtitles when
+ *   the next one starts
+ * @param {number} [options.frameRate] - Frame rate of the BDN timecodes,
+ *   defaults to `timing.fpsTo`, or 25 for 576 line videos and 29.97 otherwise
+ * @param {boolean} [options.verbose=false] - Whether to enable verbose logging
+ * @param {AbortSignal} [options.signal] - Signal to abort the extraction
+ * @param {(event: {stage: string, completed: number, total: number}) => void} [options.onProgress] -
+ *   Called as the "write" stage progresses
+ * @returns {Promise<{track: {index: number, language: string}, entries: Array<Object>, files: string[]}>}
+ *   The extracted track, its retimed entries with the path of their
+ *   `image` in image formats, and every file written
+ * @throws {InputError} If an option is invalid, or an input file is missing
+ * @throws {ParseError} If the IDX, SUB, MKV or VOB file is malformed
+ * @throws {NoSubtitlesError} If there is nothing to extract
+ */
+async function extract(options) {
+  const format = resolveExtractOptions(options);
+  const {
+    idxFile,
+    subFile = idxFile?.replace(/\.idx$/i, ".sub"),
+    inputFile,
+    outputPath,
+    track,
+    forcedOnly,
+    timing,
+    frameRate,
+    verbose = false,
+    signal,
+    onProgress,
+  } = options;
+  signal?.throwIfAborted();
+
+  const decoder = new VobSubDecoder({
+    verbose,
+    idxFile,
+    subFile,
+    inputFile,
+    track,
+    forcedOnly,
+  });
+  await decoder.parse({ signal });
+  const { trackMetadata: metadata, currentTrack } = decoder;
+  if (!currentTrack) {
+    throw new NoSubtitlesError("No subtitle tracks found");
+  }
+
+  const visible = decoder.timeline
+    .map((entry, i) => ({ ...entry, packet: decoder.packets[i] }))
+    .filter((entry) => entry.position);
+  if (verbose && visible.length < decoder.timeline.length)
+    console.log(
+      `Skipped ${decoder.timeline.length - visible.length} subtitles without visible pixels`,
+    );
+  const retimed = timing ? retime(visible, timing) : visible;
+  if (retimed.length === 0) {
+    throw new NoSubtitlesError("No subtitles to extract");
+  }
+
+  const { dir, name } = path.parse(outputPath);
+  await fs.mkdir(dir || ".", { recursive: true });
+  const total = retimed.length;
+  const files = [];
+  onProgress?.({ stage: "write", completed: 0, total });
+
+  if (format === "idx") {
+    const packs = [];
+    let filepos = 0;
+    const entries = retimed.map((entry, i) => {
+      const { data, controls } = entry.packet;
+      const spu = encodeSpu(data, controls, {
+        duration: entry.endTime - entry.startTime,
+      });
+      const pack = packSpu(spu, { pts: entry.startTime });
+      packs.push(pack);
+      const listed = { timestamp: entry.startTime, filepos };
+      filepos += pack.length;
+      onProgress?.({ stage: "write", completed: i + 1, total });
+      return listed;
+    });
+    const idx = formatIdx({ ...metadata, forcedSubs: false, langidx: 0 }, [
+      { language: currentTrack.language, index: 0, entries },
+    ]);
+    const subPath = path.join(dir, `${name}.sub`);
+    await fs.writeFile(subPath, Buffer.concat(packs), { signal });
+    await fs.writeFile(outputPath, idx, { signal });
+    files.push(outputPath, subPath);
+  } else {
+    const { palette, alpha } = metadata;
+    const digits = Math.max(4, String(total).length);
+    for (const [i, entry] of retimed.entries()) {
+      signal?.throwIfAborted();
+      const { data, controls } = entry.packet;
+      const { width, height, rgba } = renderSpuBitmap(data, controls, palette, {
+        alpha,
+        background: null,
+        padding: 0,
+      });
+      entry.image = path.join(
+        dir,
+        `${name}_${String(i + 1).padStart(digits, "0")}.png`,
+      );
+      await fs.writeFile(entry.image, encodePng(rgba, width, height), {
+        signal,
+      });
+      files.push(entry.image);
+      onProgress?.({ stage: "write", completed: i + 1, total });
+    }
+    const context = {
+      title: name,
+      language: currentTrack.language,
+      width: metadata.width,
+      height: metadata.height,
+      frameRate:
+        frameRate ?? timing?.fpsTo ?? (metadata.height === 576 ? 25 : 29.97),
+    };
+    const manifest =
+      format === "bdn"
+        ? formatBdn(retimed, context)
+        : formatJsonManifest(retimed, context);
+    await fs.writeFile(outputPath, manifest, { signal });
+    files.unshift(outputPath);
+  }
+  if (verbose) console.log(`Extracted ${total} subtitles to ${outputPath}`);
+
+  return {
+    track: { index: currentTrack.index, language: currentTrack.language },
+    entries: retimed.map(
+      ({ index, startTime, endTime, filepos, forced, position, image }) => ({
+        index,
+        startTime,
+        endTime,
+        filepos,
+        forced,
+        position,
+        ...(image && { image }),
+      }),
+    ),
+    files,
+  };
+}
+
+export { extract, extractFormatFromPath };
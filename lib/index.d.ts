@@ -1,17 +1,760 @@
+export type OcrQuality = "fast" | "accurate";
+
+export interface OcrResult {
+  text: string;
+  confidence: number;
+}
+
+export interface OcrProgressOptions {
+  quality?: OcrQuality;
+  /** Signal to abort recognition */
+  signal?: AbortSignal;
+  /** Called as images are recognized */
+  onProgress?: (completed: number, total: number) => void;
+}
+
+export interface OcrEngineOptions {
+  verbose?: boolean;
+}
+
+export abstract class OcrEngine {
+  constructor(options?: OcrEngineOptions);
+  /** Short identifier of the engine, e.g. "mac" or "tesseract" */
+  readonly name: string;
+  /**
+   * The name and the settings changing the results, e.g. "tesseract:eng",
+   * used to key cached results
+   */
+  readonly cacheKey: string;
+  /** Preprocessing used when none is given, "none" unless overridden */
+  readonly preprocess: PreprocessPreset | PreprocessStep[];
+  /**
+   * Engine recognizing a track in a language, given as in IDX files;
+   * returns the engine itself unless it needs to be told the language
+   */
+  forLanguage(language: string): OcrEngine;
+  /**
+   * Recognize text in a batch of images.
+   * @param images Paths to the images to recognize
+   * @param options Recognition options
+   * @returns One result per image, in the same order
+   */
+  recognize(
+    images: string[],
+    options?: OcrProgressOptions,
+  ): Promise<OcrResult[]>;
+}
+
+export class MacOcrEngine extends OcrEngine {
+  readonly name: "mac";
+}
+
+export interface TesseractEngineOptions extends OcrEngineOptions {
+  /** Path to the tesseract binary, defaults to $TESSERACT_PATH or "tesseract" */
+  binary?: string;
+  /**
+   * Tesseract language code(s), e.g. "eng+fra", defaults to the language of
+   * each track, or "eng"
+   */
+  language?: string;
+  /** Maximum parallel tesseract processes */
+  concurrency?: number;
+}
+
+export class TesseractEngine extends OcrEngine {
+  constructor(options?: TesseractEngineOptions);
+  readonly name: "tesseract";
+  /** "basic", inverting the light text of subtitles */
+  readonly preprocess: PreprocessPreset | PreprocessStep[];
+}
+
+export type OcrEngineName = "mac" | "tesseract";
+
+/**
+ * On-disk cache of OCR results, keyed by the hash of the subtitle image,
+ * the engine and the quality.
+ */
+export class OcrCache {
+  constructor(options?: { dir?: string });
+  /** Directory the results are stored in */
+  readonly dir: string;
+  /** `$XDG_CACHE_HOME/vobsub-to-srt/ocr`, or under `~/.cache` */
+  static defaultDirectory(): string;
+  static key(imageHash: string, engine: OcrEngine, quality: OcrQuality): string;
+  /** Hexadecimal SHA-256 hash of an image */
+  static hashImage(image: Buffer): string;
+  /** Cached result, null if missing or unreadable */
+  get(key: string): Promise<OcrResult | null>;
+  set(key: string, result: OcrResult): Promise<void>;
+}
+
+export const ocrEngines: Record<OcrEngineName, typeof OcrEngine>;
+
+/** "mac" on macOS, "tesseract" everywhere else */
+export const defaultOcrEngine: OcrEngineName;
+
+/**
+ * Resolve an OCR engine from a name or an existing instance.
+ * @param engine Engine name or instance
+ * @param options Options passed to the engine constructor
+ */
+export function createOcrEngine(
+  engine?: OcrEngineName | OcrEngine,
+  options?: OcrEngineOptions,
+): OcrEngine;
+
+export type CleanupProfileName =
+  | "ascii"
+  | "unicode"
+  | "en"
+  | "fr"
+  | "de"
+  | "es";
+
+export interface CleanupProfileOptions {
+  name: string;
+  /** Literal replacements, applied first */
+  replacements?: Record<string, string>;
+  /** Patterns and their replacement, applied in order */
+  rules?: Array<[RegExp, string]>;
+  /** Global pattern of the characters to remove */
+  disallowed?: RegExp;
+}
+
+export class CleanupProfile {
+  constructor(options: CleanupProfileOptions);
+  readonly name: string;
+  /** Clean up raw OCR text */
+  clean(text: string): string;
+}
+
+/** Built-in cleanup profiles, by name or language code */
+export const cleanupProfiles: Record<CleanupProfileName, CleanupProfile>;
+
+/**
+ * Resolve a cleanup profile by name, or from a track language with "auto".
+ * @param profile Profile name, "auto" or a CleanupProfile instance
+ * @param language Language code of the track
+ */
+export function createCleanupProfile(
+  profile?: CleanupProfileName | "auto" | CleanupProfile,
+  language?: string,
+): CleanupProfile;
+
+export interface CorrectionRule {
+  /** Name shown in the verbose log, defaults to "find → replace" */
+  name?: string;
+  /** Text to find, or a pattern with `regex` */
+  find: string;
+  /** Replacement, which can refer to regex groups as $1 */
+  replace: string;
+  regex?: boolean;
+  /** Only match whole words */
+  wholeWord?: boolean;
+  ignoreCase?: boolean;
+}
+
+export interface CorrectionRuleSet {
+  /** Rules for every language, applied first */
+  rules?: CorrectionRule[];
+  /** Rules by track language code, applied next */
+  languages?: Record<string, CorrectionRule[]>;
+}
+
+export class CorrectionRules {
+  /** @throws Error if a rule is invalid */
+  constructor(definition?: CorrectionRuleSet);
+  /**
+   * Apply the rules to the text of an entry.
+   * @returns Corrected text and the names of the rules that changed it
+   */
+  apply(text: string, language?: string): { text: string; changes: string[] };
+}
+
+/**
+ * Load correction rules from a JSON or YAML (.yaml, .yml) file.
+ * @throws InputError if the file can't be read or is invalid
+ */
+export function loadCorrectionRules(file: string): Promise<CorrectionRules>;
+
+export interface SpellFix {
+  from: string;
+  to: string;
+}
+
+export class SpellFixer {
+  /** @param words Dictionary words, matched regardless of case */
+  constructor(words: Iterable<string>);
+  /**
+   * Load a wordlist (one word per line) or a Hunspell .dic file, expanded
+   * with the affix rules of the .aff file next to it.
+   */
+  static load(file: string): Promise<SpellFixer>;
+  /** Whether a word is in the dictionary */
+  has(word: string): boolean;
+  /**
+   * Replace the unknown words that a confusable glyph substitution turns
+   * into exactly one dictionary word.
+   */
+  fix(text: string): { text: string; changes: SpellFix[] };
+}
+
+/** Glyph substitutions tried by `SpellFixer`, as [misread, meant] pairs */
+export const CONFUSABLE_GLYPHS: Array<[string, string]>;
+
+/** Find an installed Hunspell dictionary or wordlist for a language */
+export function findDictionary(language: string): Promise<string | null>;
+
+/**
+ * Load a spell fixer from a wordlist or Hunspell dictionary.
+ * @throws InputError if the file can't be read
+ */
+export function loadSpellFixer(file: string): Promise<SpellFixer>;
+
 export interface VobSubDecoderOptions {
   verbose?: boolean;
-  idxFile: string;
-  subFile: string;
+  /** Path to the IDX file, unless `inputFile` is given */
+  idxFile?: string;
+  /** Path to the SUB file, unless `inputFile` is given */
+  subFile?: string;
+  /** Path to an MKV or VOB file to read the VobSub streams from */
+  inputFile?: string;
+  /** OCR engine name or instance, defaults to `defaultOcrEngine` */
+  ocrEngine?: OcrEngineName | OcrEngine;
+  /** Subtitle track by IDX index or language code, defaults to `langidx` */
+  track?: number | string;
+  /** Only keep forced subtitles, defaults to the IDX `forced subs:` setting */
+  forcedOnly?: boolean;
+  /** OCR text cleanup profile, defaults to "auto" (from the track language) */
+  cleanup?: CleanupProfileName | "auto" | CleanupProfile;
+  /** Correction rules applied to the cleaned text */
+  corrections?: CorrectionRules;
+  /** Dictionary used to fix misread glyphs, after the correction rules */
+  spellFixer?: SpellFixer;
+  /** Detect italics and text colors from the bitmaps, defaults to true */
+  detectStyles?: boolean;
+  /** Wrap lines longer than this, defaults to keeping the OCR lines */
+  maxLineLength?: number;
+  /** Wrap text to at most this many lines, widening them rather than cutting */
+  maxLines?: number;
+  /** Cache of OCR results, reused for bitmaps recognized before */
+  ocrCache?: OcrCache;
+  /**
+   * Image preprocessing before OCR, a preset or steps, defaults to the
+   * `preprocess` of the OCR engine
+   */
+  preprocess?: PreprocessPreset | string | PreprocessStep[];
+  /** Save the image of every preprocessing step next to the frames */
+  debugImages?: boolean;
+  /** Recognize each line of text on its own, defaults to true */
+  segmentLines?: boolean;
 }
 
-export type TimelineEntry = Omit<SrtEntry, "text">;
-export interface SrtEntry extends TimelineEntry {
+export interface TrackInfo {
+  /** Track index from the `id:` line */
+  index: number;
+  /** Language code from the `id:` line */
+  language: string;
+  /** Number of subtitles in the track */
+  count: number;
+  /** Name of the Matroska track, when it has one */
+  name?: string;
+}
+
+export interface TimelineEntry {
   index: number;
+  /** Start time in milliseconds */
   startTime: number;
+  /** End time in milliseconds */
   endTime: number;
+  /** Byte offset of the SPU packet in the SUB, MKV or VOB file */
+  filepos: number;
+  /** Whether the subtitle is shown with the forced start display command */
+  forced: boolean;
+  /** Bounding box of the subtitle bitmap on screen, null if nothing is visible */
+  position: BoundingBox | null;
+}
+export interface RecognizedLine {
+  text: string;
+  /** OCR confidence between 0 and 1, null if the engine doesn't report it */
+  confidence: number | null;
+}
+
+export interface SrtEntry extends TimelineEntry {
   text: string;
+  /**
+   * OCR confidence of the least confident line, between 0 and 1, null if
+   * the engine doesn't report it
+   */
+  confidence: number | null;
+  /** Lines of text as recognized, before wrapping */
+  lines: RecognizedLine[];
+  /** Path of the frame image the text was recognized from */
+  image: string | null;
+  /** Whether the glyphs are italic */
+  italic: boolean;
+  /** Text color as "#rrggbb", null if not detected */
+  color: string | null;
+  /** Words replaced by the spell fixer, when one is used */
+  spellfixes?: SpellFix[];
+  /** Reasons the entry is too dense to read, when reading speed is checked */
+  readingIssues?: ReadingIssue[];
+}
+
+export interface UnrecognizedEntry extends TimelineEntry {
+  /** Path of the frame image, null without a visible bitmap */
+  image: string | null;
+  /** "empty" without a visible bitmap, "no-text" when OCR found nothing */
+  reason: "empty" | "no-text";
+}
+
+export interface BoundingBox {
+  x: number;
+  y: number;
+  width: number;
+  height: number;
+}
+
+export type SubtitleFormat = "srt" | "vtt" | "ass" | "json";
+
+export interface WriterContext {
+  /** Video width */
+  width?: number;
+  /** Video height */
+  height?: number;
+  /** Language code of the track */
+  language?: string;
+  /** Whether to tag forced entries, in the formats that can */
+  markForced?: boolean;
+}
+
+export abstract class SubtitleWriter {
+  /** Short identifier of the format, e.g. "srt" */
+  readonly name: string;
+  /** File extensions of the format, the first one being the preferred one */
+  readonly extensions: string[];
+  /**
+   * Format subtitle entries as the contents of a subtitle file.
+   * @param entries Processed subtitle entries
+   * @param context Information about the source
+   */
+  format(entries: SrtEntry[], context?: WriterContext): string;
+}
+
+export class SrtWriter extends SubtitleWriter {
+  readonly name: "srt";
+}
+
+export class VttWriter extends SubtitleWriter {
+  readonly name: "vtt";
+}
+
+export class AssWriter extends SubtitleWriter {
+  readonly name: "ass";
+}
+
+export class JsonWriter extends SubtitleWriter {
+  readonly name: "json";
+}
+
+export const subtitleWriters: Record<SubtitleFormat, typeof SubtitleWriter>;
+
+/**
+ * Resolve a subtitle writer from a format name or an existing instance.
+ * @param format Format name or writer instance, defaults to "srt"
+ */
+export function createSubtitleWriter(
+  format?: SubtitleFormat | SubtitleWriter,
+): SubtitleWriter;
+
+/**
+ * Guess the output format from a file extension.
+ * @param filePath Output file path
+ */
+export function formatFromPath(filePath: string): SubtitleFormat | undefined;
+
+export interface IdxEntry {
+  /** Timestamp in milliseconds, including the track delay */
+  timestamp: number;
+  /** Byte offset of the SPU packet in the SUB file */
+  filepos: number;
+}
+
+export interface IdxTrack {
+  /** Language code from the `id:` line, e.g. "en" */
+  language: string;
+  /** Track index from the `id:` line */
+  index: number;
+  /** Sum of the `delay:` lines of the track, in milliseconds */
+  delay: number;
+  entries: IdxEntry[];
+  /** Name of the Matroska track, null without one */
+  name?: string | null;
+  /** Matroska default track flag */
+  default?: boolean;
+  /** Matroska forced track flag */
+  forced?: boolean;
+  /** IDX header of the Matroska track, replacing the one of the file */
+  settings?: Omit<VobSubMetadata, "tracks" | "langidx">;
+}
+
+export interface VobSubMetadata {
+  width: number;
+  height: number;
+  origin: { x: number; y: number };
+  scale: { x: number; y: number };
+  /** Global opacity in percent */
+  alpha: number;
+  smooth: boolean;
+  fadeIn: number;
+  fadeOut: number;
+  align: { enabled: boolean; horizontal: string; vertical: string } | null;
+  /** Time offset applied to every timestamp, in milliseconds */
+  timeOffset: number;
+  forcedSubs: boolean;
+  langidx: number;
+  /** 16 colors as 0xRRGGBB */
+  palette: number[];
+  customColors: {
+    enabled: boolean;
+    tridx: string;
+    colors: number[];
+  } | null;
+  tracks: IdxTrack[];
+}
+
+export interface SpuPacket {
+  /** Substream id, 0x20 + track index */
+  streamId: number;
+  /** Presentation timestamp of the first PES packet in milliseconds */
+  pts: number | null;
+  data: Buffer;
+}
+
+export interface SpuControl {
+  /** Start display delay in milliseconds */
+  start: number | null;
+  /** Stop display delay in milliseconds */
+  stop: number | null;
+  forced: boolean;
+  /** Palette indices for background, pattern, emphasis 1 and emphasis 2 */
+  colors: [number, number, number, number];
+  /** Alpha values (0-15) for background, pattern, emphasis 1 and emphasis 2 */
+  alpha: [number, number, number, number];
+  area: { x1: number; x2: number; y1: number; y2: number } | null;
+  /** Offsets of the top and bottom field RLE data */
+  offsets: { top: number; bottom: number } | null;
+}
+
+export interface SpuBitmap {
+  width: number;
+  height: number;
+  /** 2-bit pixel type of every pixel of the display area */
+  pixels: Uint8Array;
+}
+
+export interface RenderedSpuBitmap {
+  /** Left of the visible pixels within the frame */
+  x: number;
+  /** Top of the visible pixels within the frame */
+  y: number;
+  /** Width of the visible pixels */
+  width: number;
+  /** Height of the visible pixels */
+  height: number;
+  /** Margin added around the visible pixels in `rgba` */
+  padding: number;
+  /** Opaque RGBA image data */
+  rgba: Buffer;
+}
+
+export interface DecodedFrame {
+  index: number;
+  /** Left of the subtitle on screen */
+  x: number;
+  /** Top of the subtitle on screen */
+  y: number;
+  width: number;
+  height: number;
+  /** Whether the glyphs are italic */
+  italic: boolean;
+  /** Text color as "#rrggbb", null if not detected */
+  color: string | null;
+  /** Cropped PNG image, null if the bitmap has no visible pixels */
+  image: Buffer | null;
+}
+
+/**
+ * Parse the contents of a VobSub IDX file.
+ * @param content Contents of the IDX file
+ */
+export function parseIdx(content: string): VobSubMetadata;
+
+/**
+ * Parse an IDX timestamp ("HH:MM:SS:mmm") into milliseconds.
+ * @param value Timestamp string
+ */
+export function parseIdxTimestamp(value: string): number;
+
+export interface ContainerEntry extends IdxEntry {
+  /** SPU packet of the subtitle */
+  data: Buffer;
+}
+
+export interface ContainerMetadata extends VobSubMetadata {
+  tracks: Array<IdxTrack & { entries: ContainerEntry[] }>;
+}
+
+/**
+ * Read the VobSub tracks of a Matroska file. Tracks are numbered from 0 and
+ * their language is turned into the two letter code IDX files use.
+ * @param file Path to the MKV, MKS, MKA or WebM file
+ */
+export function readMkv(
+  file: string,
+  options?: { signal?: AbortSignal },
+): Promise<ContainerMetadata>;
+
+/**
+ * Read the subpicture streams of a DVD VOB file, with the frame size,
+ * palette and languages of the IFO file of its title set when found.
+ * @param file Path to the VOB file
+ */
+export function readVob(
+  file: string,
+  options?: { signal?: AbortSignal },
+): Promise<ContainerMetadata & { ifoFile: string | null }>;
+
+/**
+ * Parse the frame size, palette and subpicture languages of a DVD title
+ * set IFO file.
+ * @throws Error if the file isn't a title set IFO
+ */
+export function parseIfo(buffer: Buffer): {
+  width: number;
+  height: number;
+  /** 16 colors as 0xRRGGBB */
+  palette: number[];
+  /** Language code of each subpicture substream id */
+  languages: Map<number, string>;
+};
+
+/**
+ * Turn an IDX language code into the ISO 639-2 code used by Matroska,
+ * "und" when unknown.
+ */
+export function matroskaLanguage(language: string): string;
+
+/**
+ * Turn an IDX language code into the name of the Tesseract language data
+ * reading it, e.g. "fra", null when unknown.
+ */
+export function tesseractLanguage(language: string): string | null;
+
+/** Guess the container of an input file from its extension */
+export function containerFromPath(filePath: string): "mkv" | "vob" | undefined;
+
+/** Read the VobSub streams of an MKV or VOB file */
+export function readContainer(
+  file: string,
+  options?: { signal?: AbortSignal },
+): Promise<ContainerMetadata>;
+
+/** Format milliseconds as a VobSub timestamp ("HH:MM:SS:mmm") */
+export function formatIdxTimestamp(ms: number): string;
+
+/**
+ * Build the contents of a VobSub IDX file. Timestamps are written as
+ * given, with a time offset of 0.
+ */
+export function formatIdx(
+  metadata: VobSubMetadata,
+  tracks: Array<{
+    language: string;
+    index: number;
+    entries: Array<{ timestamp: number; filepos: number }>;
+  }>,
+): string;
+
+/**
+ * Build an SPU packet showing the bitmap of another one from its
+ * presentation time for `duration` milliseconds.
+ */
+export function encodeSpu(
+  data: Buffer,
+  controls: SpuControl,
+  options: { duration: number },
+): Buffer;
+
+/**
+ * Split an SPU packet into the 2048 byte MPEG-PS packs of a SUB file.
+ * @param options.pts Presentation time in milliseconds
+ * @param options.streamId Substream id, 0x20 + track index (default 0x20)
+ */
+export function packSpu(
+  spu: Buffer,
+  options: { pts: number; streamId?: number },
+): Buffer;
+
+/**
+ * Reassemble the SPU packet starting at a SUB file position.
+ * @param buffer SUB file contents
+ * @param filepos Byte offset from the IDX entry
+ */
+export function readSpu(
+  buffer: Buffer,
+  filepos: number,
+  streamId?: number,
+): SpuPacket;
+
+/**
+ * Parse the display control sequences of an SPU packet.
+ * @param data SPU packet data
+ */
+export function parseSpuControl(data: Buffer): SpuControl;
+
+/**
+ * Decode the run-length encoded bitmap of an SPU packet.
+ * @param data SPU packet data
+ * @param controls Display controls of the packet
+ */
+export function decodeSpuBitmap(
+  data: Buffer,
+  controls: SpuControl,
+): SpuBitmap | null;
+
+/**
+ * Get the bounding box of the visible pixels of an SPU packet.
+ * @param data SPU packet data
+ * @param controls Display controls of the packet
+ * @param options Global opacity in percent, from the IDX
+ */
+export function getSpuBounds(
+  data: Buffer,
+  controls: SpuControl,
+  options?: { alpha?: number },
+): BoundingBox | null;
+
+/**
+ * Render an SPU packet to a tightly cropped RGBA image.
+ * @param data SPU packet data
+ * @param controls Display controls of the packet
+ * @param palette IDX palette, 16 colors as 0xRRGGBB
+ * @param options Rendering options
+ */
+export function renderSpuBitmap(
+  data: Buffer,
+  controls: SpuControl,
+  palette: number[],
+  options?: {
+    alpha?: number;
+    /** Background color as 0xRRGGBB, null for a transparent background */
+    background?: number | null;
+    padding?: number;
+  },
+): RenderedSpuBitmap | null;
+
+export interface SpuStyle {
+  /** Whether the glyphs lean like italics */
+  italic: boolean;
+  /** Horizontal shift per line of the glyphs, positive leaning right */
+  slant: number;
+  /** Fill color of the glyphs as "#rrggbb" */
+  color: string;
+}
+
+/**
+ * Detect italics and the text color of an SPU packet from its glyphs.
+ * @returns The style, or null if nothing is visible
+ */
+export function detectSpuStyle(
+  data: Buffer,
+  controls: SpuControl,
+  palette: number[],
+  options?: { alpha?: number },
+): SpuStyle | null;
+
+/**
+ * Estimate the slant of the glyphs of a decoded bitmap.
+ * @param opacity Opacity of the 4 pixel types
+ */
+export function estimateSlant(
+  bitmap: { width: number; height: number; pixels: Uint8Array },
+  opacity: number[],
+): number;
+
+export type PreprocessPreset = "none" | "basic" | "standard" | "strong";
+
+export type PreprocessStep =
+  | "outline"
+  | "crop"
+  | "upscale"
+  | "grayscale"
+  | "binarize"
+  | "invert"
+  | "denoise";
+
+export interface RgbaImage {
+  width: number;
+  height: number;
+  /** Image data, 4 bytes per pixel */
+  rgba: Buffer;
 }
 
+/** Preprocessing steps of each preset */
+export const preprocessPresets: Record<PreprocessPreset, PreprocessStep[]>;
+
+/**
+ * Resolve the steps of a preset, of steps separated by commas or of a
+ * list of steps.
+ * @throws Error if a preset or step is unknown
+ */
+export function resolvePreprocessSteps(
+  preprocess?: PreprocessPreset | string | PreprocessStep[],
+): PreprocessStep[];
+
+/**
+ * Prepare a rendered subtitle image for OCR by applying the steps in
+ * order. Removing the outline needs the `fillColor` of the glyphs.
+ */
+export function preprocessImage(
+  image: RgbaImage,
+  steps: PreprocessStep[],
+  options?: {
+    fillColor?: string | null;
+    onStep?: (step: PreprocessStep, image: RgbaImage) => void;
+  },
+): RgbaImage;
+
+/**
+ * Split a decoded bitmap into lines of text, separated by empty rows.
+ * Much shorter bands, like accents, are merged into the closest line.
+ */
+export function findTextLines(
+  bitmap: { width: number; height: number; pixels: Uint8Array },
+  opacity: number[],
+): Array<{ top: number; bottom: number }>;
+
+/** Vertical position of each line of text of an SPU packet */
+export function getSpuLines(
+  data: Buffer,
+  controls: SpuControl,
+  options?: { alpha?: number },
+): Array<{ y: number; height: number }>;
+
+/** Cut a band of rows out of an image, padded with background */
+export function cropRows(
+  image: RgbaImage,
+  top: number,
+  height: number,
+  padding: number,
+): RgbaImage;
+
+/**
+ * Encode RGBA image data as a PNG.
+ */
+export function encodePng(rgba: Buffer, width: number, height: number): Buffer;
+
 export class VobSubDecoder {
   /**
    * Create a new VobSub decoder instance
@@ -19,11 +762,49 @@ export class VobSubDecoder {
    */
   constructor(options: VobSubDecoderOptions);
 
+  /** Metadata from the IDX file, available after `parse()` */
+  metadata: VobSubMetadata;
+
+  /** Timeline of subtitle entries, available after `parse()` */
+  timeline: TimelineEntry[];
+
+  /** Dictionary used to fix misread glyphs, can be changed between tracks */
+  spellFixer: SpellFixer | null;
+
+  /** Entries left without text by the last `processFrames()` call */
+  unrecognized: UnrecognizedEntry[];
+
+  /** Subtitle tracks of the IDX file, available after `parse()` */
+  readonly tracks: TrackInfo[];
+
+  /** Track selected for conversion, available after `parse()` */
+  readonly currentTrack: IdxTrack | undefined;
+
+  /** Metadata with the IDX header of the selected track, for MKV tracks */
+  readonly trackMetadata: VobSubMetadata;
+
+  /**
+   * Parse the IDX and SUB files to extract metadata and timing information.
+   * @param options Signal to abort parsing
+   * @returns Promise<this>
+   */
+  parse(options?: { signal?: AbortSignal }): Promise<this>;
+
   /**
-   * Parse the IDX file to extract metadata and timing information.
+   * Select another subtitle track and rebuild the timeline for it.
+   * @param track Track index or language code
    * @returns Promise<this>
    */
-  parse(): Promise<this>;
+  selectTrack(
+    track: number | string,
+    options?: { signal?: AbortSignal },
+  ): Promise<this>;
+
+  /**
+   * Decode the subtitle bitmap of every timeline entry.
+   * @returns One cropped frame per timeline entry
+   */
+  decodeFrames(): DecodedFrame[];
 
   /**
    * Process subtitle frames with OCR and return SRT entries.
@@ -32,14 +813,491 @@ export class VobSubDecoder {
    */
   processFrames(options: {
     tempDir: string;
-    quality?: "fast" | "accurate";
+    quality?: OcrQuality;
+    signal?: AbortSignal;
+    onProgress?: (event: {
+      stage: "frames" | "ocr";
+      completed: number;
+      total: number;
+    }) => void;
   }): Promise<SrtEntry[]>;
 
   /**
-   * Generate SRT file from processed subtitle entries.
+   * Generate a subtitle file from processed subtitle entries.
    * @param srtEntries Array of processed subtitle entries
-   * @param outputPath Path where the SRT file will be saved
+   * @param outputPath Path where the subtitle file will be saved
+   * @param options Output format, guessed from the extension when omitted
    * @returns Promise<void>
    */
-  generate(srtEntries: SrtEntry[], outputPath: string): Promise<void>;
+  generate(
+    srtEntries: SrtEntry[],
+    outputPath: string,
+    options?: {
+      format?: SubtitleFormat | SubtitleWriter;
+      /** Tag forced entries in the output */
+      markForced?: boolean;
+    },
+  ): Promise<void>;
+}
+
+export type ProgressStage = "parse" | "frames" | "ocr" | "write";
+
+export interface MergeOptions {
+  /** Largest gap in milliseconds between merged entries, defaults to 120 */
+  maxGap?: number;
+  /** Smallest text similarity of merged entries, from 0 to 1, defaults to 0.85 */
+  similarity?: number;
+}
+
+export const DEFAULT_MERGE_GAP: number;
+export const DEFAULT_MERGE_SIMILARITY: number;
+
+/**
+ * How alike two subtitle texts are, from 0 to 1, ignoring case,
+ * punctuation and line breaks.
+ */
+export function textSimilarity(a: string, b: string): number;
+
+/**
+ * Merge consecutive entries with the same or nearly the same text, keeping
+ * the text of the entry with the best OCR confidence.
+ */
+export function mergeDuplicates<
+  T extends { startTime: number; endTime: number; text: string },
+>(entries: T[], options?: MergeOptions): T[];
+
+/**
+ * Split entries where dashes start the lines of different speakers into
+ * one entry per speaker, shown at the same time.
+ */
+export function splitDialogue<T extends { text: string }>(entries: T[]): T[];
+
+export interface TimingOptions {
+  /** Delay in milliseconds, negative to show subtitles earlier */
+  offset?: number;
+  /** Frame rate the subtitles were timed for, given with `fpsTo` */
+  fpsFrom?: number;
+  /** Frame rate of the target video, e.g. 23.976 from 25 */
+  fpsTo?: number;
+  /** Minimum display time in milliseconds */
+  minDuration?: number;
+  /**
+   * End entries when the next one starts, zero-length ones being shown
+   * until then, for a second at most
+   */
+  fixOverlaps?: boolean;
+}
+
+/**
+ * Convert the frame rate, add the offset, lengthen short entries and fix
+ * overlaps, in this order. Entries ending before 0 are dropped.
+ * @returns Retimed copies of the entries, sorted by start time
+ */
+export function retime<T extends { startTime: number; endTime: number }>(
+  entries: T[],
+  options?: TimingOptions,
+): T[];
+
+export type ReadingIssue = "cps" | "duration";
+
+export interface ReadingSpeedOptions {
+  /** Maximum characters per second, line breaks excluded */
+  maxCps?: number;
+  /** Minimum display time in milliseconds */
+  minDuration?: number;
+  /**
+   * "flag" adds `readingIssues` to dense entries, "split" first splits
+   * entries over `maxCps` at their line breaks, defaults to "flag"
+   */
+  action?: "flag" | "split";
+}
+
+/**
+ * Wrap subtitle text to a maximum line length and number of lines.
+ * Text that fits is unchanged, lines are wrapped on their own while they
+ * fit, speaker turns are kept apart, and text is never dropped.
+ */
+export function wrapText(
+  text: string,
+  options?: { maxLineLength?: number; maxLines?: number },
+): string;
+
+/**
+ * Characters shown per second by an entry, line breaks excluded.
+ */
+export function getCharactersPerSecond(entry: {
+  startTime: number;
+  endTime: number;
+  text: string;
+}): number;
+
+/**
+ * Check that entries can be read in the time they are shown.
+ * @returns The entries, split if asked, and the ones still too dense
+ */
+export function checkReadingSpeed<T extends TimelineEntry & { text: string }>(
+  entries: T[],
+  options?: ReadingSpeedOptions,
+): {
+  entries: Array<T & { readingIssues?: ReadingIssue[] }>;
+  flagged: Array<T & { readingIssues: ReadingIssue[] }>;
+};
+
+export interface SrtCue {
+  /** Position of the cue in the file, from 0 */
+  index: number;
+  /** Start time in milliseconds */
+  startTime: number;
+  /** End time in milliseconds */
+  endTime: number;
+  text: string;
+}
+
+/**
+ * Parse the contents of an SRT file, skipping blocks without a timing line.
+ */
+export function parseSrt(content: string): SrtCue[];
+
+/**
+ * Read and parse an SRT file.
+ * @throws InputError if the file can't be read or has no cues
+ */
+export function readSrt(file: string): Promise<SrtCue[]>;
+
+export interface ComparisonReport {
+  /** Character error rate, edits over the reference length */
+  cer: number;
+  /** Word error rate, edits over the reference word count */
+  wer: number;
+  /** Number of paired cues */
+  matched: number;
+  /** Start time differences of paired cues, generated minus reference, in ms */
+  drift: { mean: number; meanAbsolute: number; max: number };
+  /** Reference cues without a generated cue at their time */
+  missing: SrtCue[];
+  /** Generated cues without a reference cue at their time */
+  extra: SrtCue[];
+  /** Paired cues whose text differs, tags and line breaks ignored */
+  differences: Array<{ startTime: number; actual: string; expected: string }>;
+}
+
+/**
+ * Score generated subtitles against reference subtitles, pairing their
+ * cues by time. Missing and extra cues count as deleted and inserted text.
+ */
+export function compareSubtitles(
+  generated: Array<{ startTime: number; endTime: number; text: string }>,
+  reference: Array<{ startTime: number; endTime: number; text: string }>,
+): ComparisonReport;
+
+export interface ProgressEvent {
+  stage: ProgressStage;
+  completed: number;
+  total: number;
+  /** Track being converted, null before the IDX file is parsed */
+  track: { index: number; language: string } | null;
+}
+
+export interface ConvertOptions {
+  /** Path to the IDX file, unless `inputFile` is given */
+  idxFile?: string;
+  /** Path to the SUB file, defaults to the IDX path with a .sub extension */
+  subFile?: string;
+  /**
+   * Path to an MKV or VOB file to convert instead of an IDX/SUB pair, VOB
+   * files being read with the IFO file of their title set
+   */
+  inputFile?: string;
+  /** Path of the subtitle file to write, nothing is written without it */
+  outputPath?: string;
+  /** Output format, defaults to the `outputPath` extension or "srt" */
+  format?: SubtitleFormat | SubtitleWriter;
+  /** OCR engine name or instance, defaults to `defaultOcrEngine` */
+  ocrEngine?: OcrEngineName | OcrEngine;
+  /**
+   * Tesseract language code(s) of an engine given by name, e.g. "eng+fra",
+   * defaults to the language of each track
+   */
+  ocrLanguage?: string;
+  quality?: OcrQuality;
+  /** Track index or language code */
+  track?: number | string;
+  /** Convert every track, writing `<output>.<lang>.<ext>` files */
+  allTracks?: boolean;
+  /** Only convert forced subtitles */
+  forcedOnly?: boolean;
+  /**
+   * Tag forced subtitles in the output; SRT outputs get a separate
+   * `.forced.srt` file with them instead
+   */
+  markForced?: boolean;
+  /** OCR text cleanup profile, defaults to "auto" (from the track language) */
+  cleanup?: CleanupProfileName | "auto" | CleanupProfile;
+  /** Path of a JSON or YAML corrections file, or loaded correction rules */
+  corrections?: string | CorrectionRules;
+  /**
+   * Fix misread glyphs in words: `true` for the installed dictionary of the
+   * track language, or a wordlist or Hunspell .dic path
+   */
+  spellfix?: boolean | string | SpellFixer;
+  /**
+   * Reuse the OCR results of bitmaps recognized before: `true` for the
+   * default directory, a directory path or an OcrCache, defaults to false
+   */
+  cache?: boolean | string | OcrCache;
+  /** Detect italics and text colors from the bitmaps, defaults to true */
+  detectStyles?: boolean;
+  /**
+   * Image preprocessing before OCR: a preset, steps separated by commas or
+   * a list of steps, defaults to the `preprocess` of the OCR engine
+   */
+  preprocess?: PreprocessPreset | string | PreprocessStep[];
+  /** Save the image of every preprocessing step next to the frames in `tempDir` */
+  debugImages?: boolean;
+  /** Recognize each line of text of a subtitle on its own, defaults to true */
+  segmentLines?: boolean;
+  /** Wrap lines longer than this, defaults to keeping the OCR lines */
+  maxLineLength?: number;
+  /** Wrap text to at most this many lines, widening them rather than cutting */
+  maxLines?: number;
+  /** Merge consecutive entries with the same text, defaults to false */
+  merge?: boolean | MergeOptions;
+  /** Split dialogues marked with dashes into one entry per speaker */
+  splitDialogue?: boolean;
+  /** Retime the entries, before the reading speed check */
+  timing?: TimingOptions;
+  /** Flag or split entries that are too dense to read */
+  readingSpeed?: ReadingSpeedOptions;
+  /**
+   * Path of a report of the low-confidence entries with their images,
+   * HTML for a .html path and JSON otherwise
+   */
+  review?: string;
+  /** Confidence under which an entry is reviewed, from 0 to 1, defaults to 0.8 */
+  reviewThreshold?: number;
+  /** Directory for intermediate frames, kept after the conversion */
+  tempDir?: string;
+  verbose?: boolean;
+  /** Signal to abort the conversion */
+  signal?: AbortSignal;
+  /** Called as the parse, frames, ocr and write stages progress */
+  onProgress?: (event: ProgressEvent) => void;
+}
+
+export interface ConversionResult {
+  track: { index: number; language: string };
+  /** Recognized entries, empty if no text could be extracted */
+  entries: SrtEntry[];
+  /** Timeline entries without recognized text, left out of `entries` */
+  unrecognized: UnrecognizedEntry[];
+  /** Entries of `entries` that are too dense to read */
+  dense: SrtEntry[];
+  /** Path of the written file, null if nothing was written */
+  outputPath: string | null;
+  /** Path of the `.forced.srt` file written with `markForced`, null if none */
+  forcedOutputPath: string | null;
+  /** Why the track couldn't be recognized, with `allTracks` */
+  error?: VobSubError;
+}
+
+/**
+ * Convert VobSub subtitles to text subtitles, writing the output file
+ * when `outputPath` is given.
+ * @param options Conversion options
+ * @returns One result per converted track
+ */
+export function convert(options: ConvertOptions): Promise<ConversionResult[]>;
+
+/**
+ * List the subtitle tracks of an IDX/SUB pair, or the VobSub streams of an
+ * MKV or VOB file.
+ */
+export function listTracks(options: {
+  idxFile?: string;
+  subFile?: string;
+  inputFile?: string;
+  signal?: AbortSignal;
+}): Promise<TrackInfo[]>;
+
+export type ExtractFormat = "bdn" | "json" | "idx";
+
+export interface ExtractOptions {
+  /** Path to the IDX file, unless `inputFile` is given */
+  idxFile?: string;
+  /** Path to the SUB file, defaults to the IDX path with a .sub extension */
+  subFile?: string;
+  /** Path to an MKV or VOB file to read instead of an IDX/SUB pair */
+  inputFile?: string;
+  /**
+   * Path of the BDN XML or JSON manifest, with the images written next to
+   * it, or of the IDX file, with the SUB file written next to it
+   */
+  outputPath: string;
+  /** Output format, defaults to the `outputPath` extension */
+  format?: ExtractFormat;
+  /** Track index or language code */
+  track?: number | string;
+  /** Only extract forced subtitles */
+  forcedOnly?: boolean;
+  timing?: TimingOptions;
+  /**
+   * Frame rate of the BDN timecodes, defaults to `timing.fpsTo`, or 25 for
+   * 576 line videos and 29.97 otherwise
+   */
+  frameRate?: number;
+  verbose?: boolean;
+  signal?: AbortSignal;
+  onProgress?: (event: {
+    stage: "write";
+    completed: number;
+    total: number;
+  }) => void;
+}
+
+export interface ExtractionResult {
+  track: { index: number; language: string };
+  /** Retimed entries, with the path of their PNG `image` in image formats */
+  entries: Array<TimelineEntry & { position: BoundingBox; image?: string }>;
+  /** Every file written, the manifest or IDX file first */
+  files: string[];
+}
+
+/**
+ * Extract VobSub subtitles without OCR: as PNG images with a BDN XML or
+ * JSON manifest, or as a new IDX/SUB pair, after retiming them.
+ * @throws InputError if an option is invalid or an input file is missing
+ * @throws NoSubtitlesError if there is nothing to extract
+ */
+export function extract(options: ExtractOptions): Promise<ExtractionResult>;
+
+/** Guess the extraction format from the output path extension */
+export function extractFormatFromPath(
+  filePath: string,
+): ExtractFormat | undefined;
+
+export interface MuxSubtitle {
+  /** Path of an SRT, WebVTT or ASS file */
+  file: string;
+  /** Language code of the track, as in IDX files */
+  language: string;
+  /** Make it the default subtitle track */
+  default?: boolean;
+  /** Flag it as a forced track */
+  forced?: boolean;
+}
+
+export interface MuxOptions {
+  /** Path to the video */
+  videoFile: string;
+  /** Subtitle files to add, in track order */
+  subtitles: MuxSubtitle[];
+  /** Path of the video to write, defaults to `<video>.muxed.<ext>` */
+  outputPath?: string;
+  /** ffmpeg binary, defaults to the one of ffmpeg-static */
+  ffmpegPath?: string;
+  verbose?: boolean;
+  signal?: AbortSignal;
+}
+
+/**
+ * Add text subtitle tracks to a copy of a video with ffmpeg, copying the
+ * existing streams without re-encoding.
+ * @returns Path of the written video
+ * @throws InputError if an option is invalid or the video can't be accessed
+ * @throws MuxError if ffmpeg is missing or fails
+ */
+export function muxSubtitles(options: MuxOptions): Promise<string>;
+
+/** Default output path of a muxed video, e.g. `movie.muxed.mkv` */
+export function muxOutputPath(videoFile: string): string;
+
+/**
+ * Build the output path of a track when converting all tracks,
+ * e.g. `movie.srt` becomes `movie.en.srt`.
+ */
+export function trackOutputPath(
+  outputPath: string,
+  track: { index: number; language: string },
+  tracks: Array<{ index: number; language: string }>,
+): string;
+
+export interface ConvertDirectoryOptions
+  extends Omit<
+    ConvertOptions,
+    | "idxFile"
+    | "subFile"
+    | "inputFile"
+    | "outputPath"
+    | "tempDir"
+    | "review"
+    | "onProgress"
+  > {
+  /** Directory searched recursively for IDX, MKV and VOB files */
+  inputDir: string;
+  /** Directory the outputs are written to, mirroring `inputDir` */
+  outputDir: string;
+  /** Maximum number of parallel conversions, defaults to 2 */
+  jobs?: number;
+  /** Called when a file is converted, skipped or failed */
+  onFile?: (event: {
+    input: string;
+    status: "converted" | "skipped" | "failed";
+    error?: Error;
+    completed: number;
+    total: number;
+  }) => void;
+}
+
+export interface BatchReport {
+  inputDir: string;
+  outputDir: string;
+  startedAt: string;
+  /** Null while the batch runs, or when it was interrupted */
+  finishedAt: string | null;
+  /** Input paths are relative to `inputDir` */
+  converted: Array<{ input: string; outputs: string[]; entries: number }>;
+  /** Files whose outputs were newer than their inputs, or videos without VobSub streams */
+  skipped: Array<{ input: string; outputs: string[] }>;
+  failed: Array<{ input: string; code: string | null; message: string }>;
+}
+
+/**
+ * Convert every IDX/SUB pair, MKV and VOB file of a directory tree,
+ * skipping files whose outputs are up to date and videos without VobSub
+ * streams, and write `vobsub-report.json` to `outputDir`.
+ * @param options Batch options
+ * @returns The summary report
+ */
+export function convertDirectory(
+  options: ConvertDirectoryOptions,
+): Promise<BatchReport>;
+
+export class VobSubError extends Error {
+  /** Stable error code */
+  readonly code: string;
+}
+
+/** Invalid options, or input files that can't be accessed */
+export class InputError extends VobSubError {
+  readonly code: "ERR_VOBSUB_INPUT";
+}
+
+/** The IDX or SUB file is malformed */
+export class ParseError extends VobSubError {
+  readonly code: "ERR_VOBSUB_PARSE";
+}
+
+/** The OCR engine failed */
+export class OcrError extends VobSubError {
+  readonly code: "ERR_VOBSUB_OCR";
+}
+
+/** ffmpeg failed to add the subtitles to the video */
+export class MuxError extends VobSubError {
+  readonly code: "ERR_VOBSUB_MUX";
+}
+
+/** There is nothing to convert, or no text was recognized */
+export class NoSubtitlesError extends VobSubError {
+  readonly code: "ERR_VOBSUB_NO_SUBTITLES";
 }
@@ -1 +1,14 @@
 export * from "./VobSubDecoder.js";
+export * from "./convert.js";
+export * from "./batch.js";
+export * from "./readability.js";
+export * from "./timing.js";
+export * from "./merge.js";
+export * from "./compare.js";
+export * from "./extract.js";
+export * from "./mux.js";
+export * from "./errors.js";
+export * from "./ocr/index.js";
+export * from "./cleanup/index.js";
+export * from "./writers/index.js";
+export * from "./vobsub/index.js";
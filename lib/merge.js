@@ -0,0 +1,160 @@
+import { editDistance } from "./utils.js";
+
+/**
+ * Largest gap in milliseconds between two entries that can be merged
+ * @type {number}
+ */
+const DEFAULT_MERGE_GAP = 120;
+
+/**
+ * Smallest text similarity, from 0 to 1, of two entries that can be merged
+ * @type {number}
+ */
+const DEFAULT_MERGE_SIMILARITY = 0.85;
+
+/**
+ * Dash starting a speaker turn in a dialogue
+ * @private
+ */
+const DIALOGUE_DASH = /^[-‐–—]\s*/;
+
+/**
+ * Dash followed by a space, which unlike a minus sign or a hyphen can only
+ * start a speaker turn
+ * @private
+ */
+const SPACED_DASH = /^[-‐–—]\s/;
+
+/**
+ * Reduce text to its lowercase letters and digits, for comparisons
+ *
+ * @param {string} text - Subtitle text
+ * @returns {string} Normalized text
+ */
+function normalizeText(text) {
+  return text
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, " ")
+    .trim();
+}
+
+/**
+ * Measure how alike two subtitle texts are, ignoring case, punctuation and
+ * line breaks
+ *
+ * @param {string} a - First text
+ * @param {string} b - Second text
+ * @returns {number} Similarity from 0 (nothing in common) to 1 (same text)
+ */
+function textSimilarity(a, b) {
+  const x = normalizeText(a);
+  const y = normalizeText(b);
+  const length = Math.max(x.length, y.length);
+  return length === 0 ? 1 : 1 - editDistance(x, y) / length;
+}
+
+/**
+ * List the numbers of a text
+ *
+ * Digits within words, often misread letters, are not numbers.
+ *
+ * @param {string} text - Subtitle text
+ * @returns {string} The numbers, separated by spaces
+ */
+function getNumbers(text) {
+  return (text.match(/(?<!\p{L})\p{N}+(?!\p{L})/gu) ?? []).join(" ");
+}
+
+/**
+ * Merge consecutive entries showing the same text
+ *
+ * VobSub tracks often redraw a line in several display sets, which gives
+ * back-to-back entries with the same text, or nearly the same once OCR
+ * errors are counted. Entries following each other within `maxGap` with
+ * texts at least `similarity` alike and the same numbers, since a changed
+ * number is rarely an OCR error, are merged into one, shown from the
+ * start of the first to the end of the last. The merged entry keeps the
+ * text, style and image of the entry with the best OCR confidence, and is
+ * forced when any of the entries is.
+ *
+ * @param {Array<Object>} entries - Subtitle entries, in order
+ * @param {Object} [options] - Merge options
+ * @param {number} [options.maxGap=120] - Largest gap in ms between entries
+ * @param {number} [options.similarity=0.85] - Smallest text similarity, from 0 to 1
+ * @returns {Array<Object>} Entries with duplicates merged
+ */
+function mergeDuplicates(
+  entries,
+  { maxGap = DEFAULT_MERGE_GAP, similarity = DEFAULT_MERGE_SIMILARITY } = {},
+) {
+  const merged = [];
+  for (const entry of entries) {
+    const last = merged.at(-1);
+    if (
+      last &&
+      entry.startTime - last.endTime <= maxGap &&
+      textSimilarity(last.text, entry.text) >= similarity &&
+      getNumbers(last.text) === getNumbers(entry.text)
+    ) {
+      const best =
+        (entry.confidence ?? -1) > (last.confidence ?? -1) ? entry : last;
+      merged[merged.length - 1] = {
+        ...best,
+        index: last.index,
+        startTime: last.startTime,
+        endTime: Math.max(last.endTime, entry.endTime),
+        ...((last.forced || entry.forced) && { forced: true }),
+      };
+    } else {
+      merged.push(entry);
+    }
+  }
+  return merged;
+}
+
+/**
+ * Split two-speaker entries into one entry per speaker
+ *
+ * A dialogue is an entry where a line starting with a dash starts the turn
+ * of another speaker. When the first line isn't dashed, the dash must be
+ * followed by a space, so that a line starting with a negative number or a
+ * hyphenated word isn't taken for a turn. Each turn becomes
+ * an entry of its own, shown at the same time, without its dash and
+ * positioned over the lines it had in the original bitmap.
+ *
+ * @param {Array<Object>} entries - Subtitle entries
+ * @returns {Array<Object>} Entries with dialogues split
+ */
+function splitDialogue(entries) {
+  return entries.flatMap((entry) => {
+    const lines = entry.text.split("\n");
+    const dash = DIALOGUE_DASH.test(lines[0]) ? DIALOGUE_DASH : SPACED_DASH;
+    const turns = [];
+    lines.forEach((line, i) => {
+      if (i === 0 || dash.test(line)) {
+        turns.push({ first: i, lines: [] });
+      }
+      turns.at(-1).lines.push(line.replace(DIALOGUE_DASH, ""));
+    });
+    if (turns.length < 2) return [entry];
+
+    const { position } = entry;
+    return turns.map(({ first, lines: turn }) => ({
+      ...entry,
+      text: turn.join("\n"),
+      position: position && {
+        ...position,
+        y: position.y + Math.round((position.height * first) / lines.length),
+        height: Math.round((position.height * turn.length) / lines.length),
+      },
+    }));
+  });
+}
+
+export {
+  DEFAULT_MERGE_GAP,
+  DEFAULT_MERGE_SIMILARITY,
+  textSimilarity,
+  mergeDuplicates,
+  splitDialogue,
+};
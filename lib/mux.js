@@ -0,0 +1,201 @@
+import fs from "node:fs/promises";
+import path from "node:path";
+import { execFile } from "node:child_process";
+import { promisify } from "node:util";
+import ffmpegStatic from "ffmpeg-static";
+import { InputError, MuxError } from "./errors.js";
+import { formatFromPath } from "./writers/index.js";
+import { matroskaLanguage } from "./vobsub/index.js";
+
+const execFileAsync = promisify(execFile);
+
+/**
+ * Codec of the added subtitle tracks in containers that can't hold the
+ * subtitle files as they are, by extension
+ * @private
+ */
+const SUBTITLE_CODECS = {
+  ".mp4": "mov_text",
+  ".m4v": "mov_text",
+  ".mov": "mov_text",
+  ".webm": "webvtt",
+};
+
+/**
+ * Subtitle stream lines of the ffmpeg input description
+ * @private
+ */
+const SUBTITLE_STREAM = /^\s*Stream #0:\d+\S*: Subtitle:/gm;
+
+/**
+ * Build the default output path of a muxed video, e.g. `movie.mkv` becomes
+ * `movie.muxed.mkv`
+ *
+ * @param {string} videoFile - Path to the video
+ * @returns {string} Output path next to the video
+ */
+function muxOutputPath(videoFile) {
+  const { dir, name, ext } = path.parse(videoFile);
+  return path.join(dir, `${name}.muxed${ext}`);
+}
+
+/**
+ * Run ffmpeg
+ *
+ * @private
+ * @param {string} binary - Path to the ffmpeg binary
+ * @param {string[]} args - Arguments
+ * @param {AbortSignal} [signal] - Signal to abort, which kills ffmpeg
+ * @returns {Promise<string>} What ffmpeg printed on stderr
+ * @throws {MuxError} If ffmpeg can't be run or fails
+ */
+async function runFfmpeg(binary, args, signal) {
+  try {
+    const { stderr } = await execFileAsync(binary, args, {
+      signal,
+      maxBuffer: 16 * 1024 * 1024,
+    });
+    return stderr;
+  } catch (error) {
+    if (signal?.aborted) throw signal.reason;
+    if (error.code === "ENOENT") {
+      throw new MuxError(
+        `Unable to run ffmpeg at '${binary}', reinstall ffmpeg-static or set the FFMPEG_BIN environment variable`,
+        { cause: error },
+      );
+    }
+    const message = `${error.stderr ?? ""}`.trim().split("\n").at(-1);
+    throw new MuxError(`ffmpeg failed: ${message || error.message}`, {
+      cause: error,
+    });
+  }
+}
+
+/**
+ * Count the subtitle streams of a video
+ *
+ * ffmpeg describes its inputs before complaining that no output is given,
+ * so the description is read from the error output.
+ *
+ * @private
+ * @param {string} binary - Path to the ffmpeg binary
+ * @param {string} videoFile - Path to the video
+ * @param {AbortSignal} [signal] - Signal to abort
+ * @returns {Promise<number>} Number of subtitle streams
+ * @throws {MuxError} If ffmpeg can't read the video
+ */
+async function countSubtitleStreams(binary, videoFile, signal) {
+  let output;
+  try {
+    output = await runFfmpeg(binary, ["-hide_banner", "-i", videoFile], signal);
+  } catch (error) {
+    output = `${error.cause?.stderr ?? ""}`;
+    if (!/^Input #0/m.test(output)) throw error;
+  }
+  return output.match(SUBTITLE_STREAM)?.length ?? 0;
+}
+
+/**
+ * Add text subtitle tracks to a video with ffmpeg
+ *
+ * Every stream of the video is copied without re-encoding, and each
+ * subtitle file is added as a new track after the existing subtitles, with
+ * its language as an ISO 639-2 code. SRT, WebVTT and ASS files are stored
+ * as they are in Matroska files, and converted to the text format of MP4
+ * and WebM files. A default track takes the default flag away from the
+ * existing subtitle tracks.
+ *
+ * @param {Object} options - Mux options
+ * @param {string} options.videoFile - Path to the video
+ * @param {Array<{file: string, language: string, default?: boolean, forced?: boolean}>} options.subtitles -
+ *   Subtitle files to add, with the language code of their track and
+ *   whether to flag them as the default or forced track
+ * @param {string} [options.outputPath] - Path of the video to write,
+ *   defaults to the video path with a `.muxed` suffix
+ * @param {string} [options.ffmpegPath] - ffmpeg binary, defaults to the one
+ *   of ffmpeg-static
+ * @param {boolean} [options.verbose=false] - Whether to enable verbose logging
+ * @param {AbortSignal} [options.signal] - Signal to abort, which kills ffmpeg
+ * @returns {Promise<string>} Path of the written video
+ * @throws {InputError} If an option is invalid, the video can't be
+ *   accessed, or a subtitle file isn't a text subtitle format
+ * @throws {MuxError} If ffmpeg is missing or fails
+ */
+async function muxSubtitles(options) {
+  const {
+    videoFile,
+    subtitles,
+    outputPath = videoFile && muxOutputPath(videoFile),
+    ffmpegPath = ffmpegStatic,
+    verbose = false,
+    signal,
+  } = options;
+
+  if (!videoFile) {
+    throw new InputError("The videoFile option is required");
+  }
+  if (!subtitles?.length) {
+    throw new InputError("No subtitle files to mux");
+  }
+  if (path.resolve(outputPath) === path.resolve(videoFile)) {
+    throw new InputError(
+      "The muxed video can't overwrite the input video, choose another output path",
+    );
+  }
+  for (const { file } of subtitles) {
+    if (!["srt", "vtt", "ass"].includes(formatFromPath(file))) {
+      throw new InputError(
+        `Cannot mux ${file}, only SRT, WebVTT and ASS subtitles can be added to a video`,
+      );
+    }
+  }
+  try {
+    await fs.access(videoFile);
+  } catch (error) {
+    throw new InputError(`Cannot access video file: ${videoFile}`, {
+      cause: error,
+    });
+  }
+  if (!ffmpegPath) {
+    throw new MuxError(
+      "ffmpeg-static has no ffmpeg binary for this platform, set the FFMPEG_BIN environment variable",
+    );
+  }
+  signal?.throwIfAborted();
+
+  const existing = await countSubtitleStreams(ffmpegPath, videoFile, signal);
+  const codec = SUBTITLE_CODECS[path.extname(outputPath).toLowerCase()];
+  const args = ["-hide_banner", "-v", "error", "-y", "-i", videoFile];
+  for (const { file } of subtitles) args.push("-i", file);
+  args.push("-map", "0");
+  subtitles.forEach((_subtitle, i) => args.push("-map", `${i + 1}:0`));
+  args.push("-c", "copy");
+  if (subtitles.some((subtitle) => subtitle.default)) {
+    for (let i = 0; i < existing; i++) {
+      args.push(`-disposition:s:${i}`, "-default");
+    }
+  }
+  subtitles.forEach((subtitle, i) => {
+    const stream = `s:${existing + i}`;
+    if (codec) args.push(`-c:${stream}`, codec);
+    const flags = [
+      subtitle.default && "default",
+      subtitle.forced && "forced",
+    ].filter(Boolean);
+    args.push(
+      `-metadata:s:${stream}`,
+      `language=${matroskaLanguage(subtitle.language)}`,
+      `-disposition:${stream}`,
+      flags.length > 0 ? flags.join("+") : "0",
+    );
+  });
+  args.push(outputPath);
+
+  if (verbose) console.log(`Running: ${ffmpegPath} ${args.join(" ")}`);
+  await runFfmpeg(ffmpegPath, args, signal);
+  if (verbose)
+    console.log(`Added ${subtitles.length} subtitle tracks to ${outputPath}`);
+  return outputPath;
+}
+
+export { muxSubtitles, muxOutputPath };
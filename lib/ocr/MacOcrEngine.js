@@ -0,0 +1,86 @@
+import { OcrEngine } from "./OcrEngine.js";
+
+/**
+ * MacOcrEngine - OCR backend using the macOS Vision framework
+ *
+ * Wraps `@cherrystudio/mac-system-ocr`. The module is an optional dependency
+ * that only installs on macOS, so it is loaded lazily on first use.
+ *
+ * @class MacOcrEngine
+ * @extends OcrEngine
+ */
+class MacOcrEngine extends OcrEngine {
+  get name() {
+    return "mac";
+  }
+
+  /**
+   * Load the MacOCR module
+   *
+   * @private
+   * @returns {Promise<Object>} The MacOCR default export
+   * @throws {Error} If the module is not installed or the platform isn't macOS
+   */
+  async load() {
+    if (process.platform !== "darwin") {
+      throw new Error("The 'mac' OCR engine is only supported on macOS");
+    }
+    try {
+      const { default: MacOCR } = await import("@cherrystudio/mac-system-ocr");
+      return MacOCR;
+    } catch (error) {
+      throw new Error(
+        `Unable to load @cherrystudio/mac-system-ocr: ${error.message}`,
+      );
+    }
+  }
+
+  /**
+   * Recognize text using MacOCR batch processing
+   *
+   * @param {string[]} images - Paths to the images to recognize
+   * @param {Object} [options] - Recognition options
+   * @param {"fast"|"accurate"} [options.quality="fast"] - Recognition quality
+   * @param {AbortSignal} [options.signal] - Signal to abort recognition,
+   *   checked before and after the batch, which can't be interrupted
+   * @param {(completed: number, total: number) => void} [options.onProgress] -
+   *   Called once the batch completes
+   * @returns {Promise<Array<{text: string, confidence: number|null}>>} One
+   *   result per image, without a confidence when MacOCR gives none
+   */
+  async recognize(images, { quality = "fast", signal, onProgress } = {}) {
+    const MacOCR = await this.load();
+    signal?.throwIfAborted();
+
+    // Map quality level to MacOCR constants
+    const recognitionLevel =
+      quality === "fast"
+        ? MacOCR.RECOGNITION_LEVEL_FAST
+        : MacOCR.RECOGNITION_LEVEL_ACCURATE;
+
+    if (this.verbose)
+      console.log(
+        `Processing ${images.length} frames with MacOCR batch processing...`,
+      );
+
+    // Use MacOCR batch processing for all images at once
+    const ocrResults = await MacOCR.recognizeBatchFromPath(images, {
+      maxThreads: 4, // Limit threads to avoid overwhelming the system
+      batchSize: 100, // Process in batches of 100 internally
+      ocrOptions: {
+        recognitionLevel,
+        minConfidence: 0.5, // Lower confidence threshold to capture more text
+      },
+    });
+
+    signal?.throwIfAborted();
+    onProgress?.(images.length, images.length);
+
+    return images.map((_image, i) => ({
+      text: ocrResults[i]?.text ?? "",
+      confidence: ocrResults[i]?.confidence ?? null,
+    }));
+  }
+}
+
+export { MacOcrEngine };
@@ -0,0 +1,121 @@
+import fs from "node:fs/promises";
+import path from "node:path";
+import os from "node:os";
+import { createHash, randomUUID } from "node:crypto";
+
+/**
+ * Version of the cached results, changed when the OCR output changes so
+ * older results are not reused
+ * @private
+ */
+const CACHE_VERSION = 1;
+
+/**
+ * OcrCache - On-disk cache of OCR results
+ *
+ * Results are stored as small JSON files named after the hash of the
+ * subtitle image, the OCR engine and the quality, so converting a file
+ * again only runs OCR on bitmaps that weren't seen before. Text cleanup
+ * runs after the cache, so changing cleanup or correction rules doesn't
+ * require new OCR.
+ *
+ * @class OcrCache
+ */
+class OcrCache {
+  /**
+   * @constructor
+   * @param {Object} [options] - Cache options
+   * @param {string} [options.dir] - Cache directory, defaults to
+   *   `OcrCache.defaultDirectory()`
+   */
+  constructor(options = {}) {
+    /**
+     * @type {string} Directory the results are stored in
+     */
+    this.dir = options.dir ?? OcrCache.defaultDirectory();
+  }
+
+  /**
+   * Default cache directory, in `$XDG_CACHE_HOME` or `~/.cache`
+   *
+   * @returns {string} Directory path
+   */
+  static defaultDirectory() {
+    const base =
+      process.env.XDG_CACHE_HOME ?? path.join(os.homedir(), ".cache");
+    return path.join(base, "vobsub-to-srt", "ocr");
+  }
+
+  /**
+   * Build the cache key of an image
+   *
+   * @param {string} imageHash - Hash of the image, see `hashImage`
+   * @param {OcrEngine} engine - Engine recognizing the image
+   * @param {"fast"|"accurate"} quality - OCR quality
+   * @returns {string} Cache key
+   */
+  static key(imageHash, engine, quality) {
+    return createHash("sha256")
+      .update(`${CACHE_VERSION}\n${engine.cacheKey}\n${quality}\n${imageHash}`)
+      .digest("hex");
+  }
+
+  /**
+   * Hash the bytes of an image
+   *
+   * @param {Buffer} image - Image data
+   * @returns {string} Hexadecimal SHA-256 hash
+   */
+  static hashImage(image) {
+    return createHash("sha256").update(image).digest("hex");
+  }
+
+  /**
+   * Path of the file holding a result
+   *
+   * @private
+   * @param {string} key - Cache key
+   * @returns {string} File path
+   */
+  resultPath(key) {
+    return path.join(this.dir, key.slice(0, 2), `${key}.json`);
+  }
+
+  /**
+   * Read a cached result
+   *
+   * @param {string} key - Cache key
+   * @returns {Promise<{text: string, confidence: number|null}|null>} The
+   *   result, or null if it isn't cached or can't be read
+   */
+  async get(key) {
+    try {
+      const { text, confidence } = JSON.parse(
+        await fs.readFile(this.resultPath(key), "utf-8"),
+      );
+      return typeof text === "string" ? { text, confidence } : null;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Store a result
+   *
+   * The file is written under a temporary name and renamed, so parallel
+   * conversions never read a partial result.
+   *
+   * @param {string} key - Cache key
+   * @param {{text: string, confidence: number|null}} result - OCR result
+   * @returns {Promise<void>}
+   */
+  async set(key, { text, confidence }) {
+    const file = this.resultPath(key);
+    const temp = `${file}.${randomUUID()}.tmp`;
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.writeFile(temp, JSON.stringify({ text, confidence }));
+    await fs.rename(temp, file);
+  }
+}
+
+export { OcrCache };
@@ -0,0 +1,77 @@
+/**
+ * OcrEngine - Base class for OCR backends
+ *
+ * Engines receive a list of subtitle images and resolve with one result per
+ * image, in the same order. A result is `{ text, confidence }`, where an
+ * unreadable image yields an empty string rather than being dropped.
+ *
+ * @class OcrEngine
+ */
+class OcrEngine {
+  /**
+   * @constructor
+   * @param {Object} [options] - Engine specific options
+   * @param {boolean} [options.verbose=false] - Whether to enable verbose logging
+   */
+  constructor(options = {}) {
+    /**
+     * @type {boolean} Whether to enable verbose logging
+     * @private
+     */
+    this.verbose = options.verbose ?? false;
+  }
+
+  /**
+   * Short identifier of the engine, e.g. "mac" or "tesseract"
+   * @type {string}
+   */
+  get name() {
+    throw new Error("OcrEngine subclasses must define a name");
+  }
+
+  /**
+   * Identifier of the engine and the settings changing its results, used
+   * to key cached results; subclasses with such settings extend it
+   * @type {string}
+   */
+  get cacheKey() {
+    return this.name;
+  }
+
+  /**
+   * Preprocessing preset or steps applied to the images when none are
+   * given, see `resolvePreprocessSteps`
+   * @type {string|string[]}
+   */
+  get preprocess() {
+    return "none";
+  }
+
+  /**
+   * Engine recognizing the text of a track, for engines that need to be
+   * told its language; the others are used for every track as they are
+   *
+   * @param {string} language - Language code of the track, as in IDX files
+   * @returns {OcrEngine} The engine to use for the track
+   */
+  forLanguage() {
+    return this;
+  }
+
+  /**
+   * Recognize text in a batch of images
+   *
+   * @param {string[]} images - Paths to the images to recognize
+   * @param {Object} [options] - Recognition options
+   * @param {"fast"|"accurate"} [options.quality="fast"] - Recognition quality
+   * @param {AbortSignal} [options.signal] - Signal to abort recognition
+   * @param {(completed: number, total: number) => void} [options.onProgress] -
+   *   Called as images are recognized
+   * @returns {Promise<Array<{text: string, confidence: number}>>} One result per image
+   */
+  async recognize() {
+    throw new Error(`OCR engine '${this.name}' does not implement recognize()`);
+  }
+}
+
+export { OcrEngine };
@@ -0,0 +1,166 @@
+import { promisify } from "node:util";
+import { execFile } from "node:child_process";
+import { availableParallelism } from "node:os";
+import { OcrEngine } from "./OcrEngine.js";
+import { mapConcurrent } from "../utils.js";
+import { tesseractLanguage } from "../vobsub/languages.js";
+
+const execFileAsync = promisify(execFile);
+
+/**
+ * TesseractEngine - OCR backend using a local `tesseract` binary
+ *
+ * Runs one `tesseract` process per image with TSV output, so that the
+ * recognized words can be regrouped into lines and their confidence kept.
+ * Works on any platform where Tesseract 4 or newer is installed, with the
+ * language data of the tracks to convert.
+ *
+ * @class TesseractEngine
+ * @extends OcrEngine
+ */
+class TesseractEngine extends OcrEngine {
+  /**
+   * @constructor
+   * @param {Object} [options] - Options for the engine
+   * @param {boolean} [options.verbose=false] - Whether to enable verbose logging
+   * @param {string} [options.binary] - Path to the tesseract binary, defaults
+   *   to the `TESSERACT_PATH` environment variable or `tesseract`
+   * @param {string} [options.language] - Tesseract language code(s), e.g.
+   *   "eng+fra", defaults to the language of each track, or "eng"
+   * @param {number} [options.concurrency] - Maximum parallel tesseract processes
+   */
+  constructor(options = {}) {
+    super(options);
+    /**
+     * @type {string} Path to the tesseract binary
+     * @private
+     */
+    this.binary = options.binary ?? process.env.TESSERACT_PATH ?? "tesseract";
+    /**
+     * @type {string|null} Tesseract language code(s), null to follow the
+     *   track language
+     * @private
+     */
+    this.language = options.language ?? null;
+    /**
+     * @type {number} Maximum parallel tesseract processes
+     * @private
+     */
+    this.concurrency = options.concurrency ?? availableParallelism();
+  }
+
+  get name() {
+    return "tesseract";
+  }
+
+  get cacheKey() {
+    return `${this.name}:${this.language ?? "eng"}`;
+  }
+
+  /**
+   * Tesseract reads dark text on a light background, so the light text of
+   * subtitles drawn on a dark one is inverted
+   * @type {string}
+   */
+  get preprocess() {
+    return "basic";
+  }
+
+  /**
+   * Engine reading the language of a track, unless a language was given;
+   * tracks of unknown languages are read as English
+   *
+   * @param {string} language - Language code of the track, as in IDX files
+   * @returns {TesseractEngine} The engine to use for the track
+   */
+  forLanguage(language) {
+    const code = this.language ?? tesseractLanguage(language);
+    if (!code || code === this.language) return this;
+    return new TesseractEngine({
+      verbose: this.verbose,
+      binary: this.binary,
+      language: code,
+      concurrency: this.concurrency,
+    });
+  }
+
+  /**
+   * Recognize text by running tesseract on each image
+   *
+   * @param {string[]} images - Paths to the images to recognize
+   * @param {Object} [options] - Recognition options
+   * @param {"fast"|"accurate"} [options.quality="fast"] - Recognition quality,
+   *   "accurate" lets tesseract analyse the page layout instead of assuming
+   *   a single block of text
+   * @param {AbortSignal} [options.signal] - Signal to abort recognition,
+   *   which kills running tesseract processes
+   * @param {(completed: number, total: number) => void} [options.onProgress] -
+   *   Called after each image
+   * @returns {Promise<Array<{text: string, confidence: number}>>} One result per image
+   */
+  async recognize(images, { quality = "fast", signal, onProgress } = {}) {
+    if (this.verbose)
+      console.log(
+        `Processing ${images.length} frames with tesseract (${this.concurrency} at a time)...`,
+      );
+    const psm = quality === "fast" ? "6" : "3";
+    let completed = 0;
+    return mapConcurrent(images, this.concurrency, async (image) => {
+      signal?.throwIfAborted();
+      const language = this.language ?? "eng";
+      const args = [image, "stdout", "-l", language, "--psm", psm, "tsv"];
+      let stdout;
+      try {
+        ({ stdout } = await execFileAsync(this.binary, args, { signal }));
+      } catch (error) {
+        if (signal?.aborted) throw signal.reason;
+        if (error.code === "ENOENT") {
+          throw new Error(
+            `Unable to run '${this.binary}', make sure Tesseract is installed`,
+          );
+        }
+        if (/Failed loading language/.test(error.stderr ?? "")) {
+          throw new Error(
+            `Tesseract has no '${language}' language data, install it or pick another OCR language`,
+          );
+        }
+        throw error;
+      }
+      const result = this.parseTsv(stdout);
+      onProgress?.(++completed, images.length);
+      return result;
+    });
+  }
+
+  /**
+   * Rebuild text and confidence from tesseract TSV output
+   *
+   * Words (level 5 rows) are grouped by block, paragraph and line number,
+   * and the confidence is the mean word confidence scaled to 0-1.
+   *
+   * @private
+   * @param {string} tsv - Raw TSV output
+   * @returns {{text: string, confidence: number}} Recognized text and confidence
+   */
+  parseTsv(tsv) {
+    const lines = new Map();
+    const confidences = [];
+    for (const row of tsv.split("\n").slice(1)) {
+      const cols = row.split("\t");
+      if (cols[0] !== "5" || cols.length < 12) continue;
+      const word = cols.slice(11).join("\t").trim();
+      if (!word) continue;
+      const key = `${cols[2]}.${cols[3]}.${cols[4]}`;
+      if (!lines.has(key)) lines.set(key, []);
+      lines.get(key).push(word);
+      confidences.push(Math.max(0, parseFloat(cols[10])) / 100);
+    }
+    const text = [...lines.values()].map((words) => words.join(" ")).join("\n");
+    const confidence = confidences.length
+      ? confidences.reduce((sum, c) => sum + c, 0) / confidences.length
+      : 0;
+    return { text, confidence };
+  }
+}
+
+export { TesseractEngine };
@@ -0,0 +1,49 @@
+import { OcrEngine } from "./OcrEngine.js";
+import { MacOcrEngine } from "./MacOcrEngine.js";
+import { TesseractEngine } from "./TesseractEngine.js";
+import { OcrCache } from "./OcrCache.js";
+
+/**
+ * Built-in OCR engines by name
+ * @type {Record<string, typeof OcrEngine>}
+ */
+const ocrEngines = {
+  mac: MacOcrEngine,
+  tesseract: TesseractEngine,
+};
+
+/**
+ * Name of the engine used when none is specified, Mac System OCR
+ * on macOS and Tesseract everywhere else
+ * @type {string}
+ */
+const defaultOcrEngine = process.platform === "darwin" ? "mac" : "tesseract";
+
+/**
+ * Resolve an OCR engine from a name or an existing instance
+ *
+ * @param {string|OcrEngine} [engine] - Engine name or instance
+ * @param {Object} [options] - Options passed to the engine constructor
+ * @returns {OcrEngine} The OCR engine
+ * @throws {Error} If the engine name is unknown
+ */
+function createOcrEngine(engine = defaultOcrEngine, options = {}) {
+  if (typeof engine !== "string") return engine;
+  const Engine = ocrEngines[engine];
+  if (!Engine) {
+    throw new Error(
+      `Unknown OCR engine '${engine}'. Must be one of: ${Object.keys(ocrEngines).join(", ")}`,
+    );
+  }
+  return new Engine(options);
+}
+
+export {
+  OcrEngine,
+  MacOcrEngine,
+  TesseractEngine,
+  OcrCache,
+  ocrEngines,
+  defaultOcrEngine,
+  createOcrEngine,
+};
@@ -0,0 +1,171 @@
+/**
+ * Dash starting the turn of another speaker on a line
+ * @private
+ */
+const TURN_DASH = /^[-‐–—]/;
+
+/**
+ * Greedily wrap words into lines of at most `width` characters
+ *
+ * Words longer than `width` get a line of their own rather than being cut.
+ *
+ * @param {string[]} words - Words to wrap
+ * @param {number} width - Maximum characters per line
+ * @returns {string[]} Wrapped lines
+ */
+function fillLines(words, width) {
+  const lines = [];
+  for (const word of words) {
+    const last = lines.length - 1;
+    if (last >= 0 && lines[last].length + 1 + word.length <= width) {
+      lines[last] += ` ${word}`;
+    } else {
+      lines.push(word);
+    }
+  }
+  return lines;
+}
+
+/**
+ * Wrap subtitle text to a maximum line length and number of lines
+ *
+ * Text that already fits is left as is. Otherwise each line is wrapped on
+ * its own, keeping the line breaks found by OCR; when that gives too many
+ * lines, the lines of each speaker turn, started by a dash, are joined and
+ * wrapped together, and only then is the whole text wrapped again. Text is
+ * never dropped: when it doesn't fit on `maxLines` lines, the lines are
+ * balanced and made longer than `maxLineLength` instead, keeping the
+ * speaker turns apart when there are no more turns than lines.
+ *
+ * @param {string} text - Text to wrap
+ * @param {Object} [options] - Wrapping options
+ * @param {number} [options.maxLineLength=Infinity] - Maximum characters per line
+ * @param {number} [options.maxLines=Infinity] - Maximum number of lines
+ * @returns {string} Wrapped text with newlines
+ */
+function wrapText(
+  text,
+  { maxLineLength = Infinity, maxLines = Infinity } = {},
+) {
+  if (!text) return text;
+  const lines = text.split("\n");
+  const fits =
+    lines.length <= maxLines &&
+    lines.every((line) => line.length <= maxLineLength);
+  if (fits) return text;
+
+  const turns = [];
+  for (const line of lines) {
+    if (turns.length === 0 || TURN_DASH.test(line)) turns.push(line);
+    else turns[turns.length - 1] += ` ${line}`;
+  }
+  const wrap = (groups, width) =>
+    groups.flatMap((group) =>
+      fillLines(group.split(/\s+/).filter(Boolean), width),
+    );
+
+  if (Number.isFinite(maxLineLength)) {
+    for (const groups of [lines, turns]) {
+      const wrapped = wrap(groups, maxLineLength);
+      if (wrapped.length <= maxLines) return wrapped.join("\n");
+    }
+  }
+  // Start from evenly split lines, and widen them until they fit
+  const groups = turns.length <= maxLines ? turns : [lines.join(" ")];
+  let width = Math.ceil(
+    text.split(/\s+/).filter(Boolean).join(" ").length / maxLines,
+  );
+  let wrapped;
+  while ((wrapped = wrap(groups, width)).length > maxLines) width++;
+  return wrapped.join("\n");
+}
+
+/**
+ * Count the characters shown per second by a subtitle entry
+ *
+ * Line breaks are not counted.
+ *
+ * @param {{startTime: number, endTime: number, text: string}} entry - Subtitle entry
+ * @returns {number} Characters per second, Infinity for empty durations
+ */
+function getCharactersPerSecond({ startTime, endTime, text }) {
+  const duration = endTime - startTime;
+  const characters = text.replace(/\n/g, "").length;
+  return duration > 0 ? (characters * 1000) / duration : Infinity;
+}
+
+/**
+ * Split an entry in two at the line break that best halves its text
+ *
+ * The display time is shared between both parts in proportion to their
+ * length.
+ *
+ * @param {Object} entry - Subtitle entry with several lines
+ * @returns {Object[]} The two parts
+ */
+function splitEntry(entry) {
+  const lines = entry.text.split("\n");
+  const total = entry.text.replace(/\n/g, "").length;
+  let best = 1;
+  let bestDistance = Infinity;
+  for (let i = 1, count = 0; i < lines.length; i++) {
+    count += lines[i - 1].length;
+    const distance = Math.abs(total / 2 - count);
+    if (distance < bestDistance) {
+      best = i;
+      bestDistance = distance;
+    }
+  }
+  const first = lines.slice(0, best).join("\n");
+  const second = lines.slice(best).join("\n");
+  const duration = entry.endTime - entry.startTime;
+  const middle =
+    entry.startTime +
+    Math.round((duration * first.replace(/\n/g, "").length) / total);
+  return [
+    { ...entry, text: first, endTime: middle },
+    { ...entry, text: second, startTime: middle },
+  ];
+}
+
+/**
+ * Check that subtitle entries can be read in the time they are shown
+ *
+ * Entries shown for less than `minDuration`, or with more characters per
+ * second than `maxCps`, are too dense. With the "flag" action they get a
+ * `readingIssues` list ("cps", "duration"). With "split", entries over
+ * `maxCps` are first split at their line breaks, so each part shows less
+ * text at once, and whatever is still too dense is flagged.
+ *
+ * @param {Array<Object>} entries - Subtitle entries, in order
+ * @param {Object} [options] - Check options
+ * @param {number} [options.maxCps] - Maximum characters per second
+ * @param {number} [options.minDuration] - Minimum display time in ms
+ * @param {"flag"|"split"} [options.action="flag"] - What to do with dense entries
+ * @returns {{entries: Array<Object>, flagged: Array<Object>}} Entries,
+ *   split if asked, and the ones still too dense
+ */
+function checkReadingSpeed(
+  entries,
+  { maxCps = Infinity, minDuration = 0, action = "flag" } = {},
+) {
+  const tooFast = (entry) => getCharactersPerSecond(entry) > maxCps;
+  const split = (entry) =>
+    action === "split" && tooFast(entry) && entry.text.includes("\n")
+      ? splitEntry(entry).flatMap(split)
+      : [entry];
+
+  const flagged = [];
+  const checked = entries.flatMap(split).map((entry) => {
+    const issues = [];
+    if (tooFast(entry)) issues.push("cps");
+    if (entry.endTime - entry.startTime < minDuration) issues.push("duration");
+    if (issues.length === 0) return entry;
+    const result = { ...entry, readingIssues: issues };
+    flagged.push(result);
+    return result;
+  });
+  return { entries: checked, flagged };
+}
+
+export { wrapText, getCharactersPerSecond, checkReadingSpeed };
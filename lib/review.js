@@ -0,0 +1,171 @@
+import fs from "node:fs/promises";
+import path from "node:path";
+import { splitTime } from "./writers/SubtitleWriter.js";
+
+/**
+ * Default confidence under which an entry is listed for review
+ * @type {number}
+ */
+const DEFAULT_REVIEW_THRESHOLD = 0.8;
+
+/**
+ * Format milliseconds as an SRT style timestamp (HH:MM:SS,mmm)
+ *
+ * @param {number} ms - Time in milliseconds
+ * @returns {string} Formatted timestamp
+ */
+function formatTime(ms) {
+  const { hours, minutes, seconds, milliseconds } = splitTime(ms);
+  return `${hours}:${minutes}:${seconds},${milliseconds}`;
+}
+
+/**
+ * Escape text for use in HTML
+ *
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+  return text
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+/**
+ * Collect the entries whose OCR confidence is below a threshold
+ *
+ * Entries where OCR found no text are listed with a confidence of 0.
+ * Entries without a confidence, because the engine doesn't report one,
+ * are not listed.
+ *
+ * @param {Array<{track: {index: number, language: string}, entries: Array}>} results -
+ *   Conversion results
+ * @param {number} [threshold=0.8] - Confidence threshold, from 0 to 1
+ * @returns {Promise<Array<Object>>} Review items, with the cropped subtitle
+ *   image as a PNG data URL, or null if it can't be read
+ */
+async function collectReviewItems(
+  results,
+  threshold = DEFAULT_REVIEW_THRESHOLD,
+) {
+  const items = [];
+  for (const { track, entries, unrecognized = [] } of results) {
+    // Frames where OCR found no text are the most doubtful of all
+    const failed = unrecognized
+      .filter((entry) => entry.reason === "no-text")
+      .map((entry) => ({ ...entry, text: "", confidence: 0 }));
+    const doubtful = [...entries, ...failed].sort((a, b) => a.index - b.index);
+    for (const entry of doubtful) {
+      if (typeof entry.confidence !== "number") continue;
+      if (entry.confidence >= threshold) continue;
+      let image = null;
+      if (entry.image) {
+        try {
+          const png = await fs.readFile(entry.image);
+          image = `data:image/png;base64,${png.toString("base64")}`;
+        } catch (_error) {
+          // The frame may have been cleaned up already
+        }
+      }
+      items.push({
+        track,
+        index: entry.index,
+        startTime: entry.startTime,
+        endTime: entry.endTime,
+        start: formatTime(entry.startTime),
+        end: formatTime(entry.endTime),
+        text: entry.text,
+        confidence: entry.confidence,
+        image,
+      });
+    }
+  }
+  return items;
+}
+
+/**
+ * Render review items as a standalone HTML page
+ *
+ * @param {Array<Object>} items - Review items from `collectReviewItems`
+ * @param {{source: string, threshold: number}} context - Report details
+ * @returns {string} HTML document
+ */
+function formatReviewHtml(items, { source, threshold }) {
+  const rows = items.map((item) => {
+    const image = item.image
+      ? `<img src="${item.image}" alt="Subtitle ${item.index}">`
+      : "";
+    const text = item.text
+      ? escapeHtml(item.text).replace(/\n/g, "<br>")
+      : "<em>No text recognized</em>";
+    return [
+      "    <tr>",
+      `      <td>${item.track.language || item.track.index}</td>`,
+      `      <td>${item.index}</td>`,
+      `      <td>${item.start}<br>${item.end}</td>`,
+      `      <td>${Math.round(item.confidence * 100)}%</td>`,
+      `      <td class="image">${image}</td>`,
+      `      <td>${text}</td>`,
+      "    </tr>",
+    ].join("\n");
+  });
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <title>OCR review: ${escapeHtml(source)}</title>
+  <style>
+    body { font-family: sans-serif; margin: 2em; }
+    table { border-collapse: collapse; }
+    th, td { border: 1px solid #ccc; padding: 0.4em; vertical-align: top; }
+    td.image { background: #333; }
+    td.image img { display: block; max-width: 720px; }
+  </style>
+</head>
+<body>
+  <h1>OCR review: ${escapeHtml(source)}</h1>
+  <p>${items.length} entries with a confidence below ${Math.round(threshold * 100)}%</p>
+  <table>
+    <tr><th>Track</th><th>Entry</th><th>Time</th><th>Confidence</th><th>Image</th><th>Text</th></tr>
+${rows.join("\n")}
+  </table>
+</body>
+</html>
+`;
+}
+
+/**
+ * Write a review report of the low-confidence entries of a conversion
+ *
+ * The format is picked from the extension of `reviewPath`: HTML for .html
+ * and .htm, JSON otherwise. Both embed the cropped subtitle images, so
+ * the report must be written before the frames are cleaned up.
+ *
+ * @param {Array<{track: {index: number, language: string}, entries: Array}>} results -
+ *   Conversion results
+ * @param {string} reviewPath - Path of the report to write
+ * @param {Object} [options] - Report options
+ * @param {number} [options.threshold=0.8] - Confidence threshold
+ * @param {string} [options.source=""] - Name of the converted file
+ * @returns {Promise<number>} Number of entries listed
+ */
+async function writeReview(
+  results,
+  reviewPath,
+  { threshold = DEFAULT_REVIEW_THRESHOLD, source = "" } = {},
+) {
+  const items = await collectReviewItems(results, threshold);
+  const html = /\.html?$/i.test(reviewPath);
+  const content = html
+    ? formatReviewHtml(items, { source, threshold })
+    : JSON.stringify({ source, threshold, entries: items }, null, 2) + "\n";
+
+  await fs.mkdir(path.dirname(reviewPath), { recursive: true });
+  await fs.writeFile(reviewPath, content, "utf-8");
+  return items.length;
+}
+
+export { DEFAULT_REVIEW_THRESHOLD, collectReviewItems, writeReview };
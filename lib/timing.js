@@ -0,0 +1,72 @@
+/**
+ * Display time in milliseconds given to zero-length entries when fixing
+ * overlaps without a minimum duration
+ * @private
+ */
+const ZERO_LENGTH_DURATION = 1000;
+
+/**
+ * Retime subtitle entries
+ *
+ * The steps run in this order:
+ * 1. Frame rate conversion: times are scaled by `fpsFrom / fpsTo`, e.g.
+ *    from 25 to 23.976 to undo a PAL speed-up.
+ * 2. Offset: `offset` milliseconds are added to every time. Entries that
+ *    end up before 0 are dropped, and the ones that start before it are
+ *    cut to start at 0.
+ * 3. Minimum duration: entries shown for less than `minDuration`, including
+ *    zero-length ones, are made longer.
+ * 4. Overlaps: with `fixOverlaps`, entries end when the next one starts.
+ *    Entries starting at the same time are left overlapping, since neither
+ *    can be cut without hiding it. Zero-length entries left by step 3 are
+ *    first shown for a second, so that they can be seen until the next one.
+ *
+ * @param {Array<Object>} entries - Subtitle entries with `startTime` and
+ *   `endTime` in milliseconds
+ * @param {Object} [options] - Timing options
+ * @param {number} [options.offset=0] - Delay in milliseconds, negative to
+ *   show subtitles earlier
+ * @param {number} [options.fpsFrom] - Frame rate the subtitles were timed for
+ * @param {number} [options.fpsTo] - Frame rate of the target video
+ * @param {number} [options.minDuration=0] - Minimum display time in ms
+ * @param {boolean} [options.fixOverlaps=false] - End entries when the next
+ *   one starts
+ * @returns {Array<Object>} Retimed copies of the entries, sorted by start time
+ */
+function retime(
+  entries,
+  { offset = 0, fpsFrom, fpsTo, minDuration = 0, fixOverlaps = false } = {},
+) {
+  const scale = fpsFrom && fpsTo ? fpsFrom / fpsTo : 1;
+  const shift = (time) => Math.round(time * scale) + offset;
+
+  const retimed = entries
+    .map((entry) => ({
+      ...entry,
+      startTime: Math.max(0, shift(entry.startTime)),
+      endTime: shift(entry.endTime),
+    }))
+    .filter((entry) => entry.endTime > 0)
+    .sort((a, b) => a.startTime - b.startTime);
+
+  for (const entry of retimed) {
+    entry.endTime = Math.max(entry.endTime, entry.startTime + minDuration);
+  }
+  if (fixOverlaps) {
+    for (const entry of retimed) {
+      if (entry.endTime <= entry.startTime) {
+        entry.endTime = entry.startTime + ZERO_LENGTH_DURATION;
+      }
+    }
+    for (let i = 0; i < retimed.length - 1; i++) {
+      const entry = retimed[i];
+      const next = retimed[i + 1];
+      if (entry.endTime > next.startTime && next.startTime > entry.startTime) {
+        entry.endTime = next.startTime;
+      }
+    }
+  }
+  return retimed;
+}
+
+export { retime };
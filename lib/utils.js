@@ -1,29 +1,46 @@
-import { spawn } from "node:child_process";
+/**
+ * Map over items with an async function, running at most `limit` at a time
+ * @param {Array} items The items to map over
+ * @param {number} limit The maximum number of concurrent calls
+ * @param {(item: any, index: number) => Promise<any>} fn The mapping function
+ * @returns {Promise<Array>} The results, in the same order as the items
+ */
+export async function mapConcurrent(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const i = next++;
+      results[i] = await fn(items[i], i);
+    }
+  };
+  const workers = Array.from(
+    { length: Math.max(1, Math.min(limit, items.length)) },
+    worker,
+  );
+  await Promise.all(workers);
+  return results;
+}
 
 /**
- * Spawn a process and return a promise
- * @param {string} binary The binary to spawn
- * @param {string[]} args The arguments to pass to the binary
- * @returns {Promise<{stdout: string, stderr: string}>}
+ * Count the insertions, deletions and substitutions turning one sequence
+ * into another (Levenshtein distance)
+ * @param {string|Array} a The first sequence, a string or an array of words
+ * @param {string|Array} b The second sequence
+ * @returns {number} The edit distance
  */
-export function spawnPromise(binary, args) {
-  return new Promise((resolve, reject) => {
-    const child = spawn(binary, args);
-    let stderr = "";
-    let stdout = "";
-    child.stderr.on("data", (data) => {
-      stderr += data.toString();
-    });
-    child.stdout.on("data", (data) => {
-      stdout += data.toString();
-    });
-    child.on("close", (code) => {
-      if (code === 0) {
-        resolve({ stdout, stderr });
-      } else {
-        reject(new Error(`Process exited with code ${code}`));
-      }
-    });
-    child.on("error", reject);
-  });
+export function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1),
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
 }
@@ -0,0 +1,219 @@
+import { PNG } from "pngjs";
+
+/**
+ * Decode the run-length encoded bitmap of an SPU packet
+ *
+ * The bitmap is interlaced: even lines are read from the top field and odd
+ * lines from the bottom field. Each run is a variable length code of 1 to 4
+ * nibbles holding a run length and a 2-bit pixel type; a run length of zero
+ * fills the rest of the line. Lines are byte aligned.
+ *
+ * @param {Buffer} data - SPU packet, as returned by `readSpu`
+ * @param {Object} controls - Display controls, as returned by `parseSpuControl`
+ * @returns {{width: number, height: number, pixels: Uint8Array}|null} The
+ *   2-bit pixel types of the display area, or null if the SPU has no bitmap
+ */
+function decodeSpuBitmap(data, { area, offsets }) {
+  if (!area || !offsets) return null;
+  const width = area.x2 - area.x1 + 1;
+  const height = area.y2 - area.y1 + 1;
+  if (width <= 0 || height <= 0) return null;
+
+  const pixels = new Uint8Array(width * height);
+  // Nibble positions of the top and bottom fields
+  const fields = [offsets.top * 2, offsets.bottom * 2];
+  const end = data.readUInt16BE(2) * 2;
+
+  for (let y = 0; y < height; y++) {
+    const field = y & 1;
+    let position = fields[field];
+    const nibble = () =>
+      position < end
+        ? (data[position >> 1] >> (position++ & 1 ? 0 : 4)) & 0x0f
+        : 0;
+
+    let x = 0;
+    while (x < width && position < end) {
+      let code = nibble();
+      if (code < 0x4) {
+        code = (code << 4) | nibble();
+        if (code < 0x10) {
+          code = (code << 4) | nibble();
+          if (code < 0x40) {
+            code = (code << 4) | nibble();
+          }
+        }
+      }
+      const type = code & 0x03;
+      const run = code >> 2 || width - x;
+      pixels.fill(type, y * width + x, y * width + Math.min(width, x + run));
+      x += run;
+    }
+    // Lines start on a byte boundary
+    fields[field] = (position + 1) & ~1;
+  }
+
+  return { width, height, pixels };
+}
+
+/**
+ * Find the bounds of the visible pixels of a decoded bitmap
+ *
+ * @param {{width: number, height: number, pixels: Uint8Array}} bitmap - Decoded bitmap
+ * @param {number[]} opacity - Opacity of the 4 pixel types
+ * @returns {{left: number, top: number, right: number, bottom: number}|null}
+ *   Inclusive bounds within the display area, or null if nothing is visible
+ */
+function findVisibleBounds({ width, height, pixels }, opacity) {
+  let left = width;
+  let top = height;
+  let right = -1;
+  let bottom = -1;
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      if (opacity[pixels[y * width + x]] > 0) {
+        if (x < left) left = x;
+        if (x > right) right = x;
+        if (y < top) top = y;
+        if (y > bottom) bottom = y;
+      }
+    }
+  }
+  return right < 0 ? null : { left, top, right, bottom };
+}
+
+/**
+ * Resolve the opacity of the 4 pixel types of an SPU
+ *
+ * @param {Object} controls - Display controls, as returned by `parseSpuControl`
+ * @param {number} alpha - Global opacity in percent, from the IDX
+ * @returns {number[]} Opacity between 0 and 1 of each pixel type
+ */
+function getOpacity(controls, alpha) {
+  return controls.alpha.map((value) => (value / 15) * (alpha / 100));
+}
+
+/**
+ * Get the bounding box of the visible pixels of an SPU packet
+ *
+ * @param {Buffer} data - SPU packet, as returned by `readSpu`
+ * @param {Object} controls - Display controls, as returned by `parseSpuControl`
+ * @param {Object} [options] - Options
+ * @param {number} [options.alpha=100] - Global opacity in percent, from the IDX
+ * @returns {{x: number, y: number, width: number, height: number}|null}
+ *   Position and size of the visible pixels within the frame, or null if
+ *   nothing is visible
+ */
+function getSpuBounds(data, controls, { alpha = 100 } = {}) {
+  const bitmap = decodeSpuBitmap(data, controls);
+  if (!bitmap) return null;
+  const bounds = findVisibleBounds(bitmap, getOpacity(controls, alpha));
+  if (!bounds) return null;
+  const { left, top, right, bottom } = bounds;
+  return {
+    x: controls.area.x1 + left,
+    y: controls.area.y1 + top,
+    width: right - left + 1,
+    height: bottom - top + 1,
+  };
+}
+
+/**
+ * Render an SPU packet to a tightly cropped RGBA image
+ *
+ * Pixel types are mapped to colors through the SPU color and alpha
+ * commands and the IDX palette, then composited onto an opaque background,
+ * or kept with their opacity in the alpha channel without one. The image is
+ * cropped to the visible pixels plus `padding` pixels on each side, instead
+ * of covering the whole display area.
+ *
+ * @param {Buffer} data - SPU packet, as returned by `readSpu`
+ * @param {Object} controls - Display controls, as returned by `parseSpuControl`
+ * @param {number[]} palette - IDX palette, 16 colors as 0xRRGGBB
+ * @param {Object} [options] - Rendering options
+ * @param {number} [options.alpha=100] - Global opacity in percent, from the IDX
+ * @param {number|null} [options.background=0x000000] - Background color as
+ *   0xRRGGBB, null for a transparent background
+ * @param {number} [options.padding=8] - Margin around the visible pixels
+ * @returns {{x: number, y: number, width: number, height: number, padding: number, rgba: Buffer}|null}
+ *   Position and size of the visible pixels within the frame, and the image
+ *   data, or null if nothing is visible
+ */
+function renderSpuBitmap(data, controls, palette, options = {}) {
+  const { alpha = 100, background = 0x000000, padding = 8 } = options;
+  const bitmap = decodeSpuBitmap(data, controls);
+  if (!bitmap) return null;
+  const { width, pixels } = bitmap;
+
+  // Resolve the 4 pixel types to RGB and opacity
+  const colors = controls.colors.map((index) => palette[index] ?? 0);
+  const opacity = getOpacity(controls, alpha);
+
+  const bounds = findVisibleBounds(bitmap, opacity);
+  if (!bounds) return null;
+  const { left, top, right, bottom } = bounds;
+
+  const cropWidth = right - left + 1;
+  const cropHeight = bottom - top + 1;
+  const outWidth = cropWidth + padding * 2;
+  const outHeight = cropHeight + padding * 2;
+  const rgba = Buffer.alloc(outWidth * outHeight * 4);
+  const transparent = background === null;
+  const bg = transparent
+    ? [0, 0, 0]
+    : [(background >> 16) & 0xff, (background >> 8) & 0xff, background & 0xff];
+
+  for (let y = 0; y < outHeight; y++) {
+    for (let x = 0; x < outWidth; x++) {
+      const sx = x - padding + left;
+      const sy = y - padding + top;
+      const inside = sx >= left && sx <= right && sy >= top && sy <= bottom;
+      const type = inside ? pixels[sy * width + sx] : 0;
+      const a = inside ? opacity[type] : 0;
+      const color = colors[type];
+      const i = (y * outWidth + x) * 4;
+      if (transparent) {
+        rgba[i] = (color >> 16) & 0xff;
+        rgba[i + 1] = (color >> 8) & 0xff;
+        rgba[i + 2] = color & 0xff;
+        rgba[i + 3] = Math.round(a * 0xff);
+        continue;
+      }
+      rgba[i] = Math.round(((color >> 16) & 0xff) * a + bg[0] * (1 - a));
+      rgba[i + 1] = Math.round(((color >> 8) & 0xff) * a + bg[1] * (1 - a));
+      rgba[i + 2] = Math.round((color & 0xff) * a + bg[2] * (1 - a));
+      rgba[i + 3] = 0xff;
+    }
+  }
+
+  return {
+    x: controls.area.x1 + left,
+    y: controls.area.y1 + top,
+    width: cropWidth,
+    height: cropHeight,
+    padding,
+    rgba,
+  };
+}
+
+/**
+ * Encode RGBA image data as a PNG
+ *
+ * @param {Buffer} rgba - Image data, 4 bytes per pixel
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @returns {Buffer} PNG file contents
+ */
+function encodePng(rgba, width, height) {
+  const png = new PNG({ width, height });
+  rgba.copy(png.data);
+  return PNG.sync.write(png);
+}
+
+export {
+  decodeSpuBitmap,
+  getOpacity,
+  getSpuBounds,
+  renderSpuBitmap,
+  encodePng,
+};
@@ -0,0 +1,53 @@
+import path from "node:path";
+import { readMkv } from "./mkv.js";
+import { readVob } from "./vob.js";
+
+/**
+ * Readers of the containers VobSub streams are read from, with their file
+ * extensions
+ * @private
+ */
+const containers = {
+  mkv: { extensions: [".mkv", ".mks", ".mka", ".webm"], read: readMkv },
+  vob: { extensions: [".vob"], read: readVob },
+};
+
+/**
+ * Guess the container of a file from its extension
+ *
+ * @param {string} filePath - Input file path
+ * @returns {"mkv"|"vob"|undefined} Container name, undefined for unknown
+ *   extensions, including IDX files
+ */
+function containerFromPath(filePath) {
+  const extension = path.extname(filePath).toLowerCase();
+  return Object.keys(containers).find((name) =>
+    containers[name].extensions.includes(extension),
+  );
+}
+
+/**
+ * Read the subtitle streams of an MKV or VOB file
+ *
+ * @param {string} file - Path to the file
+ * @param {Object} [options] - Options
+ * @param {AbortSignal} [options.signal] - Signal to abort reading
+ * @returns {Promise<Object>} Metadata in the form returned by `parseIdx`,
+ *   see `readMkv` and `readVob`
+ * @throws {Error} If the container is unknown or the file is malformed
+ */
+async function readContainer(file, options) {
+  const container = containerFromPath(file);
+  if (!container) {
+    throw new Error(
+      `Unknown input file type '${path.extname(file)}'. Must be one of: ${Object.values(
+        containers,
+      )
+        .flatMap(({ extensions }) => extensions)
+        .join(", ")}`,
+    );
+  }
+  return containers[container].read(file, options);
+}
+
+export { containerFromPath, readContainer };
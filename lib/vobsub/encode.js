@@ -0,0 +1,264 @@
+/** MPEG-PS start codes */
+const PACK_HEADER = 0xba;
+const PRIVATE_STREAM_1 = 0xbd;
+const PADDING_STREAM = 0xbe;
+
+/** SPU control commands */
+const SPU_FORCED_START = 0x00;
+const SPU_START = 0x01;
+const SPU_STOP = 0x02;
+const SPU_SET_COLOR = 0x03;
+const SPU_SET_ALPHA = 0x04;
+const SPU_SET_AREA = 0x05;
+const SPU_SET_OFFSETS = 0x06;
+const SPU_END = 0xff;
+
+/**
+ * Size of the packs of a SUB file, the DVD sector size
+ * @private
+ */
+const PACK_SIZE = 2048;
+
+/**
+ * Program mux rate of the pack headers, in units of 50 bytes per second,
+ * the rate of DVD program streams
+ * @private
+ */
+const MUX_RATE = 25200;
+
+/**
+ * Format milliseconds as a VobSub timestamp ("HH:MM:SS:mmm")
+ *
+ * @param {number} ms - Time in milliseconds
+ * @returns {string} Timestamp, as read by `parseIdxTimestamp`
+ */
+function formatIdxTimestamp(ms) {
+  const pad = (value, length = 2) => String(value).padStart(length, "0");
+  const time = Math.max(0, Math.round(ms));
+  const hours = Math.floor(time / 3600000);
+  const minutes = Math.floor(time / 60000) % 60;
+  const seconds = Math.floor(time / 1000) % 60;
+  return `${pad(hours)}:${pad(minutes)}:${pad(seconds)}:${pad(time % 1000, 3)}`;
+}
+
+/**
+ * Build the contents of a VobSub IDX file
+ *
+ * The header is written from the metadata, in the layout VobSub tools
+ * expect, followed by a block per track listing its entries. Timestamps
+ * are written as given: the time offset and track delays are expected to
+ * be applied already.
+ *
+ * @param {Object} metadata - Metadata in the form returned by `parseIdx`
+ * @param {Array<{language: string, index: number, entries: Array<{timestamp: number, filepos: number}>}>} tracks -
+ *   Tracks to list, with the time and SUB file position of their entries
+ * @returns {string} IDX file contents
+ */
+function formatIdx(metadata, tracks) {
+  const { width, height, origin, scale, alpha, smooth, fadeIn, fadeOut } =
+    metadata;
+  const { align, forcedSubs, langidx, palette, customColors } = metadata;
+  const hex = (color) => color.toString(16).padStart(6, "0");
+  const lines = [
+    "# VobSub index file, v7 (do not modify this line!)",
+    "#",
+    `size: ${width}x${height}`,
+    `org: ${origin.x}, ${origin.y}`,
+    `scale: ${scale.x}%, ${scale.y}%`,
+    `alpha: ${alpha}%`,
+    `smooth: ${smooth ? "ON" : "OFF"}`,
+    `fadein/out: ${fadeIn}, ${fadeOut}`,
+  ];
+  if (align) {
+    const { enabled, horizontal, vertical } = align;
+    lines.push(
+      `align: ${enabled ? "ON" : "OFF"} at ${horizontal.toUpperCase()} ${vertical.toUpperCase()}`,
+    );
+  }
+  lines.push(
+    "time offset: 0",
+    `forced subs: ${forcedSubs ? "ON" : "OFF"}`,
+    `palette: ${palette.map(hex).join(", ")}`,
+  );
+  if (customColors) {
+    const { enabled, tridx, colors } = customColors;
+    lines.push(
+      `custom colors: ${enabled ? "ON" : "OFF"}, tridx: ${tridx}, colors: ${colors.map(hex).join(", ")}`,
+    );
+  }
+  lines.push(`langidx: ${langidx}`);
+  for (const { language, index, entries } of tracks) {
+    lines.push("", `id: ${language}, index: ${index}`);
+    for (const { timestamp, filepos } of entries) {
+      lines.push(
+        `timestamp: ${formatIdxTimestamp(timestamp)}, filepos: ${filepos.toString(16).padStart(9, "0")}`,
+      );
+    }
+  }
+  return lines.join("\n") + "\n";
+}
+
+/**
+ * Build an SPU packet showing a bitmap for a given time
+ *
+ * The RLE bitmap of the source packet is kept as is, and its display
+ * controls are rewritten as two control sequences: one starting the
+ * display right away with the colors, area and field offsets of
+ * `controls`, and one stopping it after `duration`. Color changes within
+ * the subtitle are dropped.
+ *
+ * @param {Buffer} data - Source SPU packet, as returned by `readSpu`
+ * @param {Object} controls - Display controls, as returned by `parseSpuControl`
+ * @param {Object} options - Options
+ * @param {number} options.duration - Display time in milliseconds
+ * @returns {Buffer} The SPU packet
+ */
+function encodeSpu(data, controls, { duration }) {
+  const rle = data.subarray(4, data.readUInt16BE(2));
+  // Nibbles are stored as emphasis 2, emphasis 1, pattern, background
+  const nibbles = ([background, pattern, emphasis1, emphasis2]) => [
+    (emphasis2 << 4) | emphasis1,
+    (pattern << 4) | background,
+  ];
+  const commands = [
+    controls.forced ? SPU_FORCED_START : SPU_START,
+    SPU_SET_COLOR,
+    ...nibbles(controls.colors),
+    SPU_SET_ALPHA,
+    ...nibbles(controls.alpha),
+  ];
+  if (controls.area) {
+    const { x1, x2, y1, y2 } = controls.area;
+    commands.push(
+      SPU_SET_AREA,
+      x1 >> 4,
+      ((x1 & 0x0f) << 4) | (x2 >> 8),
+      x2 & 0xff,
+      y1 >> 4,
+      ((y1 & 0x0f) << 4) | (y2 >> 8),
+      y2 & 0xff,
+    );
+  }
+  if (controls.offsets) {
+    const { top, bottom } = controls.offsets;
+    commands.push(
+      SPU_SET_OFFSETS,
+      top >> 8,
+      top & 0xff,
+      bottom >> 8,
+      bottom & 0xff,
+    );
+  }
+  commands.push(SPU_END);
+
+  const start = 4 + rle.length;
+  const stop = start + 4 + commands.length;
+  const size = stop + 6;
+  const spu = Buffer.alloc(size);
+  spu.writeUInt16BE(size, 0);
+  spu.writeUInt16BE(start, 2);
+  rle.copy(spu, 4);
+  spu.writeUInt16BE(0, start);
+  spu.writeUInt16BE(stop, start + 2);
+  Buffer.from(commands).copy(spu, start + 4);
+  // Delays are in 1024/90000 second ticks, rounded up to keep the duration
+  const ticks = Math.ceil((Math.max(0, duration) * 90) / 1024);
+  spu.writeUInt16BE(Math.min(ticks, 0xffff), stop);
+  // The last control sequence points to itself
+  spu.writeUInt16BE(stop, stop + 2);
+  spu[stop + 4] = SPU_STOP;
+  spu[stop + 5] = SPU_END;
+  return spu;
+}
+
+/**
+ * Write a 33-bit timestamp in the 5 byte layout of PES headers
+ *
+ * @private
+ * @param {Buffer} buffer - Output buffer
+ * @param {number} offset - Offset of the 5 bytes
+ * @param {number} ticks - Timestamp in 90 kHz ticks
+ */
+function writePts(buffer, offset, ticks) {
+  const high = Math.floor(ticks / 2 ** 30) & 0x07;
+  const low = ticks % 2 ** 30;
+  buffer[offset] = 0x21 | (high << 1);
+  buffer.writeUInt16BE((((low >> 15) & 0x7fff) << 1) | 1, offset + 1);
+  buffer.writeUInt16BE(((low & 0x7fff) << 1) | 1, offset + 3);
+}
+
+/**
+ * Write an MPEG-2 pack header
+ *
+ * @private
+ * @param {Buffer} buffer - Output buffer
+ * @param {number} offset - Offset of the 14 byte header
+ * @param {number} ticks - System clock reference in 90 kHz ticks
+ */
+function writePackHeader(buffer, offset, ticks) {
+  const high = Math.floor(ticks / 2 ** 30) & 0x07;
+  const low = ticks % 2 ** 30;
+  buffer.writeUInt32BE(0x00000100 | PACK_HEADER, offset);
+  buffer[offset + 4] = 0x44 | (high << 3) | ((low >> 28) & 0x03);
+  buffer[offset + 5] = (low >> 20) & 0xff;
+  buffer[offset + 6] =
+    (((low >> 15) & 0x1f) << 3) | 0x04 | ((low >> 13) & 0x03);
+  buffer[offset + 7] = (low >> 5) & 0xff;
+  buffer[offset + 8] = ((low & 0x1f) << 3) | 0x04;
+  buffer[offset + 9] = 0x01;
+  buffer.writeUIntBE((MUX_RATE << 2) | 0x03, offset + 10, 3);
+  // No stuffing bytes
+  buffer[offset + 13] = 0xf8;
+}
+
+/**
+ * Split an SPU packet into the MPEG-PS packs of a SUB file
+ *
+ * Each 2048 byte pack holds a private stream 1 packet of the subpicture
+ * substream, the first one with the presentation timestamp. The last pack
+ * is filled up with a padding packet, or with stuffing bytes in the packet
+ * header when there is no room for one, so `readSpu` can read the packet
+ * back at the offset of its first pack.
+ *
+ * @param {Buffer} spu - SPU packet, as returned by `encodeSpu`
+ * @param {Object} options - Options
+ * @param {number} options.pts - Presentation time in milliseconds
+ * @param {number} [options.streamId=0x20] - Substream id, 0x20 + track index
+ * @returns {Buffer} The packs
+ */
+function packSpu(spu, { pts, streamId = 0x20 }) {
+  const ticks = Math.round(Math.max(0, pts) * 90);
+  const packs = [];
+  let offset = 0;
+  do {
+    const first = offset === 0;
+    const timestamp = first ? 5 : 0;
+    // Pack header, PES header with its timestamp, and substream id
+    const capacity = PACK_SIZE - 14 - 9 - timestamp - 1;
+    const chunk = spu.subarray(offset, offset + capacity);
+    offset += chunk.length;
+    const remaining = capacity - chunk.length;
+    const stuffing = remaining < 6 ? remaining : 0;
+
+    const pack = Buffer.alloc(PACK_SIZE, 0xff);
+    writePackHeader(pack, 0, ticks);
+    pack.writeUInt32BE(0x00000100 | PRIVATE_STREAM_1, 14);
+    pack.writeUInt16BE(3 + timestamp + stuffing + 1 + chunk.length, 18);
+    pack[20] = 0x81;
+    pack[21] = first ? 0x80 : 0x00;
+    pack[22] = timestamp + stuffing;
+    if (first) writePts(pack, 23, ticks);
+    let i = 23 + timestamp + stuffing;
+    pack[i++] = streamId;
+    chunk.copy(pack, i);
+    i += chunk.length;
+    if (remaining >= 6) {
+      pack.writeUInt32BE(0x00000100 | PADDING_STREAM, i);
+      pack.writeUInt16BE(remaining - 6, i + 4);
+    }
+    packs.push(pack);
+  } while (offset < spu.length);
+  return Buffer.concat(packs);
+}
+
+export { formatIdxTimestamp, formatIdx, encodeSpu, packSpu };
@@ -0,0 +1,161 @@
+/**
+ * Parse a VobSub timestamp ("HH:MM:SS:mmm", optionally negative) into milliseconds
+ *
+ * @param {string} value - Timestamp string
+ * @returns {number} Time in milliseconds
+ */
+function parseIdxTimestamp(value) {
+  const match = value.trim().match(/^(-)?(\d+):(\d+):(\d+):(\d+)$/);
+  if (!match) {
+    throw new Error(`Invalid IDX timestamp '${value}'`);
+  }
+  const [, sign, hours, minutes, seconds, milliseconds] = match;
+  const ms =
+    parseInt(hours) * 3600000 +
+    parseInt(minutes) * 60000 +
+    parseInt(seconds) * 1000 +
+    parseInt(milliseconds);
+  return sign ? -ms : ms;
+}
+
+/**
+ * Parse the contents of a VobSub IDX file
+ *
+ * The IDX file is a line based text format. The header holds global
+ * settings (frame size, origin, palette...), followed by one block per
+ * subtitle track starting with an `id:` line and listing a `timestamp:` and
+ * `filepos:` pair for every subtitle in the SUB file. `delay:` lines inside a
+ * track shift all following timestamps of that track.
+ *
+ * @param {string} content - Contents of the IDX file
+ * @returns {Object} Parsed metadata
+ * @throws {Error} If a timestamp or file position can't be parsed
+ */
+function parseIdx(content) {
+  const metadata = {
+    width: 720,
+    height: 480,
+    origin: { x: 0, y: 0 },
+    scale: { x: 100, y: 100 },
+    alpha: 100,
+    smooth: false,
+    fadeIn: 0,
+    fadeOut: 0,
+    align: null,
+    timeOffset: 0,
+    forcedSubs: false,
+    langidx: 0,
+    palette: [],
+    customColors: null,
+    tracks: [],
+  };
+  let track = null;
+
+  for (const rawLine of content.split(/\r?\n/)) {
+    const line = rawLine.trim();
+    if (!line || line.startsWith("#")) continue;
+    const separator = line.indexOf(":");
+    if (separator === -1) continue;
+    const key = line.slice(0, separator).trim().toLowerCase();
+    const value = line.slice(separator + 1).trim();
+
+    switch (key) {
+      case "size": {
+        const [width, height] = value.split("x").map((n) => parseInt(n));
+        Object.assign(metadata, { width, height });
+        break;
+      }
+      case "org": {
+        const [x, y] = value.split(",").map((n) => parseInt(n));
+        metadata.origin = { x, y };
+        break;
+      }
+      case "scale": {
+        const [x, y] = value.split(",").map((n) => parseInt(n));
+        metadata.scale = { x, y };
+        break;
+      }
+      case "alpha":
+        metadata.alpha = parseInt(value);
+        break;
+      case "smooth":
+        metadata.smooth = value.toUpperCase() !== "OFF";
+        break;
+      case "fadein/out": {
+        const [fadeIn, fadeOut] = value.split(",").map((n) => parseInt(n));
+        Object.assign(metadata, { fadeIn, fadeOut });
+        break;
+      }
+      case "align": {
+        const match = value.match(/^(ON|OFF)\s+at\s+(\w+)\s+(\w+)$/i);
+        if (match) {
+          metadata.align = {
+            enabled: match[1].toUpperCase() === "ON",
+            horizontal: match[2].toLowerCase(),
+            vertical: match[3].toLowerCase(),
+          };
+        }
+        break;
+      }
+      case "time offset":
+        metadata.timeOffset = /:/.test(value)
+          ? parseIdxTimestamp(value)
+          : parseInt(value);
+        break;
+      case "forced subs":
+        metadata.forcedSubs = value.toUpperCase() === "ON";
+        break;
+      case "langidx":
+        metadata.langidx = parseInt(value);
+        break;
+      case "palette":
+        metadata.palette = value.split(",").map((c) => parseInt(c.trim(), 16));
+        break;
+      case "custom colors": {
+        const match = value.match(
+          /^(ON|OFF),\s*tridx:\s*([01]{4}),\s*colors:\s*(.+)$/i,
+        );
+        if (match) {
+          metadata.customColors = {
+            enabled: match[1].toUpperCase() === "ON",
+            tridx: match[2],
+            colors: match[3].split(",").map((c) => parseInt(c.trim(), 16)),
+          };
+        }
+        break;
+      }
+      case "id": {
+        const match = value.match(/^([^,]*),\s*index:\s*(\d+)/);
+        track = {
+          language: (match ? match[1] : value).trim(),
+          index: match ? parseInt(match[2]) : metadata.tracks.length,
+          delay: 0,
+          entries: [],
+        };
+        metadata.tracks.push(track);
+        break;
+      }
+      case "delay":
+        if (track) track.delay += parseIdxTimestamp(value);
+        break;
+      case "timestamp": {
+        if (!track) break;
+        const match = line.match(
+          /^timestamp:\s*(\S+),\s*filepos:\s*([0-9a-f]+)/i,
+        );
+        if (!match) {
+          throw new Error(`Invalid IDX entry '${line}'`);
+        }
+        track.entries.push({
+          timestamp: parseIdxTimestamp(match[1]) + track.delay,
+          filepos: parseInt(match[2], 16),
+        });
+        break;
+      }
+    }
+  }
+
+  return metadata;
+}
+
+export { parseIdx, parseIdxTimestamp };
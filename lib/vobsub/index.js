@@ -0,0 +1,20 @@
+export { parseIdx, parseIdxTimestamp } from "./idx.js";
+export { readSpu, parseSpuControl } from "./sub.js";
+export { readMkv } from "./mkv.js";
+export { matroskaLanguage, tesseractLanguage } from "./languages.js";
+export { parseIfo, readVob } from "./vob.js";
+export { containerFromPath, readContainer } from "./container.js";
+export {
+  decodeSpuBitmap,
+  getSpuBounds,
+  renderSpuBitmap,
+  encodePng,
+} from "./bitmap.js";
+export { detectSpuStyle, estimateSlant } from "./style.js";
+export {
+  preprocessPresets,
+  resolvePreprocessSteps,
+  preprocessImage,
+} from "./preprocess.js";
+export { findTextLines, getSpuLines, cropRows } from "./lines.js";
+export { formatIdxTimestamp, formatIdx, encodeSpu, packSpu } from "./encode.js";
@@ -0,0 +1,280 @@
+/**
+ * ISO 639-2 codes of the two letter ISO 639-1 languages, in the
+ * bibliographic form Matroska uses
+ * @private
+ */
+const LANGUAGE_CODES = {
+  aa: "aar",
+  ab: "abk",
+  ae: "ave",
+  af: "afr",
+  ak: "aka",
+  am: "amh",
+  an: "arg",
+  ar: "ara",
+  as: "asm",
+  av: "ava",
+  ay: "aym",
+  az: "aze",
+  ba: "bak",
+  be: "bel",
+  bg: "bul",
+  bh: "bih",
+  bi: "bis",
+  bm: "bam",
+  bn: "ben",
+  bo: "tib",
+  br: "bre",
+  bs: "bos",
+  ca: "cat",
+  ce: "che",
+  ch: "cha",
+  co: "cos",
+  cr: "cre",
+  cs: "cze",
+  cu: "chu",
+  cv: "chv",
+  cy: "wel",
+  da: "dan",
+  de: "ger",
+  dv: "div",
+  dz: "dzo",
+  ee: "ewe",
+  el: "gre",
+  en: "eng",
+  eo: "epo",
+  es: "spa",
+  et: "est",
+  eu: "baq",
+  fa: "per",
+  ff: "ful",
+  fi: "fin",
+  fj: "fij",
+  fo: "fao",
+  fr: "fre",
+  fy: "fry",
+  ga: "gle",
+  gd: "gla",
+  gl: "glg",
+  gn: "grn",
+  gu: "guj",
+  gv: "glv",
+  ha: "hau",
+  he: "heb",
+  hi: "hin",
+  ho: "hmo",
+  hr: "hrv",
+  ht: "hat",
+  hu: "hun",
+  hy: "arm",
+  hz: "her",
+  ia: "ina",
+  id: "ind",
+  ie: "ile",
+  ig: "ibo",
+  ii: "iii",
+  ik: "ipk",
+  io: "ido",
+  is: "ice",
+  it: "ita",
+  iu: "iku",
+  ja: "jpn",
+  jv: "jav",
+  ka: "geo",
+  kg: "kon",
+  ki: "kik",
+  kj: "kua",
+  kk: "kaz",
+  kl: "kal",
+  km: "khm",
+  kn: "kan",
+  ko: "kor",
+  kr: "kau",
+  ks: "kas",
+  ku: "kur",
+  kv: "kom",
+  kw: "cor",
+  ky: "kir",
+  la: "lat",
+  lb: "ltz",
+  lg: "lug",
+  li: "lim",
+  ln: "lin",
+  lo: "lao",
+  lt: "lit",
+  lu: "lub",
+  lv: "lav",
+  mg: "mlg",
+  mh: "mah",
+  mi: "mao",
+  mk: "mac",
+  ml: "mal",
+  mn: "mon",
+  mr: "mar",
+  ms: "may",
+  mt: "mlt",
+  my: "bur",
+  na: "nau",
+  nb: "nob",
+  nd: "nde",
+  ne: "nep",
+  ng: "ndo",
+  nl: "dut",
+  nn: "nno",
+  no: "nor",
+  nr: "nbl",
+  nv: "nav",
+  ny: "nya",
+  oc: "oci",
+  oj: "oji",
+  om: "orm",
+  or: "ori",
+  os: "oss",
+  pa: "pan",
+  pi: "pli",
+  pl: "pol",
+  ps: "pus",
+  pt: "por",
+  qu: "que",
+  rm: "roh",
+  rn: "run",
+  ro: "rum",
+  ru: "rus",
+  rw: "kin",
+  sa: "san",
+  sc: "srd",
+  sd: "snd",
+  se: "sme",
+  sg: "sag",
+  si: "sin",
+  sk: "slo",
+  sl: "slv",
+  sm: "smo",
+  sn: "sna",
+  so: "som",
+  sq: "alb",
+  sr: "srp",
+  ss: "ssw",
+  st: "sot",
+  su: "sun",
+  sv: "swe",
+  sw: "swa",
+  ta: "tam",
+  te: "tel",
+  tg: "tgk",
+  th: "tha",
+  ti: "tir",
+  tk: "tuk",
+  tl: "tgl",
+  tn: "tsn",
+  to: "ton",
+  tr: "tur",
+  ts: "tso",
+  tt: "tat",
+  tw: "twi",
+  ty: "tah",
+  ug: "uig",
+  uk: "ukr",
+  ur: "urd",
+  uz: "uzb",
+  ve: "ven",
+  vi: "vie",
+  vo: "vol",
+  wa: "wln",
+  wo: "wol",
+  xh: "xho",
+  yi: "yid",
+  yo: "yor",
+  za: "zha",
+  zh: "chi",
+  zu: "zul",
+};
+
+/**
+ * ISO 639-2 terminology codes that differ from the bibliographic ones, by
+ * language
+ * @private
+ */
+const TERMINOLOGY_CODES = {
+  bo: "bod",
+  cs: "ces",
+  cy: "cym",
+  de: "deu",
+  el: "ell",
+  eu: "eus",
+  fa: "fas",
+  fr: "fra",
+  hy: "hye",
+  is: "isl",
+  ka: "kat",
+  mk: "mkd",
+  mi: "mri",
+  ms: "msa",
+  my: "mya",
+  nl: "nld",
+  ro: "ron",
+  sk: "slk",
+  sq: "sqi",
+  zh: "zho",
+};
+
+/**
+ * Tesseract language data names that aren't the ISO 639-2 terminology code
+ * of the language
+ * @private
+ */
+const TESSERACT_CODES = {
+  nb: "nor",
+  nn: "nor",
+  zh: "chi_sim",
+};
+
+/**
+ * Two letter language of each ISO 639-2 code, bibliographic or terminology
+ * @private
+ */
+const TWO_LETTER_CODES = Object.fromEntries([
+  ...Object.entries(LANGUAGE_CODES).map(([code, long]) => [long, code]),
+  ...Object.entries(TERMINOLOGY_CODES).map(([code, long]) => [long, code]),
+]);
+
+/**
+ * Turn a Matroska language into the code used by IDX files
+ *
+ * @param {string} language - ISO 639-2 or BCP 47 language
+ * @returns {string} Two letter code when known, "" when undetermined
+ */
+function idxLanguage(language) {
+  const code = language.split("-")[0].toLowerCase();
+  if (code === "und") return "";
+  return TWO_LETTER_CODES[code] ?? code;
+}
+
+/**
+ * Turn an IDX language code into the ISO 639-2 code used by Matroska
+ *
+ * @param {string} language - Language code, as in IDX files
+ * @returns {string} Three letter code, "und" when unknown
+ */
+function matroskaLanguage(language) {
+  const code = language.toLowerCase();
+  if (Object.hasOwn(LANGUAGE_CODES, code)) return LANGUAGE_CODES[code];
+  return /^[a-z]{3}$/.test(code) ? code : "und";
+}
+
+/**
+ * Turn an IDX language code into the name of the Tesseract language data
+ * reading it
+ *
+ * @param {string} language - Language code, as in IDX files
+ * @returns {string|null} Tesseract language, e.g. "fra", null when unknown
+ */
+function tesseractLanguage(language) {
+  const code = language.toLowerCase();
+  for (const codes of [TESSERACT_CODES, TERMINOLOGY_CODES, LANGUAGE_CODES]) {
+    if (Object.hasOwn(codes, code)) return codes[code];
+  }
+  return null;
+}
+
+export { idxLanguage, matroskaLanguage, tesseractLanguage };
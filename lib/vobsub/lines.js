@@ -0,0 +1,106 @@
+import { decodeSpuBitmap, getOpacity } from "./bitmap.js";
+
+/**
+ * Height, relative to the tallest band, under which a band of rows is
+ * taken for accents or dots rather than a line of text
+ * @type {number}
+ */
+const MIN_LINE_HEIGHT = 0.4;
+
+/**
+ * Split a decoded bitmap into lines of text
+ *
+ * Rows are projected on the vertical axis: runs of rows with visible
+ * pixels are bands of text, separated by empty rows. Bands much shorter
+ * than the tallest one, like accents above capitals or stray pixels, are
+ * merged into the closest band.
+ *
+ * @param {{width: number, height: number, pixels: Uint8Array}} bitmap - Decoded bitmap
+ * @param {number[]} opacity - Opacity of the 4 pixel types
+ * @returns {Array<{top: number, bottom: number}>} Inclusive row ranges of
+ *   the lines, from top to bottom, empty without visible pixels
+ */
+function findTextLines({ width, height, pixels }, opacity) {
+  const bands = [];
+  let current = null;
+  for (let y = 0; y < height; y++) {
+    let visible = false;
+    for (let x = 0; x < width && !visible; x++) {
+      visible = opacity[pixels[y * width + x]] > 0;
+    }
+    if (visible && current) {
+      current.bottom = y;
+    } else if (visible) {
+      current = { top: y, bottom: y };
+      bands.push(current);
+    } else {
+      current = null;
+    }
+  }
+
+  const size = ({ top, bottom }) => bottom - top + 1;
+  const tallest = Math.max(0, ...bands.map(size));
+  let small;
+  while (
+    bands.length > 1 &&
+    (small = bands.findIndex(
+      (band) => size(band) < tallest * MIN_LINE_HEIGHT,
+    )) !== -1
+  ) {
+    const band = bands[small];
+    const above = bands[small - 1];
+    const below = bands[small + 1];
+    const useAbove =
+      above && (!below || band.top - above.bottom <= below.top - band.bottom);
+    const target = useAbove ? above : below;
+    target.top = Math.min(target.top, band.top);
+    target.bottom = Math.max(target.bottom, band.bottom);
+    bands.splice(small, 1);
+  }
+  return bands;
+}
+
+/**
+ * Find the lines of text of an SPU packet
+ *
+ * @param {Buffer} data - SPU packet, as returned by `readSpu`
+ * @param {Object} controls - Display controls, as returned by `parseSpuControl`
+ * @param {Object} [options] - Options
+ * @param {number} [options.alpha=100] - Global opacity in percent, from the IDX
+ * @returns {Array<{y: number, height: number}>} Vertical position of each
+ *   line within the frame, from top to bottom
+ */
+function getSpuLines(data, controls, { alpha = 100 } = {}) {
+  const bitmap = decodeSpuBitmap(data, controls);
+  if (!bitmap) return [];
+  return findTextLines(bitmap, getOpacity(controls, alpha)).map(
+    ({ top, bottom }) => ({
+      y: controls.area.y1 + top,
+      height: bottom - top + 1,
+    }),
+  );
+}
+
+/**
+ * Cut a band of rows out of an image, with a margin of background above
+ * and below
+ *
+ * @param {{width: number, height: number, rgba: Buffer}} image - Image,
+ *   with a margin of background
+ * @param {number} top - First row of the band
+ * @param {number} height - Number of rows of the band
+ * @param {number} padding - Rows of background added above and below
+ * @returns {{width: number, height: number, rgba: Buffer}} Image of the band
+ */
+function cropRows({ width, rgba }, top, height, padding) {
+  const stride = width * 4;
+  // The top left pixel of a subtitle image is background
+  const out = Buffer.alloc(
+    (height + padding * 2) * stride,
+    rgba.subarray(0, 4),
+  );
+  rgba.copy(out, padding * stride, top * stride, (top + height) * stride);
+  return { width, height: height + padding * 2, rgba: out };
+}
+
+export { findTextLines, getSpuLines, cropRows };
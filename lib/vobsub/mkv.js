@@ -0,0 +1,448 @@
+import fs from "node:fs/promises";
+import { inflateSync } from "node:zlib";
+import { parseIdx } from "./idx.js";
+import { idxLanguage } from "./languages.js";
+
+/** Matroska element ids, with their length marker */
+const EBML_HEADER = 0x1a45dfa3;
+const SEGMENT = 0x18538067;
+const INFO = 0x1549a966;
+const TIMESTAMP_SCALE = 0x2ad7b1;
+const TRACKS = 0x1654ae6b;
+const TRACK_ENTRY = 0xae;
+const TRACK_NUMBER = 0xd7;
+const CODEC_ID = 0x86;
+const CODEC_PRIVATE = 0x63a2;
+const LANGUAGE = 0x22b59c;
+const LANGUAGE_BCP47 = 0x22b59d;
+const FLAG_DEFAULT = 0x88;
+const FLAG_FORCED = 0x55aa;
+const NAME = 0x536e;
+const CONTENT_ENCODINGS = 0x6d80;
+const CONTENT_ENCODING = 0x6240;
+const CONTENT_ENCODING_ORDER = 0x5031;
+const CONTENT_ENCODING_SCOPE = 0x5032;
+const CONTENT_ENCODING_TYPE = 0x5033;
+const CONTENT_COMPRESSION = 0x5034;
+const CONTENT_COMP_ALGO = 0x4254;
+const CONTENT_COMP_SETTINGS = 0x4255;
+const CLUSTER = 0x1f43b675;
+const CLUSTER_TIMESTAMP = 0xe7;
+const BLOCK_GROUP = 0xa0;
+const BLOCK = 0xa1;
+const SIMPLE_BLOCK = 0xa3;
+
+/**
+ * Top level elements of a segment, which end a cluster of unknown size
+ * @private
+ */
+const SEGMENT_CHILDREN = new Set([
+  0x114d9b74, // SeekHead
+  INFO,
+  TRACKS,
+  CLUSTER,
+  0x1c53bb6b, // Cues
+  0x1941a469, // Attachments
+  0x1043a770, // Chapters
+  0x1254c367, // Tags
+]);
+
+/** Codec id of VobSub tracks */
+const VOBSUB_CODEC = "S_VOBSUB";
+
+/**
+ * Bytes read at once from the file, enough for the header of any block
+ * while skipping the video and audio data
+ * @private
+ */
+const READ_SIZE = 4096;
+
+/**
+ * Read a variable size integer of an EBML element header
+ *
+ * @param {Buffer} buffer - Data
+ * @param {number} offset - Offset of the first byte
+ * @param {boolean} [keepMarker=false] - Keep the length marker, as element
+ *   ids do
+ * @returns {{value: number|null, length: number}} The value, null for the
+ *   reserved "unknown size" value, and the number of bytes read
+ * @throws {Error} If the integer is invalid or truncated
+ */
+function readVint(buffer, offset, keepMarker = false) {
+  const first = buffer[offset];
+  const length = first ? Math.clz32(first) - 23 : 9;
+  if (length > 8 || offset + length > buffer.length) {
+    throw new Error(`Invalid EBML number at offset ${offset}`);
+  }
+  const mask = 0xff >> length;
+  let value = keepMarker ? first : first & mask;
+  let unknown = (first & mask) === mask;
+  for (let i = 1; i < length; i++) {
+    value = value * 256 + buffer[offset + i];
+    unknown &&= buffer[offset + i] === 0xff;
+  }
+  return { value: unknown && !keepMarker ? null : value, length };
+}
+
+/**
+ * Read an unsigned integer element
+ *
+ * @param {Buffer} data - Element data, up to 8 bytes
+ * @returns {number} The value
+ */
+function readUint(data) {
+  return data.reduce((value, byte) => value * 256 + byte, 0);
+}
+
+/**
+ * List the child elements of a master element read in memory
+ *
+ * @param {Buffer} data - Element data
+ * @returns {Array<{id: number, data: Buffer}>} The children, in order
+ * @throws {Error} If an element header is invalid or truncated
+ */
+function readChildren(data) {
+  const children = [];
+  let offset = 0;
+  while (offset < data.length) {
+    const id = readVint(data, offset, true);
+    const size = readVint(data, offset + id.length);
+    const start = offset + id.length + size.length;
+    const end = size.value === null ? data.length : start + size.value;
+    children.push({ id: id.value, data: data.subarray(start, end) });
+    offset = end;
+  }
+  return children;
+}
+
+/**
+ * Reverse the content encodings of a track, like zlib compression
+ *
+ * @param {Buffer} data - Encoded data
+ * @param {Array<Object>} encodings - Content encodings of the track, from
+ *   the last applied
+ * @param {number} scope - 1 for block data, 2 for the codec private data
+ * @returns {Buffer} Decoded data
+ * @throws {Error} If the data is encrypted or uses an unknown compression
+ */
+function decodeContent(data, encodings, scope) {
+  for (const encoding of encodings) {
+    if (!(encoding.scope & scope)) continue;
+    if (encoding.type !== 0) {
+      throw new Error("Encrypted tracks are not supported");
+    }
+    switch (encoding.algorithm) {
+      case 0:
+        data = inflateSync(data);
+        break;
+      case 3:
+        // Header stripping, the removed bytes are in the settings
+        data = Buffer.concat([encoding.settings, data]);
+        break;
+      default:
+        throw new Error(
+          `Unsupported track compression algorithm ${encoding.algorithm}`,
+        );
+    }
+  }
+  return data;
+}
+
+/**
+ * Read the track entries of a Tracks element
+ *
+ * @param {Buffer} data - Tracks element data
+ * @returns {Array<Object>} Tracks with their number, codec, codec private
+ *   data, ISO 639-2 and BCP 47 languages, name, default and forced flags
+ *   and content encodings
+ */
+function parseTracks(data) {
+  return readChildren(data)
+    .filter(({ id }) => id === TRACK_ENTRY)
+    .map((entry) => {
+      const track = {
+        number: null,
+        codec: null,
+        codecPrivate: null,
+        language: "eng",
+        bcp47: null,
+        name: null,
+        default: true,
+        forced: false,
+        encodings: [],
+      };
+      for (const { id, data } of readChildren(entry.data)) {
+        switch (id) {
+          case TRACK_NUMBER:
+            track.number = readUint(data);
+            break;
+          case CODEC_ID:
+            track.codec = data.toString("latin1").replace(/\0+$/, "");
+            break;
+          case CODEC_PRIVATE:
+            track.codecPrivate = data;
+            break;
+          case LANGUAGE:
+            track.language = data.toString("latin1").replace(/\0+$/, "");
+            break;
+          case LANGUAGE_BCP47:
+            track.bcp47 = data.toString("latin1").replace(/\0+$/, "");
+            break;
+          case NAME:
+            track.name = data.toString("utf-8").replace(/\0+$/, "");
+            break;
+          case FLAG_DEFAULT:
+            track.default = readUint(data) !== 0;
+            break;
+          case FLAG_FORCED:
+            track.forced = readUint(data) !== 0;
+            break;
+          case CONTENT_ENCODINGS:
+            track.encodings = parseEncodings(data);
+            break;
+        }
+      }
+      return track;
+    });
+}
+
+/**
+ * Read the content encodings of a track
+ *
+ * @param {Buffer} data - ContentEncodings element data
+ * @returns {Array<Object>} Encodings in decoding order, with their `scope`,
+ *   `type`, compression `algorithm` and `settings`
+ */
+function parseEncodings(data) {
+  return readChildren(data)
+    .filter(({ id }) => id === CONTENT_ENCODING)
+    .map((element) => {
+      const encoding = {
+        order: 0,
+        scope: 1,
+        type: 0,
+        algorithm: 0,
+        settings: Buffer.alloc(0),
+      };
+      for (const { id, data } of readChildren(element.data)) {
+        if (id === CONTENT_ENCODING_ORDER) encoding.order = readUint(data);
+        if (id === CONTENT_ENCODING_SCOPE) encoding.scope = readUint(data);
+        if (id === CONTENT_ENCODING_TYPE) encoding.type = readUint(data);
+        if (id !== CONTENT_COMPRESSION) continue;
+        for (const setting of readChildren(data)) {
+          if (setting.id === CONTENT_COMP_ALGO)
+            encoding.algorithm = readUint(setting.data);
+          if (setting.id === CONTENT_COMP_SETTINGS)
+            encoding.settings = setting.data;
+        }
+      }
+      return encoding;
+    })
+    .sort((a, b) => b.order - a.order);
+}
+
+/**
+ * Create a function reading a file in small chunks
+ *
+ * Consecutive reads within a chunk are served from memory, so the headers
+ * of small blocks don't each cost a read.
+ *
+ * @param {FileHandle} handle - Open file
+ * @returns {(position: number, length: number) => Promise<Buffer>} Reads
+ *   `length` bytes at `position`, fewer at the end of the file
+ */
+function createReader(handle) {
+  let start = 0;
+  let chunk = Buffer.alloc(0);
+  return async (position, length) => {
+    if (position < start || position + length > start + chunk.length) {
+      const buffer = Buffer.alloc(Math.max(length, READ_SIZE));
+      const { bytesRead } = await handle.read(
+        buffer,
+        0,
+        buffer.length,
+        position,
+      );
+      start = position;
+      chunk = buffer.subarray(0, bytesRead);
+    }
+    return chunk.subarray(position - start, position - start + length);
+  };
+}
+
+/**
+ * Read the header of an element in a file
+ *
+ * @param {Function} read - Reader created by `createReader`
+ * @param {number} position - Position of the element
+ * @returns {Promise<{id: number, size: number|null, start: number}|null>}
+ *   The element id, its data size (null if unknown) and the position of
+ *   its data, null at the end of the file
+ * @throws {Error} If the header is invalid
+ */
+async function readHeader(read, position) {
+  const header = await read(position, 12);
+  if (header.length === 0) return null;
+  const id = readVint(header, 0, true);
+  const size = readVint(header, id.length);
+  return {
+    id: id.value,
+    size: size.value,
+    start: position + id.length + size.length,
+  };
+}
+
+/**
+ * Read the subtitle streams of a Matroska (MKV, MKS or WebM) file
+ *
+ * Only the headers of the file and the blocks of its VobSub tracks
+ * (`S_VOBSUB`) are read, so large video files are scanned without being
+ * loaded in memory. The codec private data of VobSub tracks is an IDX
+ * header, giving the frame size and palette, and each block holds one SPU
+ * packet, after reversing the zlib or header stripping compression
+ * applied by muxers.
+ *
+ * @param {string} file - Path to the Matroska file
+ * @param {Object} [options] - Options
+ * @param {AbortSignal} [options.signal] - Signal to abort reading
+ * @returns {Promise<Object>} Metadata in the form returned by `parseIdx`,
+ *   with one track per VobSub track numbered from 0 in file order; track
+ *   entries hold their SPU packet in `data` and the file position of their
+ *   block in `filepos`, and tracks have their Matroska `name`, `default`
+ *   and `forced` flags
+ * @throws {Error} If the file isn't a valid Matroska file
+ */
+async function readMkv(file, { signal } = {}) {
+  const handle = await fs.open(file);
+  try {
+    const read = createReader(handle);
+    const { size: fileSize } = await handle.stat();
+    const ebml = await readHeader(read, 0);
+    if (ebml?.id !== EBML_HEADER) {
+      throw new Error("Not a Matroska file");
+    }
+    const segment = await readHeader(read, ebml.start + ebml.size);
+    if (segment?.id !== SEGMENT) {
+      throw new Error("No Matroska segment found");
+    }
+    const segmentEnd =
+      segment.size === null
+        ? fileSize
+        : Math.min(fileSize, segment.start + segment.size);
+
+    let timestampScale = 1000000;
+    let tracks = [];
+    const subtitles = new Map();
+    let clusterTime = 0;
+    let clusterEnd = 0;
+
+    // Clusters and block groups are entered, other elements are skipped
+    let position = segment.start;
+    while (position < segmentEnd) {
+      const element = await readHeader(read, position);
+      if (!element) break;
+      const { id, size, start } = element;
+      if (position >= clusterEnd || SEGMENT_CHILDREN.has(id)) {
+        clusterEnd = 0;
+      }
+      const end = size === null ? segmentEnd : start + size;
+      if (id === CLUSTER) {
+        signal?.throwIfAborted();
+        clusterEnd = end;
+        position = start;
+        continue;
+      }
+      if (id === BLOCK_GROUP && clusterEnd) {
+        position = start;
+        continue;
+      }
+      if (size === null) {
+        throw new Error(`Element of unknown size at offset ${position}`);
+      }
+      if (id === INFO || id === TRACKS || id === CLUSTER_TIMESTAMP) {
+        const data = await read(start, size);
+        if (id === CLUSTER_TIMESTAMP) clusterTime = readUint(data);
+        if (id === INFO) {
+          const scale = readChildren(data).find(
+            (child) => child.id === TIMESTAMP_SCALE,
+          );
+          if (scale) timestampScale = readUint(scale.data);
+        }
+        if (id === TRACKS) {
+          tracks = parseTracks(data).filter(
+            (track) => track.codec === VOBSUB_CODEC,
+          );
+          for (const track of tracks) subtitles.set(track.number, []);
+        }
+      } else if ((id === SIMPLE_BLOCK || id === BLOCK) && clusterEnd) {
+        const header = await read(start, Math.min(size, 11));
+        const track = readVint(header, 0);
+        const entries = subtitles.get(track.value);
+        if (entries) {
+          const flags = header[track.length + 2];
+          if (flags & 0x06) {
+            throw new Error(`Laced subtitle block at offset ${position}`);
+          }
+          const data = await read(start, size);
+          if (data.length < size) {
+            throw new Error(`Truncated block at offset ${position}`);
+          }
+          const relative = data.readInt16BE(track.length);
+          entries.push({
+            timestamp: Math.round(
+              ((clusterTime + relative) * timestampScale) / 1000000,
+            ),
+            filepos: position,
+            data: Buffer.from(data.subarray(track.length + 3)),
+          });
+        }
+      }
+      position = end;
+    }
+
+    // Each track has its own IDX header, with its palette and frame size
+    const headers = tracks.map((track) => {
+      if (!track.codecPrivate) return null;
+      const settings = parseIdx(
+        decodeContent(track.codecPrivate, track.encodings, 2).toString(
+          "latin1",
+        ),
+      );
+      delete settings.tracks;
+      delete settings.langidx;
+      return settings;
+    });
+    const langidx = Math.max(
+      0,
+      tracks.findIndex((track) => track.default),
+    );
+    // The file takes the settings of the default track
+    const metadata = {
+      ...parseIdx(""),
+      ...(headers[langidx] ?? headers.find(Boolean)),
+      langidx,
+    };
+    metadata.tracks = tracks.map((track, index) => ({
+      // The BCP 47 language wins when both are present
+      language: idxLanguage(track.bcp47 ?? track.language),
+      index,
+      delay: 0,
+      name: track.name,
+      default: track.default,
+      forced: track.forced,
+      ...(headers[index] && { settings: headers[index] }),
+      entries: subtitles
+        .get(track.number)
+        .map((entry) => ({
+          ...entry,
+          data: decodeContent(entry.data, track.encodings, 1),
+        }))
+        .sort((a, b) => a.timestamp - b.timestamp),
+    }));
+    return metadata;
+  } finally {
+    await handle.close();
+  }
+}
+
+export { readMkv };
@@ -0,0 +1,383 @@
+/**
+ * Margin kept around the content when cropping
+ * @type {number}
+ */
+const CROP_PADDING = 8;
+
+/**
+ * Smallest group of connected pixels kept when denoising
+ * @type {number}
+ */
+const DENOISE_MIN_PIXELS = 4;
+
+/**
+ * Preprocessing steps applied to subtitle images before OCR, by preset
+ * @type {Record<string, string[]>}
+ */
+const preprocessPresets = {
+  none: [],
+  basic: ["crop", "invert"],
+  standard: ["outline", "crop", "upscale", "binarize", "invert"],
+  strong: ["outline", "crop", "denoise", "upscale", "binarize", "invert"],
+};
+
+/**
+ * Distance between two RGB colors
+ *
+ * @param {number[]} a - First color
+ * @param {number[]} b - Second color
+ * @returns {number} Euclidean distance, from 0 to about 441
+ */
+function colorDistance(a, b) {
+  return Math.hypot(a[0] - b[0], a[1] - b[1], a[2] - b[2]);
+}
+
+/**
+ * Distance between the pixel at an offset of RGBA data and a color
+ *
+ * @param {Buffer} rgba - Image data
+ * @param {number} i - Byte offset of the pixel
+ * @param {number[]} color - RGB color
+ * @returns {number} Euclidean distance
+ */
+function pixelDistance(rgba, i, color) {
+  return Math.hypot(
+    rgba[i] - color[0],
+    rgba[i + 1] - color[1],
+    rgba[i + 2] - color[2],
+  );
+}
+
+/**
+ * Create an image filled with a color
+ *
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {number[]} color - RGB color
+ * @returns {{width: number, height: number, rgba: Buffer}} The image
+ */
+function createImage(width, height, color) {
+  const rgba = Buffer.alloc(width * height * 4, Buffer.from([...color, 0xff]));
+  return { width, height, rgba };
+}
+
+/**
+ * Tell the content of a subtitle image from its background
+ *
+ * Subtitle images have a margin, so the top left pixel is background.
+ *
+ * @param {{width: number, height: number, rgba: Buffer}} image - Image
+ * @returns {{background: number[], isContent: (i: number) => boolean}} The
+ *   background color, and a test of the pixel at a byte offset
+ */
+function getBackground({ rgba }) {
+  const background = [rgba[0], rgba[1], rgba[2]];
+  return {
+    background,
+    isContent: (i) => pixelDistance(rgba, i, background) > 32,
+  };
+}
+
+/**
+ * Crop an image to its content, keeping a margin of background
+ *
+ * @param {{width: number, height: number, rgba: Buffer}} image - Image
+ * @returns {{width: number, height: number, rgba: Buffer}} Cropped image,
+ *   the same image without content
+ */
+function cropImage(image) {
+  const { width, height, rgba } = image;
+  const { background, isContent } = getBackground(image);
+  let left = width;
+  let top = height;
+  let right = -1;
+  let bottom = -1;
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      if (!isContent((y * width + x) * 4)) continue;
+      left = Math.min(left, x);
+      right = Math.max(right, x);
+      top = Math.min(top, y);
+      bottom = Math.max(bottom, y);
+    }
+  }
+  if (right < 0) return image;
+
+  const cropped = createImage(
+    right - left + 1 + CROP_PADDING * 2,
+    bottom - top + 1 + CROP_PADDING * 2,
+    background,
+  );
+  for (let y = top; y <= bottom; y++) {
+    const target =
+      ((y - top + CROP_PADDING) * cropped.width + CROP_PADDING) * 4;
+    rgba.copy(
+      cropped.rgba,
+      target,
+      (y * width + left) * 4,
+      (y * width + right + 1) * 4,
+    );
+  }
+  return cropped;
+}
+
+/**
+ * Scale an image up with bilinear interpolation
+ *
+ * @param {{width: number, height: number, rgba: Buffer}} image - Image
+ * @param {number} [factor=2] - Scale factor
+ * @returns {{width: number, height: number, rgba: Buffer}} Scaled image
+ */
+function upscaleImage({ width, height, rgba }, factor = 2) {
+  // Sample at the pixel centers of the source image
+  const sample = (position, size) => {
+    const source = Math.min(
+      Math.max((position + 0.5) / factor - 0.5, 0),
+      size - 1,
+    );
+    const low = Math.floor(source);
+    return { low, high: Math.min(low + 1, size - 1), weight: source - low };
+  };
+  const columns = Array.from({ length: width * factor }, (_, x) =>
+    sample(x, width),
+  );
+  const scaled = createImage(width * factor, height * factor, [0, 0, 0]);
+  for (let y = 0; y < scaled.height; y++) {
+    const row = sample(y, height);
+    const top = row.low * width * 4;
+    const bottom = row.high * width * 4;
+    for (let x = 0; x < scaled.width; x++) {
+      const { low, high, weight } = columns[x];
+      const i = (y * scaled.width + x) * 4;
+      for (let c = 0; c < 3; c++) {
+        const upper =
+          rgba[top + low * 4 + c] * (1 - weight) +
+          rgba[top + high * 4 + c] * weight;
+        const lower =
+          rgba[bottom + low * 4 + c] * (1 - weight) +
+          rgba[bottom + high * 4 + c] * weight;
+        scaled.rgba[i + c] = Math.round(
+          upper * (1 - row.weight) + lower * row.weight,
+        );
+      }
+    }
+  }
+  return scaled;
+}
+
+/**
+ * Convert an image to shades of gray
+ *
+ * @param {{width: number, height: number, rgba: Buffer}} image - Image
+ * @returns {{width: number, height: number, rgba: Buffer}} Gray image
+ */
+function grayscaleImage({ width, height, rgba }) {
+  const gray = Buffer.from(rgba);
+  for (let i = 0; i < gray.length; i += 4) {
+    const luma = Math.round(
+      0.299 * rgba[i] + 0.587 * rgba[i + 1] + 0.114 * rgba[i + 2],
+    );
+    gray.fill(luma, i, i + 3);
+  }
+  return { width, height, rgba: gray };
+}
+
+/**
+ * Turn an image to black and white
+ *
+ * The threshold is picked with Otsu's method, which splits the gray levels
+ * of the image in the two most distinct groups, so low-contrast text is
+ * kept.
+ *
+ * @param {{width: number, height: number, rgba: Buffer}} image - Image
+ * @returns {{width: number, height: number, rgba: Buffer}} Black and white image
+ */
+function binarizeImage(image) {
+  const { width, height, rgba } = grayscaleImage(image);
+  const histogram = new Uint32Array(256);
+  for (let i = 0; i < rgba.length; i += 4) histogram[rgba[i]]++;
+
+  const total = width * height;
+  const sum = histogram.reduce((acc, count, level) => acc + count * level, 0);
+  let threshold = 127;
+  let best = -1;
+  let below = 0;
+  let belowSum = 0;
+  for (let level = 0; level < 256; level++) {
+    below += histogram[level];
+    belowSum += histogram[level] * level;
+    const above = total - below;
+    if (below === 0 || above === 0) continue;
+    const difference = belowSum / below - (sum - belowSum) / above;
+    const variance = below * above * difference * difference;
+    if (variance > best) {
+      best = variance;
+      threshold = level;
+    }
+  }
+
+  for (let i = 0; i < rgba.length; i += 4) {
+    rgba.fill(rgba[i] > threshold ? 0xff : 0, i, i + 3);
+  }
+  return { width, height, rgba };
+}
+
+/**
+ * Invert the colors of an image, turning light on dark text into dark on
+ * light text, which OCR engines read best
+ *
+ * @param {{width: number, height: number, rgba: Buffer}} image - Image
+ * @returns {{width: number, height: number, rgba: Buffer}} Inverted image
+ */
+function invertImage({ width, height, rgba }) {
+  const inverted = Buffer.from(rgba);
+  for (let i = 0; i < inverted.length; i += 4) {
+    inverted[i] = 0xff - rgba[i];
+    inverted[i + 1] = 0xff - rgba[i + 1];
+    inverted[i + 2] = 0xff - rgba[i + 2];
+  }
+  return { width, height, rgba: inverted };
+}
+
+/**
+ * Remove the outline drawn around the glyphs, keeping their fill
+ *
+ * Pixels are kept when they are closer to the fill color than a part of
+ * the distance between the fill and the background; the others, the
+ * outline and its blend with the fill, become background.
+ *
+ * @param {{width: number, height: number, rgba: Buffer}} image - Image
+ * @param {string|null} fillColor - Fill color of the glyphs as "#rrggbb",
+ *   the image is kept as is without it
+ * @returns {{width: number, height: number, rgba: Buffer}} Image without outline
+ */
+function removeOutline(image, fillColor) {
+  if (!fillColor) return image;
+  const { width, height, rgba } = image;
+  const { background } = getBackground(image);
+  const value = parseInt(fillColor.slice(1), 16);
+  const fill = [(value >> 16) & 0xff, (value >> 8) & 0xff, value & 0xff];
+  const tolerance = colorDistance(fill, background) * 0.4;
+
+  const filled = Buffer.from(rgba);
+  for (let i = 0; i < filled.length; i += 4) {
+    if (pixelDistance(rgba, i, fill) > tolerance) {
+      filled.set(background, i);
+    }
+  }
+  return { width, height, rgba: filled };
+}
+
+/**
+ * Remove specks: groups of connected content pixels too small to be part
+ * of a glyph
+ *
+ * @param {{width: number, height: number, rgba: Buffer}} image - Image
+ * @returns {{width: number, height: number, rgba: Buffer}} Image without specks
+ */
+function denoiseImage(image) {
+  const { width, height, rgba } = image;
+  const { background, isContent } = getBackground(image);
+  const cleaned = Buffer.from(rgba);
+  const seen = new Uint8Array(width * height);
+  for (let start = 0; start < seen.length; start++) {
+    if (seen[start] || !isContent(start * 4)) continue;
+    // Flood fill the group of pixels connected to this one
+    const group = [start];
+    seen[start] = 1;
+    for (let i = 0; i < group.length; i++) {
+      const x = group[i] % width;
+      const y = Math.floor(group[i] / width);
+      for (const [nx, ny] of [
+        [x - 1, y],
+        [x + 1, y],
+        [x, y - 1],
+        [x, y + 1],
+      ]) {
+        const next = ny * width + nx;
+        if (nx < 0 || ny < 0 || nx >= width || ny >= height) continue;
+        if (seen[next] || !isContent(next * 4)) continue;
+        seen[next] = 1;
+        group.push(next);
+      }
+    }
+    if (group.length < DENOISE_MIN_PIXELS) {
+      for (const pixel of group) cleaned.set(background, pixel * 4);
+    }
+  }
+  return { width, height, rgba: cleaned };
+}
+
+/**
+ * Preprocessing steps by name
+ * @private
+ * @type {Record<string, (image: Object, context: {fillColor: string|null}) => Object>}
+ */
+const steps = {
+  outline: (image, { fillColor }) => removeOutline(image, fillColor),
+  crop: cropImage,
+  upscale: (image) => upscaleImage(image),
+  grayscale: grayscaleImage,
+  binarize: binarizeImage,
+  invert: invertImage,
+  denoise: denoiseImage,
+};
+
+/**
+ * Resolve the preprocessing steps from a preset or a list of steps
+ *
+ * @param {string|string[]} [preprocess="none"] - Preset name ("none",
+ *   "basic", "standard" or "strong"), steps separated by commas, or an
+ *   array of steps
+ * @returns {string[]} Step names, in order
+ * @throws {Error} If a preset or step is unknown
+ */
+function resolvePreprocessSteps(preprocess = "none") {
+  const names = Array.isArray(preprocess)
+    ? preprocess
+    : (preprocessPresets[preprocess] ?? preprocess.split(","));
+  for (const name of names) {
+    if (!Object.hasOwn(steps, name)) {
+      throw new Error(
+        `Unknown preprocessing preset or step '${name}'. Must be one of: ${[
+          ...Object.keys(preprocessPresets),
+          ...Object.keys(steps),
+        ].join(", ")}`,
+      );
+    }
+  }
+  return [...names];
+}
+
+/**
+ * Prepare a subtitle image for OCR
+ *
+ * Steps, applied in order:
+ * - outline: remove the outline of the glyphs, keeping their fill color
+ * - crop: crop to the content, with a margin
+ * - upscale: double the size, as OCR engines expect larger glyphs than
+ *   DVD subtitles have
+ * - grayscale: drop the colors
+ * - binarize: turn to black and white
+ * - invert: turn light text on a dark background to dark on light
+ * - denoise: remove small specks
+ *
+ * @param {{width: number, height: number, rgba: Buffer}} image - Rendered
+ *   subtitle image, with a margin of background
+ * @param {string[]} names - Steps to apply, see `resolvePreprocessSteps`
+ * @param {Object} [options] - Options
+ * @param {string|null} [options.fillColor] - Fill color of the glyphs as
+ *   "#rrggbb", needed to remove the outline
+ * @param {(name: string, image: Object) => void} [options.onStep] - Called
+ *   with the image after each step
+ * @returns {{width: number, height: number, rgba: Buffer}} Processed image
+ */
+function preprocessImage(image, names, { fillColor = null, onStep } = {}) {
+  return names.reduce((current, name) => {
+    const next = steps[name](current, { fillColor });
+    onStep?.(name, next);
+    return next;
+  }, image);
+}
+
+export { preprocessPresets, resolvePreprocessSteps, preprocessImage };
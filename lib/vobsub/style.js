@@ -0,0 +1,135 @@
+import { decodeSpuBitmap, getOpacity } from "./bitmap.js";
+
+/**
+ * Shear factors tried when measuring the slant of the glyphs, from
+ * leaning left to leaning right
+ * @type {number[]}
+ */
+const SHEARS = Array.from({ length: 26 }, (_, i) => -0.1 + i * 0.02);
+
+/**
+ * Slant above which text is considered italic, about 7 degrees
+ * @type {number}
+ */
+const ITALIC_SLANT = 0.12;
+
+/**
+ * Estimate the slant of the glyphs of a decoded bitmap
+ *
+ * The left edges of the glyphs are sheared by each candidate factor, and
+ * projected on the horizontal axis. Upright stems line up best, giving the
+ * sharpest projection, once the slant is undone.
+ *
+ * @param {{width: number, height: number, pixels: Uint8Array}} bitmap - Decoded bitmap
+ * @param {number[]} opacity - Opacity of the 4 pixel types
+ * @returns {number} Horizontal shift per line, positive when the glyphs
+ *   lean right, 0 without visible pixels
+ */
+function estimateSlant({ width, height, pixels }, opacity) {
+  const edges = [];
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const visible = opacity[pixels[y * width + x]] > 0;
+      const before = x > 0 && opacity[pixels[y * width + x - 1]] > 0;
+      if (visible && !before) edges.push(x, y);
+    }
+  }
+  if (edges.length === 0) return 0;
+
+  const center = height / 2;
+  const margin = Math.ceil(height * 0.2);
+  let best = { shear: 0, score: -1 };
+  for (const shear of SHEARS) {
+    const columns = new Uint32Array(width + margin * 2);
+    for (let i = 0; i < edges.length; i += 2) {
+      const x = Math.round(edges[i] + shear * (edges[i + 1] - center));
+      columns[Math.min(Math.max(x + margin, 0), columns.length - 1)]++;
+    }
+    const score = columns.reduce((sum, count) => sum + count * count, 0);
+    // Prefer upright text on a tie
+    if (
+      score > best.score ||
+      (score === best.score && Math.abs(shear) < Math.abs(best.shear))
+    ) {
+      best = { shear, score };
+    }
+  }
+  return Math.round(best.shear * 100) / 100;
+}
+
+/**
+ * Find the fill color of the glyphs of a decoded bitmap
+ *
+ * Outlines touch the transparent background while the fill is enclosed
+ * by them, so the fill is the most used pixel type among those that
+ * rarely touch the background.
+ *
+ * @param {{width: number, height: number, pixels: Uint8Array}} bitmap - Decoded bitmap
+ * @param {number[]} opacity - Opacity of the 4 pixel types
+ * @returns {number|null} Pixel type of the fill, null without visible pixels
+ */
+function findFillType({ width, height, pixels }, opacity) {
+  const counts = [0, 0, 0, 0];
+  const touching = [0, 0, 0, 0];
+  const isVisible = (x, y) =>
+    x >= 0 &&
+    y >= 0 &&
+    x < width &&
+    y < height &&
+    opacity[pixels[y * width + x]] > 0;
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const type = pixels[y * width + x];
+      if (opacity[type] === 0) continue;
+      counts[type]++;
+      if (
+        !isVisible(x - 1, y) ||
+        !isVisible(x + 1, y) ||
+        !isVisible(x, y - 1) ||
+        !isVisible(x, y + 1)
+      ) {
+        touching[type]++;
+      }
+    }
+  }
+
+  const total = counts.reduce((sum, count) => sum + count, 0);
+  if (total === 0) return null;
+  // Ignore the types of a few stray pixels
+  const types = [0, 1, 2, 3].filter((type) => counts[type] >= total * 0.05);
+  const ratio = (type) => touching[type] / counts[type];
+  const lowest = Math.min(...types.map(ratio));
+  return types
+    .filter((type) => ratio(type) <= lowest + 0.1)
+    .reduce((best, type) => (counts[type] > counts[best] ? type : best));
+}
+
+/**
+ * Detect the text style of an SPU packet from its rendered glyphs
+ *
+ * @param {Buffer} data - SPU packet, as returned by `readSpu`
+ * @param {Object} controls - Display controls, as returned by `parseSpuControl`
+ * @param {number[]} palette - IDX palette, 16 colors as 0xRRGGBB
+ * @param {Object} [options] - Options
+ * @param {number} [options.alpha=100] - Global opacity in percent, from the IDX
+ * @returns {{italic: boolean, slant: number, color: string}|null} Whether
+ *   the text is italic, the measured slant, and the fill color as
+ *   "#rrggbb", or null if nothing is visible
+ */
+function detectSpuStyle(data, controls, palette, { alpha = 100 } = {}) {
+  const bitmap = decodeSpuBitmap(data, controls);
+  if (!bitmap) return null;
+  const opacity = getOpacity(controls, alpha);
+  const fill = findFillType(bitmap, opacity);
+  if (fill === null) return null;
+
+  const slant = estimateSlant(bitmap, opacity);
+  const rgb = palette[controls.colors[fill]] ?? 0;
+  return {
+    italic: slant >= ITALIC_SLANT,
+    slant,
+    color: `#${rgb.toString(16).padStart(6, "0")}`,
+  };
+}
+
+export { detectSpuStyle, estimateSlant };
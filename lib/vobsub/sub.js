@@ -0,0 +1,202 @@
+/** MPEG-PS pack start code */
+const PACK_HEADER = 0xba;
+/** MPEG-PS private stream 1, which carries the subpictures */
+const PRIVATE_STREAM_1 = 0xbd;
+
+/** SPU control commands */
+const SPU_FORCED_START = 0x00;
+const SPU_START = 0x01;
+const SPU_STOP = 0x02;
+const SPU_SET_COLOR = 0x03;
+const SPU_SET_ALPHA = 0x04;
+const SPU_SET_AREA = 0x05;
+const SPU_SET_OFFSETS = 0x06;
+const SPU_CHANGE_COLCON = 0x07;
+const SPU_END = 0xff;
+
+/**
+ * Read the 33-bit presentation timestamp of a PES header, in milliseconds
+ *
+ * @param {Buffer} buffer - SUB file contents
+ * @param {number} offset - Offset of the 5 PTS bytes
+ * @returns {number} Timestamp in milliseconds
+ */
+function readPts(buffer, offset) {
+  const pts =
+    (buffer[offset] & 0x0e) * 2 ** 29 +
+    (buffer.readUInt16BE(offset + 1) >> 1) * 2 ** 15 +
+    (buffer.readUInt16BE(offset + 3) >> 1);
+  return Math.round(pts / 90);
+}
+
+/**
+ * Reassemble the SPU packet starting at a given SUB file position
+ *
+ * A subpicture unit is usually larger than one MPEG-PS pack, so it is split
+ * across several private stream 1 PES packets. Packets of the same substream
+ * are read from `filepos` onward and concatenated until the size announced
+ * in the first two bytes of the SPU is reached. Packets belonging to other
+ * substreams (other subtitle tracks) and padding are skipped.
+ *
+ * @param {Buffer} buffer - SUB file contents
+ * @param {number} filepos - Byte offset of the pack holding the start of the SPU
+ * @param {number} [streamId] - Substream id to read (0x20 + track index),
+ *   defaults to the substream of the first packet at `filepos`
+ * @returns {{streamId: number, pts: number|null, data: Buffer}} The SPU packet
+ * @throws {Error} If the data at `filepos` isn't a valid subpicture stream
+ */
+function readSpu(buffer, filepos, streamId = null) {
+  const chunks = [];
+  let pts = null;
+  let size = null;
+  let collected = 0;
+  let offset = filepos;
+
+  while (offset + 4 <= buffer.length && (size === null || collected < size)) {
+    if (buffer.readUIntBE(offset, 3) !== 0x000001) {
+      throw new Error(`Invalid MPEG-PS start code at offset ${offset}`);
+    }
+    const code = buffer[offset + 3];
+    if (code === PACK_HEADER) {
+      // MPEG-2 pack headers are 14 bytes plus stuffing, MPEG-1 ones are 12
+      offset +=
+        (buffer[offset + 4] & 0xc0) === 0x40
+          ? 14 + (buffer[offset + 13] & 0x07)
+          : 12;
+      continue;
+    }
+    const length = buffer.readUInt16BE(offset + 4);
+    const end = offset + 6 + length;
+    if (code === PRIVATE_STREAM_1) {
+      const headerLength = buffer[offset + 8];
+      const payload = offset + 9 + headerLength;
+      const id = buffer[payload];
+      if (streamId === null) streamId = id;
+      if (id === streamId) {
+        if (pts === null && buffer[offset + 7] & 0x80) {
+          pts = readPts(buffer, offset + 9);
+        }
+        const chunk = buffer.subarray(payload + 1, end);
+        if (size === null) size = chunk.readUInt16BE(0);
+        chunks.push(chunk);
+        collected += chunk.length;
+      }
+    }
+    offset = end;
+  }
+
+  if (size === null) {
+    throw new Error(`No subpicture found at offset ${filepos}`);
+  }
+  const data = Buffer.concat(chunks).subarray(0, size);
+  if (data.length < size) {
+    throw new Error(`Truncated subpicture at offset ${filepos}`);
+  }
+  return { streamId, pts, data };
+}
+
+/**
+ * Convert an SPU control sequence delay into milliseconds
+ *
+ * @param {number} delay - Delay in 1024/90000 second ticks
+ * @returns {number} Delay in milliseconds
+ */
+function spuDelayToMs(delay) {
+  return Math.floor((delay * 1024) / 90);
+}
+
+/**
+ * Parse the display control sequences of an SPU packet
+ *
+ * Each control sequence has a delay, relative to the SPU presentation time,
+ * and a list of commands. Start and stop display commands give the display
+ * window, the other commands describe how to render the bitmap.
+ *
+ * @param {Buffer} data - SPU packet, as returned by `readSpu`
+ * @returns {Object} The display controls: `start` and `stop` delays in ms
+ *   (`stop` is null without a stop display command), `forced`, the palette
+ *   indices `colors` and `alpha` values of the 4 pixel types, the display
+ *   `area` and the top/bottom field `offsets` of the RLE bitmap
+ * @throws {Error} If the control sequences are malformed
+ */
+function parseSpuControl(data) {
+  const controls = {
+    start: null,
+    stop: null,
+    forced: false,
+    colors: [0, 1, 2, 3],
+    alpha: [0, 15, 15, 15],
+    area: null,
+    offsets: null,
+  };
+  const size = data.readUInt16BE(0);
+  let sequence = data.readUInt16BE(2);
+
+  while (sequence + 4 <= size) {
+    const delay = spuDelayToMs(data.readUInt16BE(sequence));
+    const next = data.readUInt16BE(sequence + 2);
+    let i = sequence + 4;
+
+    commands: while (i < size) {
+      const command = data[i++];
+      switch (command) {
+        case SPU_FORCED_START:
+          controls.forced = true;
+          controls.start ??= delay;
+          break;
+        case SPU_START:
+          controls.start ??= delay;
+          break;
+        case SPU_STOP:
+          controls.stop ??= delay;
+          break;
+        case SPU_SET_COLOR:
+        case SPU_SET_ALPHA: {
+          // Nibbles are stored as emphasis 2, emphasis 1, pattern, background
+          const values = [
+            data[i + 1] & 0x0f,
+            data[i + 1] >> 4,
+            data[i] & 0x0f,
+            data[i] >> 4,
+          ];
+          controls[command === SPU_SET_COLOR ? "colors" : "alpha"] = values;
+          i += 2;
+          break;
+        }
+        case SPU_SET_AREA:
+          controls.area = {
+            x1: (data[i] << 4) | (data[i + 1] >> 4),
+            x2: ((data[i + 1] & 0x0f) << 8) | data[i + 2],
+            y1: (data[i + 3] << 4) | (data[i + 4] >> 4),
+            y2: ((data[i + 4] & 0x0f) << 8) | data[i + 5],
+          };
+          i += 6;
+          break;
+        case SPU_SET_OFFSETS:
+          controls.offsets = {
+            top: data.readUInt16BE(i),
+            bottom: data.readUInt16BE(i + 2),
+          };
+          i += 4;
+          break;
+        case SPU_CHANGE_COLCON:
+          // Skipped, the size includes its own two bytes
+          i += data.readUInt16BE(i);
+          break;
+        case SPU_END:
+          break commands;
+        default:
+          throw new Error(
+            `Unknown SPU control command 0x${command.toString(16)}`,
+          );
+      }
+    }
+
+    if (next <= sequence) break;
+    sequence = next;
+  }
+
+  return controls;
+}
+
+export { readPts, readSpu, parseSpuControl };
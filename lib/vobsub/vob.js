@@ -0,0 +1,297 @@
+import fs from "node:fs/promises";
+import path from "node:path";
+import { parseIdx } from "./idx.js";
+import { readPts } from "./sub.js";
+
+/** MPEG-PS start codes */
+const PACK_HEADER = 0xba;
+const PROGRAM_END = 0xb9;
+const PRIVATE_STREAM_1 = 0xbd;
+const SEQUENCE_HEADER = Buffer.from([0x00, 0x00, 0x01, 0xb3]);
+
+/** Subpicture substreams of private stream 1 */
+const FIRST_SUBPICTURE = 0x20;
+const LAST_SUBPICTURE = 0x3f;
+
+/**
+ * Bytes read at once from the file
+ * @private
+ */
+const READ_SIZE = 1024 * 1024;
+
+/**
+ * Palette used without an IFO file, a gray ramp keeping the 16 colors
+ * apart from each other
+ * @private
+ */
+const GRAY_PALETTE = Array.from({ length: 16 }, (_, i) => i * 0x111111);
+
+/**
+ * Convert a DVD palette color to RGB
+ *
+ * @param {number} y - Luma
+ * @param {number} cr - Red difference chroma
+ * @param {number} cb - Blue difference chroma
+ * @returns {number} Color as 0xRRGGBB
+ */
+function yCrCbToRgb(y, cr, cb) {
+  const clamp = (value) => Math.min(255, Math.max(0, Math.round(value)));
+  const r = clamp(y + 1.402 * (cr - 128));
+  const g = clamp(y - 0.344136 * (cb - 128) - 0.714136 * (cr - 128));
+  const b = clamp(y + 1.772 * (cb - 128));
+  return (r << 16) | (g << 8) | b;
+}
+
+/**
+ * Parse the subtitle information of a DVD title set IFO file
+ *
+ * The IFO gives the video standard and resolution, the language of each
+ * subpicture stream and, in the first program chain, the 16 color palette
+ * the subpictures are drawn with.
+ *
+ * @param {Buffer} buffer - Contents of a `VTS_xx_0.IFO` file
+ * @returns {{width: number, height: number, palette: number[], languages: Map<number, string>}}
+ *   Frame size, RGB palette and the language of each subpicture substream id
+ * @throws {Error} If the file isn't a title set IFO
+ */
+function parseIfo(buffer) {
+  if (buffer.toString("latin1", 0, 12) !== "DVDVIDEO-VTS") {
+    throw new Error("Not a DVD title set IFO file");
+  }
+  const video = buffer.readUInt16BE(0x200);
+  const pal = ((video >> 12) & 0x03) === 1;
+  const resolution = (video >> 3) & 0x07;
+  const width = [720, 704, 352, 352][resolution] ?? 720;
+  const height = (pal ? 576 : 480) / (resolution === 3 ? 2 : 1);
+
+  // Language of each logical subpicture stream
+  const count = Math.min(32, buffer.readUInt16BE(0x254));
+  const logical = Array.from({ length: count }, (_, i) => {
+    const offset = 0x256 + i * 6;
+    return (buffer[offset] & 0x03) === 1
+      ? buffer.toString("latin1", offset + 2, offset + 4).replace(/\0/g, "")
+      : "";
+  });
+
+  const palette = [];
+  const languages = new Map();
+  const pgcit = buffer.readUInt32BE(0xcc) * 2048;
+  if (pgcit > 0 && pgcit + 16 <= buffer.length) {
+    const pgc = pgcit + buffer.readUInt32BE(pgcit + 12);
+    for (let i = 0; i < 16 && pgc + 0xa4 + i * 4 + 4 <= buffer.length; i++) {
+      const offset = pgc + 0xa4 + i * 4;
+      palette.push(
+        yCrCbToRgb(buffer[offset + 1], buffer[offset + 2], buffer[offset + 3]),
+      );
+    }
+    // Each logical stream has a physical stream for every display mode
+    logical.forEach((language, i) => {
+      const offset = pgc + 0x1c + i * 4;
+      if (offset + 4 > buffer.length || !(buffer[offset] & 0x80)) return;
+      for (let mode = 0; mode < 4; mode++) {
+        const id = FIRST_SUBPICTURE + (buffer[offset + mode] & 0x1f);
+        if (!languages.has(id)) languages.set(id, language);
+      }
+    });
+  }
+  logical.forEach((language, i) => {
+    if (!languages.has(FIRST_SUBPICTURE + i)) {
+      languages.set(FIRST_SUBPICTURE + i, language);
+    }
+  });
+
+  return { width, height, palette, languages };
+}
+
+/**
+ * Find the IFO file describing a VOB file
+ *
+ * @param {string} file - Path to the VOB file
+ * @returns {Promise<string|null>} Path of the IFO file, null if none is found
+ */
+async function findIfoFile(file) {
+  const { dir, name } = path.parse(file);
+  // VTS_01_1.VOB is described by VTS_01_0.IFO
+  const bases = [name.replace(/^(VTS_\d+)_\d+$/i, "$1_0"), name];
+  for (const base of new Set(bases)) {
+    for (const extension of [".IFO", ".ifo"]) {
+      const candidate = path.join(dir, base + extension);
+      try {
+        await fs.access(candidate);
+        return candidate;
+      } catch {
+        // Try the next name
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Read the subtitle streams of a DVD VOB file
+ *
+ * The MPEG program stream is read in chunks, keeping the subpicture
+ * substreams of private stream 1 and reassembling their SPU packets like
+ * `readSpu` does for SUB files. Times are relative to the first timestamp
+ * of the file. The frame size, palette and languages come from the IFO
+ * file of the title set when one is found next to the VOB; otherwise the
+ * frame size is read from the MPEG video and a gray palette is used.
+ *
+ * @param {string} file - Path to the VOB file
+ * @param {Object} [options] - Options
+ * @param {AbortSignal} [options.signal] - Signal to abort reading
+ * @returns {Promise<Object>} Metadata in the form returned by `parseIdx`,
+ *   with one track per subpicture substream (indexed from 0x20 like IDX
+ *   tracks) whose entries hold their SPU packet in `data` and the position
+ *   of its first pack in `filepos`, and the
+ *   `ifoFile` used, null without one
+ * @throws {Error} If the file isn't a valid MPEG program stream
+ */
+async function readVob(file, { signal } = {}) {
+  const streams = new Map();
+  let firstPts = null;
+  let frameSize = null;
+
+  const handle = await fs.open(file);
+  try {
+    let buffer = Buffer.alloc(0);
+    // File position of the start of `buffer`, and of the last pack header
+    let base = 0;
+    let pack = 0;
+    for await (const chunk of handle.createReadStream({
+      highWaterMark: READ_SIZE,
+      signal,
+      autoClose: false,
+    })) {
+      buffer = buffer.length > 0 ? Buffer.concat([buffer, chunk]) : chunk;
+      let offset = 0;
+      while (offset + 6 <= buffer.length) {
+        if (buffer.readUIntBE(offset, 3) !== 0x000001) {
+          // Skip damaged data up to the next pack
+          const next = buffer.indexOf(
+            Buffer.from([0x00, 0x00, 0x01, PACK_HEADER]),
+            offset + 1,
+          );
+          if (next === -1) {
+            offset = Math.max(offset, buffer.length - 3);
+            break;
+          }
+          offset = next;
+          continue;
+        }
+        const code = buffer[offset + 3];
+        if (code === PROGRAM_END) {
+          offset += 4;
+          continue;
+        }
+        if (code === PACK_HEADER) {
+          if (offset + 14 > buffer.length) break;
+          pack = base + offset;
+          // MPEG-2 pack headers are 14 bytes plus stuffing, MPEG-1 ones are 12
+          offset +=
+            (buffer[offset + 4] & 0xc0) === 0x40
+              ? 14 + (buffer[offset + 13] & 0x07)
+              : 12;
+          continue;
+        }
+        const end = offset + 6 + buffer.readUInt16BE(offset + 4);
+        if (end > buffer.length) break;
+
+        // Audio, video and private stream 1 packets have an MPEG-2 PES
+        // header, with an optional timestamp
+        const pes =
+          (code === PRIVATE_STREAM_1 || code >= 0xc0) &&
+          offset + 9 <= end &&
+          (buffer[offset + 6] & 0xc0) === 0x80;
+        const pts =
+          pes && buffer[offset + 7] & 0x80 ? readPts(buffer, offset + 9) : null;
+        if (pts !== null) firstPts ??= pts;
+
+        const payload = pes ? offset + 9 + buffer[offset + 8] : end;
+        if ((code & 0xf0) === 0xe0 && !frameSize) {
+          const sequence = buffer
+            .subarray(payload, end)
+            .indexOf(SEQUENCE_HEADER);
+          if (sequence !== -1 && payload + sequence + 7 <= end) {
+            const header = payload + sequence;
+            frameSize = {
+              width: (buffer[header + 4] << 4) | (buffer[header + 5] >> 4),
+              height: ((buffer[header + 5] & 0x0f) << 8) | buffer[header + 6],
+            };
+          }
+        }
+        const id = buffer[payload];
+        if (
+          code === PRIVATE_STREAM_1 &&
+          payload < end &&
+          id >= FIRST_SUBPICTURE &&
+          id <= LAST_SUBPICTURE
+        ) {
+          if (!streams.has(id)) {
+            streams.set(id, { pending: null, lastPts: null, entries: [] });
+          }
+          const stream = streams.get(id);
+          const chunk = buffer.subarray(payload + 1, end);
+          if (!stream.pending && chunk.length >= 2) {
+            stream.pending = {
+              filepos: pack,
+              pts: pts ?? stream.lastPts ?? firstPts ?? 0,
+              size: chunk.readUInt16BE(0),
+              chunks: [],
+              collected: 0,
+            };
+          }
+          const { pending } = stream;
+          if (pending) {
+            pending.chunks.push(Buffer.from(chunk));
+            pending.collected += chunk.length;
+            if (pending.collected >= pending.size) {
+              stream.entries.push({
+                pts: pending.pts,
+                filepos: pending.filepos,
+                data: Buffer.concat(pending.chunks).subarray(0, pending.size),
+              });
+              stream.lastPts = pending.pts;
+              stream.pending = null;
+            }
+          }
+        }
+        offset = end;
+      }
+      base += offset;
+      buffer = buffer.subarray(offset);
+    }
+  } finally {
+    await handle.close();
+  }
+
+  const ifoFile = await findIfoFile(file);
+  let ifo = null;
+  if (ifoFile) {
+    ifo = parseIfo(await fs.readFile(ifoFile, { signal }));
+  }
+
+  const metadata = parseIdx("");
+  const { width, height } = ifo ?? frameSize ?? metadata;
+  Object.assign(metadata, {
+    width,
+    height,
+    palette: ifo?.palette.length === 16 ? ifo.palette : GRAY_PALETTE,
+    ifoFile,
+  });
+  metadata.tracks = [...streams.keys()]
+    .sort((a, b) => a - b)
+    .map((id) => ({
+      language: ifo?.languages.get(id) ?? "",
+      index: id - FIRST_SUBPICTURE,
+      delay: 0,
+      entries: streams.get(id).entries.map(({ pts, filepos, data }) => ({
+        timestamp: pts - firstPts,
+        filepos,
+        data,
+      })),
+    }));
+  return metadata;
+}
+
+export { parseIfo, readVob };
@@ -0,0 +1,134 @@
+import { SubtitleWriter, splitTime, getMainColor } from "./SubtitleWriter.js";
+
+/**
+ * AssWriter - Advanced SubStation Alpha (.ass) output for editing tools
+ *
+ * Only ASS v4.00+ scripts are written; the older SSA v4 format isn't, so
+ * `.ssa` paths are refused rather than given ASS content.
+ *
+ * @class AssWriter
+ * @extends SubtitleWriter
+ */
+class AssWriter extends SubtitleWriter {
+  get name() {
+    return "ass";
+  }
+
+  get extensions() {
+    return [".ass"];
+  }
+
+  /**
+   * Escape the text of an entry for a dialogue event
+   *
+   * Braces would open and close override blocks, and backslashes start
+   * tags, so each is escaped with a backslash, as ffmpeg does. Line breaks
+   * become `\N` hard breaks.
+   *
+   * @private
+   * @param {string} text - Recognized text
+   * @returns {string} Dialogue text
+   */
+  formatText(text) {
+    return text.replace(/[\\{}]/g, "\\$&").replace(/\r?\n/g, "\\N");
+  }
+
+  /**
+   * Format timestamp for ASS format (H:MM:SS.cc)
+   *
+   * @private
+   * @param {number} ms - Time in milliseconds
+   * @returns {string} Formatted timestamp string "H:MM:SS.cc"
+   */
+  formatTimestamp(ms) {
+    const { hours, minutes, seconds, milliseconds } = splitTime(
+      Math.round(ms / 10) * 10,
+    );
+    return `${parseInt(hours)}:${minutes}:${seconds}.${milliseconds.slice(0, 2)}`;
+  }
+
+  /**
+   * Build the override tags placing a subtitle where its bitmap was
+   *
+   * The default style is bottom-center aligned, so `\pos` anchors the
+   * bottom-center of the text to the bottom-center of the bitmap.
+   *
+   * @private
+   * @param {Object} entry - Processed subtitle entry
+   * @returns {string} Override block, or an empty string without a position
+   */
+  formatPosition({ position }) {
+    if (!position) return "";
+    const x = Math.round(position.x + position.width / 2);
+    const y = Math.round(position.y + position.height);
+    return `{\\pos(${x},${y})}`;
+  }
+
+  /**
+   * Build the override tags for the style of a subtitle: `\i1` when
+   * italic, and `\c` when not in the main text color
+   *
+   * @private
+   * @param {Object} entry - Processed subtitle entry
+   * @param {string|null} mainColor - Color that doesn't need a tag
+   * @returns {string} Override block, or an empty string
+   */
+  formatStyle({ italic, color }, mainColor) {
+    const tags = [];
+    if (italic) tags.push("\\i1");
+    if (color && color !== mainColor) {
+      // ASS colors are in blue, green, red order
+      const [, r, g, b] = color.toUpperCase().match(/^#(..)(..)(..)$/);
+      tags.push(`\\c&H${b}${g}${r}&`);
+    }
+    return tags.length > 0 ? `{${tags.join("")}}` : "";
+  }
+
+  /**
+   * Creates an ASS script with a script info header sized to the video,
+   * a default style and one dialogue event per entry, positioned where
+   * the subtitle was shown, in italics and speaker colors as detected. When
+   * marking forced entries, they use a separate "Forced" style.
+   *
+   * @param {Array} entries - Processed subtitle entries
+   * @param {Object} [context] - Information about the source
+   * @param {number} [context.width=720] - Video width
+   * @param {number} [context.height=480] - Video height
+   * @param {string} [context.language] - Language code of the track
+   * @param {boolean} [context.markForced] - Whether to tag forced entries
+   * @returns {string} File contents
+   */
+  format(
+    entries,
+    { width = 720, height = 480, language, markForced = false } = {},
+  ) {
+    const fontSize = Math.round(height / 16);
+    const mainColor = getMainColor(entries);
+    const style = `Arial,${fontSize},&H00FFFFFF,&H000000FF,&H00000000,&H00000000,0,0,0,0,100,100,0,0,1,2,0,2,20,20,20,1`;
+    const lines = [
+      "[Script Info]",
+      "ScriptType: v4.00+",
+      ...(language ? [`Language: ${language}`] : []),
+      `PlayResX: ${width}`,
+      `PlayResY: ${height}`,
+      "WrapStyle: 0",
+      "ScaledBorderAndShadow: yes",
+      "",
+      "[V4+ Styles]",
+      "Format: Name, Fontname, Fontsize, PrimaryColour, SecondaryColour, OutlineColour, BackColour, Bold, Italic, Underline, StrikeOut, ScaleX, ScaleY, Spacing, Angle, BorderStyle, Outline, Shadow, Alignment, MarginL, MarginR, MarginV, Encoding",
+      `Style: Default,${style}`,
+      ...(markForced ? [`Style: Forced,${style}`] : []),
+      "",
+      "[Events]",
+      "Format: Layer, Start, End, Style, Name, MarginL, MarginR, MarginV, Effect, Text",
+      ...entries.map(
+        (entry) =>
+          `Dialogue: 0,${this.formatTimestamp(entry.startTime)},${this.formatTimestamp(entry.endTime)},${markForced && entry.forced ? "Forced" : "Default"},,0,0,0,,${this.formatPosition(entry)}${this.formatStyle(entry, mainColor)}${this.formatText(entry.text)}`,
+      ),
+      "",
+    ];
+    return lines.join("\n");
+  }
+}
+
+export { AssWriter };
@@ -0,0 +1,51 @@
+import { SubtitleWriter } from "./SubtitleWriter.js";
+
+/**
+ * JsonWriter - Structured JSON output for processing pipelines
+ *
+ * Unlike the text formats, every entry keeps its OCR confidence, with the
+ * confidence of each recognized line, the position of the source bitmap,
+ * its forced flag and its detected style, next to its timings and text.
+ *
+ * @class JsonWriter
+ * @extends SubtitleWriter
+ */
+class JsonWriter extends SubtitleWriter {
+  get name() {
+    return "json";
+  }
+
+  /**
+   * Creates a JSON document with the source information and the entries
+   *
+   * @param {Array} entries - Processed subtitle entries
+   * @param {Object} [context] - Information about the source
+   * @param {number} [context.width] - Video width
+   * @param {number} [context.height] - Video height
+   * @param {string} [context.language] - Language code of the track
+   * @returns {string} File contents
+   */
+  format(entries, { width, height, language } = {}) {
+    const document = {
+      language: language ?? null,
+      width: width ?? null,
+      height: height ?? null,
+      entries: entries.map((entry) => ({
+        index: entry.index,
+        startTime: entry.startTime,
+        endTime: entry.endTime,
+        text: entry.text,
+        confidence: entry.confidence ?? null,
+        lines: entry.lines ?? [],
+        forced: entry.forced ?? false,
+        italic: entry.italic ?? false,
+        color: entry.color ?? null,
+        readingIssues: entry.readingIssues ?? [],
+        position: entry.position ?? null,
+      })),
+    };
+    return JSON.stringify(document, null, 2) + "\n";
+  }
+}
+
+export { JsonWriter };
@@ -0,0 +1,94 @@
+import {
+  SubtitleWriter,
+  splitTime,
+  getVerticalPlacement,
+  getMainColor,
+} from "./SubtitleWriter.js";
+
+/**
+ * SubStation alignment tags understood by most SRT players, by placement
+ * @type {Record<string, string>}
+ */
+const ALIGNMENT_TAGS = {
+  top: "{\\an8}",
+  middle: "{\\an5}",
+  bottom: "",
+};
+
+/**
+ * SrtWriter - SubRip (.srt) output
+ *
+ * @class SrtWriter
+ * @extends SubtitleWriter
+ */
+class SrtWriter extends SubtitleWriter {
+  get name() {
+    return "srt";
+  }
+
+  /**
+   * Format timestamp for SRT format (HH:MM:SS,mmm)
+   *
+   * Convert milliseconds to the standard SRT timestamp format with comma
+   * separator for milliseconds (as required by SRT specification).
+   *
+   * @private
+   * @param {number} ms - Time in milliseconds
+   * @returns {string} Formatted timestamp string "HH:MM:SS,mmm"
+   */
+  formatTimestamp(ms) {
+    const { hours, minutes, seconds, milliseconds } = splitTime(ms);
+    return `${hours}:${minutes}:${seconds},${milliseconds}`;
+  }
+
+  /**
+   * Wrap the text of an entry in `<i>` and `<font>` style tags
+   *
+   * @private
+   * @param {Object} entry - Processed subtitle entry
+   * @param {string|null} mainColor - Color that doesn't need a tag
+   * @returns {string} Styled text
+   */
+  formatText({ text, italic, color }, mainColor) {
+    let styled = italic ? `<i>${text}</i>` : text;
+    if (color && color !== mainColor) {
+      styled = `<font color="${color}">${styled}</font>`;
+    }
+    return styled;
+  }
+
+  /**
+   * Creates a properly formatted SRT subtitle file with:
+   * - Sequential numbering for each subtitle, starting at 1
+   * - Proper timestamp formatting (HH:MM:SS,mmm --> HH:MM:SS,mmm)
+   * - Text content with line wrapping, in `<i>` tags when italic and
+   *   `<font color>` tags when not in the main text color
+   * - An `{\an8}` (or `{\an5}`) tag for subtitles shown at the top (or the
+   *   middle) of the screen
+   * - Blank lines between entries as per SRT specification
+   *
+   * SRT has no way to tag forced entries, `convert()` writes them to a
+   * separate `.forced.srt` file instead.
+   *
+   * @param {Array} entries - Processed subtitle entries
+   * @param {Object} [context] - Information about the source
+   * @param {number} [context.height] - Video height
+   * @returns {string} File contents
+   */
+  format(entries, { height } = {}) {
+    const mainColor = getMainColor(entries);
+    return entries
+      .map((entry, i) => {
+        return [
+          i + 1,
+          `${this.formatTimestamp(entry.startTime)} --> ${this.formatTimestamp(entry.endTime)}`,
+          ALIGNMENT_TAGS[getVerticalPlacement(entry.position, height)] +
+            this.formatText(entry, mainColor),
+          "",
+        ].join("\n");
+      })
+      .join("\n");
+  }
+}
+
+export { SrtWriter };
@@ -0,0 +1,112 @@
+/**
+ * SubtitleWriter - Base class for subtitle output formats
+ *
+ * Writers turn the processed subtitle entries into the contents of a
+ * subtitle file. Entries hold `startTime` and `endTime` in milliseconds,
+ * the recognized `text`, and optionally the OCR `confidence`, the
+ * `position` of the bitmap on screen, whether it is `forced`, and its
+ * `italic` style and text `color` ("#rrggbb").
+ *
+ * @class SubtitleWriter
+ */
+class SubtitleWriter {
+  /**
+   * Short identifier of the format, e.g. "srt"
+   * @type {string}
+   */
+  get name() {
+    throw new Error("SubtitleWriter subclasses must define a name");
+  }
+
+  /**
+   * File extensions of the format, the first one being the preferred one
+   * @type {string[]}
+   */
+  get extensions() {
+    return [`.${this.name}`];
+  }
+
+  /**
+   * Format subtitle entries as the contents of a subtitle file
+   *
+   * @param {Array} entries - Processed subtitle entries
+   * @param {Object} [context] - Information about the source
+   * @param {number} [context.width] - Video width
+   * @param {number} [context.height] - Video height
+   * @param {string} [context.language] - Language code of the track
+   * @param {boolean} [context.markForced] - Whether to tag forced entries
+   * @returns {string} File contents
+   */
+  format() {
+    throw new Error(
+      `Subtitle writer '${this.name}' does not implement format()`,
+    );
+  }
+}
+
+/**
+ * Split milliseconds into hours, minutes, seconds and milliseconds
+ *
+ * @param {number} ms - Time in milliseconds
+ * @returns {{hours: string, minutes: string, seconds: string, milliseconds: string}}
+ *   Zero padded time components
+ */
+function splitTime(ms) {
+  const value = Math.max(0, Math.round(ms));
+  return {
+    hours: Math.floor(value / 3600000)
+      .toString()
+      .padStart(2, "0"),
+    minutes: Math.floor((value % 3600000) / 60000)
+      .toString()
+      .padStart(2, "0"),
+    seconds: Math.floor((value % 60000) / 1000)
+      .toString()
+      .padStart(2, "0"),
+    milliseconds: (value % 1000).toString().padStart(3, "0"),
+  };
+}
+
+/**
+ * Classify where a subtitle sits vertically on screen
+ *
+ * The frame is split in thirds, and the subtitle belongs to the third
+ * holding the center of its bounding box. Entries without a position are
+ * considered at the bottom, where players show subtitles by default.
+ *
+ * @param {{x: number, y: number, width: number, height: number}|null} position -
+ *   Bounding box of the subtitle bitmap
+ * @param {number} [height] - Video height
+ * @returns {"top"|"middle"|"bottom"} Vertical placement
+ */
+function getVerticalPlacement(position, height) {
+  if (!position || !height) return "bottom";
+  const center = position.y + position.height / 2;
+  if (center < height / 3) return "top";
+  if (center < (height * 2) / 3) return "middle";
+  return "bottom";
+}
+
+/**
+ * Find the text color used by most entries
+ *
+ * Subtitles are mostly shown in a single color, and other colors tell
+ * speakers apart. Only entries in another color than the main one need a
+ * color tag.
+ *
+ * @param {Array<{color?: string|null}>} entries - Processed subtitle entries
+ * @returns {string|null} Main color as "#rrggbb", null without colors
+ */
+function getMainColor(entries) {
+  const counts = new Map();
+  for (const { color } of entries) {
+    if (color) counts.set(color, (counts.get(color) ?? 0) + 1);
+  }
+  let main = null;
+  for (const [color, count] of counts) {
+    if (main === null || count > counts.get(main)) main = color;
+  }
+  return main;
+}
+
+export { SubtitleWriter, splitTime, getVerticalPlacement, getMainColor };
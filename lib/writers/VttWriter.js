@@ -0,0 +1,151 @@
+import {
+  SubtitleWriter,
+  splitTime,
+  getVerticalPlacement,
+  getMainColor,
+} from "./SubtitleWriter.js";
+
+/**
+ * Default color classes of WebVTT, by color
+ * @type {Record<string, number>}
+ */
+const COLOR_CLASSES = {
+  white: 0xffffff,
+  lime: 0x00ff00,
+  cyan: 0x00ffff,
+  red: 0xff0000,
+  yellow: 0xffff00,
+  magenta: 0xff00ff,
+  blue: 0x0000ff,
+  black: 0x000000,
+};
+
+/**
+ * Find the WebVTT color class closest to a color
+ *
+ * @param {string} color - Color as "#rrggbb"
+ * @returns {string} Name of the color class
+ */
+function getColorClass(color) {
+  const rgb = parseInt(color.slice(1), 16);
+  const distance = (other) =>
+    [16, 8, 0].reduce(
+      (sum, shift) =>
+        sum + (((rgb >> shift) & 0xff) - ((other >> shift) & 0xff)) ** 2,
+      0,
+    );
+  return Object.keys(COLOR_CLASSES).reduce((best, name) =>
+    distance(COLOR_CLASSES[name]) < distance(COLOR_CLASSES[best]) ? name : best,
+  );
+}
+
+/**
+ * VttWriter - WebVTT (.vtt) output for web players
+ *
+ * @class VttWriter
+ * @extends SubtitleWriter
+ */
+class VttWriter extends SubtitleWriter {
+  get name() {
+    return "vtt";
+  }
+
+  /**
+   * Format timestamp for WebVTT format (HH:MM:SS.mmm)
+   *
+   * @private
+   * @param {number} ms - Time in milliseconds
+   * @returns {string} Formatted timestamp string "HH:MM:SS.mmm"
+   */
+  formatTimestamp(ms) {
+    const { hours, minutes, seconds, milliseconds } = splitTime(ms);
+    return `${hours}:${minutes}:${seconds}.${milliseconds}`;
+  }
+
+  /**
+   * Escape the characters WebVTT reserves in cue text
+   *
+   * @private
+   * @param {string} text - Plain text
+   * @returns {string} Escaped cue text
+   */
+  escape(text) {
+    return text
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;");
+  }
+
+  /**
+   * Build the cue settings placing a subtitle where its bitmap was
+   *
+   * Subtitles at the bottom of the screen keep the player's default
+   * placement, others get a `line:` for their top edge and a `position:`
+   * for their horizontal center, as percentages of the video size.
+   *
+   * @private
+   * @param {Object} entry - Processed subtitle entry
+   * @param {number} [width] - Video width
+   * @param {number} [height] - Video height
+   * @returns {string} Cue settings, with a leading space, or an empty string
+   */
+  formatSettings({ position }, width, height) {
+    if (!width || getVerticalPlacement(position, height) === "bottom") {
+      return "";
+    }
+    const percent = (value, total) =>
+      `${Math.round((value / total) * 1000) / 10}%`;
+    const line = percent(position.y, height);
+    const center = percent(position.x + position.width / 2, width);
+    return ` line:${line} position:${center}`;
+  }
+
+  /**
+   * Escape the text of an entry and wrap it in style tags: `<i>` when
+   * italic, and the closest default color class, like `<c.yellow>`, when
+   * not in the main text color
+   *
+   * @private
+   * @param {Object} entry - Processed subtitle entry
+   * @param {string|null} mainColor - Color that doesn't need a tag
+   * @returns {string} Cue text
+   */
+  formatText({ text, italic, color }, mainColor) {
+    let styled = this.escape(text);
+    if (italic) styled = `<i>${styled}</i>`;
+    if (color && color !== mainColor) {
+      styled = `<c.${getColorClass(color)}>${styled}</c>`;
+    }
+    return styled;
+  }
+
+  /**
+   * Creates a WebVTT file with a `WEBVTT` header, and a numbered cue
+   * for each entry, with italics and speaker colors. When marking forced
+   * entries, their text is wrapped in a `<c.forced>` class span that
+   * players can style.
+   *
+   * @param {Array} entries - Processed subtitle entries
+   * @param {Object} [context] - Information about the source
+   * @param {number} [context.width] - Video width
+   * @param {number} [context.height] - Video height
+   * @param {boolean} [context.markForced] - Whether to tag forced entries
+   * @returns {string} File contents
+   */
+  format(entries, { width, height, markForced = false } = {}) {
+    const header = "WEBVTT\n";
+    const mainColor = getMainColor(entries);
+    const cues = entries.map((entry, i) => {
+      const text = this.formatText(entry, mainColor);
+      return [
+        i + 1,
+        `${this.formatTimestamp(entry.startTime)} --> ${this.formatTimestamp(entry.endTime)}${this.formatSettings(entry, width, height)}`,
+        markForced && entry.forced ? `<c.forced>${text}</c>` : text,
+        "",
+      ].join("\n");
+    });
+    return [header, ...cues].join("\n");
+  }
+}
+
+export { VttWriter };
@@ -0,0 +1,59 @@
+import path from "node:path";
+import { SubtitleWriter } from "./SubtitleWriter.js";
+import { SrtWriter } from "./SrtWriter.js";
+import { VttWriter } from "./VttWriter.js";
+import { AssWriter } from "./AssWriter.js";
+import { JsonWriter } from "./JsonWriter.js";
+
+/**
+ * Built-in subtitle writers by format name
+ * @type {Record<string, typeof SubtitleWriter>}
+ */
+const subtitleWriters = {
+  srt: SrtWriter,
+  vtt: VttWriter,
+  ass: AssWriter,
+  json: JsonWriter,
+};
+
+/**
+ * Resolve a subtitle writer from a format name or an existing instance
+ *
+ * @param {string|SubtitleWriter} [format="srt"] - Format name or writer instance
+ * @returns {SubtitleWriter} The subtitle writer
+ * @throws {Error} If the format name is unknown
+ */
+function createSubtitleWriter(format = "srt") {
+  if (typeof format !== "string") return format;
+  const Writer = subtitleWriters[format.toLowerCase()];
+  if (!Writer) {
+    throw new Error(
+      `Unknown output format '${format}'. Must be one of: ${Object.keys(subtitleWriters).join(", ")}`,
+    );
+  }
+  return new Writer();
+}
+
+/**
+ * Guess the output format from a file extension
+ *
+ * @param {string} filePath - Output file path
+ * @returns {string|undefined} Format name, undefined for unknown extensions
+ */
+function formatFromPath(filePath) {
+  const extension = path.extname(filePath).toLowerCase();
+  return Object.keys(subtitleWriters).find((format) =>
+    new subtitleWriters[format]().extensions.includes(extension),
+  );
+}
+
+export {
+  SubtitleWriter,
+  SrtWriter,
+  VttWriter,
+  AssWriter,
+  JsonWriter,
+  subtitleWriters,
+  createSubtitleWriter,
+  formatFromPath,
+};
@@ -0,0 +1,133 @@
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import path from "node:path";
+import { tmpdir } from "node:os";
+import { after, before, describe, it } from "node:test";
+import { fileURLToPath } from "node:url";
+import { OcrCache, OcrEngine, VobSubDecoder } from "../lib/index.js";
+
+const dirname = path.dirname(fileURLToPath(import.meta.url));
+
+/**
+ * OCR engine reading the entry index back from the frame file name,
+ * failing on the frames of the given entries
+ */
+class FakeOcrEngine extends OcrEngine {
+  constructor(failing) {
+    super();
+    this.failing = new Set(failing);
+  }
+
+  get name() {
+    return "fake";
+  }
+
+  async recognize(images) {
+    return images.map((image) => {
+      const index = Number(image.match(/(\d+)\.png$/)[1]) - 1;
+      return this.failing.has(index)
+        ? { text: "", confidence: 0 }
+        : { text: `Subtitle ${index}`, confidence: 0.9 };
+    });
+  }
+}
+
+describe("VobSubDecoder.processFrames", () => {
+  let tempDir;
+
+  before(async () => {
+    tempDir = await fs.mkdtemp(path.join(tmpdir(), "vobsub-test-"));
+  });
+
+  after(async () => {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  it("keeps entries on their own timestamps when a frame fails", async () => {
+    const failing = [10, 11];
+    const decoder = new VobSubDecoder({
+      idxFile: path.join(dirname, "input.idx"),
+      subFile: path.join(dirname, "input.sub"),
+      ocrEngine: new FakeOcrEngine(failing),
+      segmentLines: false,
+    });
+    await decoder.parse();
+    const { timeline } = decoder;
+    // Identical bitmaps are recognized once, from the first entry showing them
+    const firstIndex = new Map();
+    const recognizedAs = new Map();
+    for (const { index, image } of decoder.decodeFrames()) {
+      const key = image?.toString("base64");
+      if (!firstIndex.has(key)) firstIndex.set(key, index);
+      recognizedAs.set(index, firstIndex.get(key));
+    }
+
+    const entries = await decoder.processFrames({ tempDir });
+
+    assert.equal(entries.length, timeline.length - failing.length);
+    const byIndex = new Map(timeline.map((entry) => [entry.index, entry]));
+    for (const entry of entries) {
+      assert.equal(entry.text, `Subtitle ${recognizedAs.get(entry.index)}`);
+      assert.equal(entry.startTime, byIndex.get(entry.index).startTime);
+      assert.equal(entry.endTime, byIndex.get(entry.index).endTime);
+    }
+    assert.deepEqual(
+      decoder.unrecognized.map(({ index, reason }) => ({ index, reason })),
+      failing.map((index) => ({ index, reason: "no-text" })),
+    );
+  });
+
+  it("reuses cached results of a previous run", async () => {
+    const ocrCache = new OcrCache({ dir: path.join(tempDir, "cache") });
+    const engine = new FakeOcrEngine([]);
+    let recognized = 0;
+    const { recognize } = engine;
+    engine.recognize = async (images) => {
+      recognized += images.length;
+      return recognize.call(engine, images);
+    };
+    const convertOnce = async () => {
+      const decoder = new VobSubDecoder({
+        idxFile: path.join(dirname, "input.idx"),
+        subFile: path.join(dirname, "input.sub"),
+        ocrEngine: engine,
+        ocrCache,
+        segmentLines: false,
+      });
+      await decoder.parse();
+      return decoder.processFrames({ tempDir: path.join(tempDir, "run") });
+    };
+
+    const first = await convertOnce();
+    assert.ok(recognized > 0 && recognized < first.length);
+    const count = recognized;
+    assert.deepEqual(await convertOnce(), first);
+    assert.equal(recognized, count);
+  });
+
+  it("recognizes each line of a subtitle on its own", async () => {
+    const engine = new FakeOcrEngine([]);
+    engine.recognize = async (images) =>
+      images.map((image) => {
+        const line = Number(image.match(/\.line(\d+)\.png$/)?.[1] ?? 1);
+        return { text: `Line ${line}`, confidence: 1 - line / 10 };
+      });
+    const decoder = new VobSubDecoder({
+      idxFile: path.join(dirname, "input.idx"),
+      subFile: path.join(dirname, "input.sub"),
+      ocrEngine: engine,
+    });
+    await decoder.parse();
+
+    const [first] = await decoder.processFrames({
+      tempDir: path.join(tempDir, "lines"),
+    });
+
+    assert.equal(first.text, "Line 1\nLine 2");
+    assert.deepEqual(first.lines, [
+      { text: "Line 1", confidence: 0.9 },
+      { text: "Line 2", confidence: 0.8 },
+    ]);
+    assert.equal(first.confidence, 0.8);
+  });
+});
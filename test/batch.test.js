@@ -0,0 +1,174 @@
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import path from "node:path";
+import { tmpdir } from "node:os";
+import { after, before, describe, it } from "node:test";
+import { fileURLToPath } from "node:url";
+import {
+  convertDirectory,
+  formatIdx,
+  OcrEngine,
+  packSpu,
+  parseIdx,
+  readSpu,
+} from "../lib/index.js";
+
+const dirname = path.dirname(fileURLToPath(import.meta.url));
+
+/**
+ * OCR engine finding no text in the frames of the second track
+ */
+class FakeOcrEngine extends OcrEngine {
+  get name() {
+    return "fake";
+  }
+
+  async recognize(images) {
+    return images.map((image) =>
+      image.includes("track-1")
+        ? { text: "", confidence: 0 }
+        : { text: "Subtitle", confidence: 0.9 },
+    );
+  }
+}
+
+describe("convertDirectory", () => {
+  let tempDir;
+  let inputDir;
+
+  before(async () => {
+    tempDir = await fs.mkdtemp(path.join(tmpdir(), "vobsub-batch-"));
+    inputDir = path.join(tempDir, "input");
+    await fs.mkdir(inputDir);
+
+    // Two tracks showing the same bitmaps, with an upper case SUB extension
+    const idx = await fs.readFile(path.join(dirname, "input.idx"), "utf-8");
+    const sub = await fs.readFile(path.join(dirname, "input.sub"));
+    const metadata = parseIdx(idx);
+    const packs = [];
+    const tracks = [0, 1].map((index) => ({
+      language: ["en", "de"][index],
+      index,
+      entries: metadata.tracks[0].entries.slice(0, 3).map((entry) => {
+        const filepos = packs.reduce((sum, pack) => sum + pack.length, 0);
+        const { data } = readSpu(sub, entry.filepos);
+        packs.push(
+          packSpu(data, { pts: entry.timestamp, streamId: 0x20 + index }),
+        );
+        return { timestamp: entry.timestamp, filepos };
+      }),
+    }));
+    await fs.writeFile(
+      path.join(inputDir, "movie.idx"),
+      formatIdx({ ...metadata, langidx: 0 }, tracks),
+    );
+    await fs.writeFile(path.join(inputDir, "movie.SUB"), Buffer.concat(packs));
+  });
+
+  after(async () => {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  it("skips tracks without text once every track was converted", async () => {
+    const outputDir = path.join(tempDir, "output");
+    const options = {
+      inputDir,
+      outputDir,
+      allTracks: true,
+      ocrEngine: new FakeOcrEngine(),
+      cache: false,
+      segmentLines: false,
+    };
+
+    const first = await convertDirectory(options);
+    assert.deepEqual(first.failed, []);
+    assert.deepEqual(first.converted[0].outputs, [
+      path.join(outputDir, "movie.en.srt"),
+    ]);
+
+    const second = await convertDirectory(options);
+    assert.deepEqual(second.converted, []);
+    assert.deepEqual(second.skipped, [
+      { input: "movie.idx", outputs: [path.join(outputDir, "movie.en.srt")] },
+    ]);
+  });
+
+  it("resumes an interrupted batch from its report", async () => {
+    const resumeDir = path.join(tempDir, "resume");
+    const outputDir = path.join(tempDir, "resume-output");
+    await fs.mkdir(resumeDir);
+    for (const name of ["a", "b"]) {
+      await fs.copyFile(
+        path.join(inputDir, "movie.idx"),
+        path.join(resumeDir, `${name}.idx`),
+      );
+      await fs.copyFile(
+        path.join(inputDir, "movie.SUB"),
+        path.join(resumeDir, `${name}.sub`),
+      );
+    }
+    const controller = new AbortController();
+    const options = {
+      inputDir: resumeDir,
+      outputDir,
+      jobs: 1,
+      ocrEngine: new FakeOcrEngine(),
+      cache: false,
+      segmentLines: false,
+    };
+
+    await assert.rejects(
+      convertDirectory({
+        ...options,
+        signal: controller.signal,
+        onFile: () => controller.abort(),
+      }),
+      { name: "AbortError" },
+    );
+    const saved = JSON.parse(
+      await fs.readFile(path.join(outputDir, "vobsub-report.json"), "utf-8"),
+    );
+    assert.equal(saved.finishedAt, null);
+    assert.deepEqual(
+      saved.converted.map(({ input }) => input),
+      ["a.idx"],
+    );
+
+    const report = await convertDirectory(options);
+    assert.deepEqual(
+      report.skipped.map(({ input }) => input),
+      ["a.idx"],
+    );
+    assert.deepEqual(
+      report.converted.map(({ input }) => input),
+      ["b.idx"],
+    );
+    assert.ok(report.finishedAt);
+  });
+
+  it("converts the VobSub streams of videos", async () => {
+    const videoDir = path.join(tempDir, "videos");
+    const outputDir = path.join(tempDir, "video-output");
+    await fs.mkdir(videoDir);
+    await fs.copyFile(
+      path.join(dirname, "input.sub"),
+      path.join(videoDir, "clip.vob"),
+    );
+    await fs.writeFile(path.join(videoDir, "menu.vob"), "");
+
+    const report = await convertDirectory({
+      inputDir: videoDir,
+      outputDir,
+      ocrEngine: new FakeOcrEngine(),
+      cache: false,
+      segmentLines: false,
+    });
+
+    assert.deepEqual(report.failed, []);
+    assert.deepEqual(
+      report.converted.map(({ input, outputs }) => ({ input, outputs })),
+      [{ input: "clip.vob", outputs: [path.join(outputDir, "clip.srt")] }],
+    );
+    assert.deepEqual(report.skipped, [{ input: "menu.vob", outputs: [] }]);
+  });
+});
@@ -0,0 +1,98 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import {
+  CorrectionRules,
+  SpellFixer,
+  createCleanupProfile,
+} from "../lib/index.js";
+
+describe("createCleanupProfile", () => {
+  it("picks the profile from the track language", () => {
+    assert.equal(createCleanupProfile("auto", "fr").name, "fr");
+    assert.equal(createCleanupProfile("auto", "ru").name, "unicode");
+    assert.equal(createCleanupProfile("auto").name, "unicode");
+    assert.throws(() => createCleanupProfile("klingon"));
+  });
+
+  it("keeps diacritics and non-Latin scripts", () => {
+    const profile = createCleanupProfile("unicode");
+    assert.equal(profile.clean("Über  die Straße"), "Über die Straße");
+    assert.equal(profile.clean("Привет, мир!"), "Привет, мир!");
+    assert.equal(profile.clean("你好。"), "你好。");
+  });
+
+  it("applies language specific fixes", () => {
+    assert.equal(
+      createCleanupProfile("en").clean("l think l'm heIlo"),
+      "I think I'm hello",
+    );
+    assert.equal(
+      createCleanupProfile("fr").clean("<<Bonjour>>, ça va? Bien..."),
+      "« Bonjour », ça va ? Bien…",
+    );
+    assert.equal(createCleanupProfile("es").clean("iHola!"), "¡Hola!");
+  });
+
+  it("keeps the legacy ASCII behavior", () => {
+    assert.equal(createCleanupProfile("ascii").clean("Élan | ça"), "Elan I a");
+  });
+});
+
+describe("CorrectionRules", () => {
+  const corrections = new CorrectionRules({
+    rules: [
+      { find: "rn", replace: "m" },
+      { find: "Tbe", replace: "The", wholeWord: true },
+      { name: "digit O", find: "(?<=\\d)O", replace: "0", regex: true },
+    ],
+    languages: {
+      fr: [{ find: "ca", replace: "ça", wholeWord: true, ignoreCase: true }],
+    },
+  });
+
+  it("applies the rules in order and reports the ones that matched", () => {
+    assert.deepEqual(corrections.apply("Tbe modern 1O", "en"), {
+      text: "The modem 10",
+      changes: ["rn → m", "Tbe → The", "digit O"],
+    });
+    assert.deepEqual(corrections.apply("Tbere", "en").changes, []);
+  });
+
+  it("applies the rules of the track language after the common ones", () => {
+    assert.equal(corrections.apply("Ca va", "fr").text, "ça va");
+    assert.equal(corrections.apply("Ca va", "en").text, "Ca va");
+  });
+
+  it("rejects invalid rules", () => {
+    assert.throws(() => new CorrectionRules({ rules: [{ find: "a" }] }));
+    assert.throws(
+      () =>
+        new CorrectionRules({
+          rules: [{ find: "(", replace: "", regex: true }],
+        }),
+    );
+  });
+});
+
+describe("SpellFixer", () => {
+  const spellFixer = new SpellFixer(["modern", "good", "hello", "ok", "hold"]);
+
+  it("fixes confusable glyphs that turn a non-word into a word", () => {
+    assert.deepEqual(spellFixer.fix("A rnodern g0od he11o, 0K?"), {
+      text: "A modern good hello, OK?",
+      changes: [
+        { from: "rnodern", to: "modern" },
+        { from: "g0od", to: "good" },
+        { from: "he11o", to: "hello" },
+        { from: "0K", to: "OK" },
+      ],
+    });
+  });
+
+  it("leaves real words, numbers and unknown words alone", () => {
+    assert.deepEqual(spellFixer.fix("Good 1999 Zorg"), {
+      text: "Good 1999 Zorg",
+      changes: [],
+    });
+  });
+});
@@ -0,0 +1,55 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { compareSubtitles, parseSrt } from "../lib/index.js";
+
+const reference = parseSrt(`1
+00:00:01,000 --> 00:00:03,000
+Hello there.
+
+2
+00:00:04,000 --> 00:00:06,000
+<i>How are you?</i>
+
+3
+00:00:07,000 --> 00:00:08,000
+Fine.
+`);
+
+describe("parseSrt", () => {
+  it("reads the timings and text of cues", () => {
+    assert.deepEqual(reference[1], {
+      index: 1,
+      startTime: 4000,
+      endTime: 6000,
+      text: "<i>How are you?</i>",
+    });
+  });
+});
+
+describe("compareSubtitles", () => {
+  it("scores identical subtitles as perfect", () => {
+    const report = compareSubtitles(reference, reference);
+    assert.equal(report.cer, 0);
+    assert.equal(report.wer, 0);
+    assert.equal(report.matched, 3);
+  });
+
+  it("reports errors, drift and missing and extra cues", () => {
+    const generated = [
+      { startTime: 1100, endTime: 3000, text: "Hell0 there." },
+      { startTime: 4100, endTime: 6000, text: "How are\nyou?" },
+      { startTime: 9000, endTime: 10000, text: "Bye." },
+    ];
+    const report = compareSubtitles(generated, reference);
+    assert.equal(report.matched, 2);
+    assert.deepEqual(report.drift, { mean: 100, meanAbsolute: 100, max: 100 });
+    assert.deepEqual(report.missing, [reference[2]]);
+    assert.deepEqual(report.extra, [generated[2]]);
+    // One substitution, "Fine." deleted and "Bye." inserted
+    assert.equal(report.cer, (1 + 5 + 4) / (12 + 12 + 5));
+    assert.equal(report.wer, (1 + 1 + 1) / (2 + 3 + 1));
+    assert.deepEqual(report.differences, [
+      { startTime: 1000, actual: "Hell0 there.", expected: "Hello there." },
+    ]);
+  });
+});
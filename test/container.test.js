@@ -0,0 +1,233 @@
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import path from "node:path";
+import { tmpdir } from "node:os";
+import { deflateSync } from "node:zlib";
+import { after, before, describe, it } from "node:test";
+import { fileURLToPath } from "node:url";
+import {
+  parseIdx,
+  parseIfo,
+  readMkv,
+  readSpu,
+  readVob,
+  VobSubDecoder,
+} from "../lib/index.js";
+
+const dirname = path.dirname(fileURLToPath(import.meta.url));
+
+/**
+ * Encode an EBML element, its data being a buffer, a string, an unsigned
+ * integer or a list of child elements
+ */
+function element(id, data) {
+  let bytes = data;
+  if (Array.isArray(data)) bytes = Buffer.concat(data);
+  if (typeof data === "string") bytes = Buffer.from(data, "latin1");
+  if (typeof data === "number") {
+    bytes = Buffer.alloc(4);
+    bytes.writeUInt32BE(data);
+  }
+  const idBytes = Buffer.from(id.toString(16).padStart(2, "0"), "hex");
+  const size = Buffer.alloc(8);
+  size.writeUInt32BE(bytes.length, 4);
+  size[0] = 0x01;
+  return Buffer.concat([idBytes, size, bytes]);
+}
+
+/**
+ * Encode a SimpleBlock of a track at a time relative to its cluster
+ */
+function simpleBlock(track, time, data) {
+  const header = Buffer.from([0x80 | track, 0, 0, 0x80]);
+  header.writeInt16BE(time, 1);
+  return element(0xa3, [header, data]);
+}
+
+describe("container inputs", () => {
+  let tempDir;
+  let idx;
+  let sub;
+
+  before(async () => {
+    tempDir = await fs.mkdtemp(path.join(tmpdir(), "vobsub-container-"));
+    idx = await fs.readFile(path.join(dirname, "input.idx"), "utf-8");
+    sub = await fs.readFile(path.join(dirname, "input.sub"));
+  });
+
+  after(async () => {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  it("reads the subpicture streams of a program stream", async () => {
+    const { tracks } = parseIdx(idx);
+    const metadata = await readVob(path.join(dirname, "input.sub"));
+
+    assert.equal(metadata.ifoFile, null);
+    assert.deepEqual(
+      metadata.tracks.map(({ index }) => index),
+      tracks.map(({ index }) => index),
+    );
+    const expected = tracks[0].entries;
+    const { entries } = metadata.tracks[0];
+    assert.equal(entries.length, expected.length);
+    // Times are relative to the first timestamp of the stream
+    const offset = expected[0].timestamp - entries[0].timestamp;
+    entries.forEach((entry, i) => {
+      assert.equal(entry.timestamp + offset, expected[i].timestamp);
+      assert.equal(entry.filepos, expected[i].filepos);
+      assert.deepEqual(entry.data, readSpu(sub, entry.filepos).data);
+    });
+  });
+
+  it("reads compressed VobSub tracks of a Matroska file", async () => {
+    const { tracks } = parseIdx(idx);
+    const expected = tracks[0].entries.slice(0, 20);
+    const header = idx.slice(0, idx.indexOf("id:"));
+    const compression = element(0x6d80, [
+      element(0x6240, [element(0x5034, [element(0x4254, 0)])]),
+    ]);
+    const mkvFile = path.join(tempDir, "movie.mkv");
+    await fs.writeFile(
+      mkvFile,
+      Buffer.concat([
+        element(0x1a45dfa3, [element(0x4282, "matroska")]),
+        element(0x18538067, [
+          element(0x1549a966, [element(0x2ad7b1, 1000000)]),
+          element(0x1654ae6b, [
+            element(0xae, [
+              element(0xd7, 1),
+              element(0x83, 1),
+              element(0x86, "V_MPEG2"),
+            ]),
+            element(0xae, [
+              element(0xd7, 2),
+              element(0x83, 0x11),
+              element(0x86, "S_VOBSUB"),
+              element(0x22b59c, "fre"),
+              element(0x536e, "Commentary"),
+              element(0x63a2, header),
+              compression,
+            ]),
+          ]),
+          ...expected.map(({ timestamp, filepos }) =>
+            element(0x1f43b675, [
+              element(0xe7, timestamp - 100),
+              simpleBlock(1, 0, Buffer.alloc(5000)),
+              simpleBlock(2, 100, deflateSync(readSpu(sub, filepos).data)),
+            ]),
+          ),
+        ]),
+      ]),
+    );
+
+    const metadata = await readMkv(mkvFile);
+
+    assert.equal(metadata.palette.length, 16);
+    assert.deepEqual(
+      metadata.tracks.map(({ index, language, name }) => ({
+        index,
+        language,
+        name,
+      })),
+      [{ index: 0, language: "fr", name: "Commentary" }],
+    );
+    assert.deepEqual(
+      metadata.tracks[0].entries.map(({ timestamp, data }) => ({
+        timestamp,
+        data,
+      })),
+      expected.map(({ timestamp, filepos }) => ({
+        timestamp,
+        data: readSpu(sub, filepos).data,
+      })),
+    );
+  });
+
+  it("keeps the palette and frame size of each Matroska track", async () => {
+    const { palette, tracks } = parseIdx(idx);
+    const expected = tracks[0].entries.slice(0, 5);
+    const header = idx.slice(0, idx.indexOf("id:"));
+    const inverted = palette.map((color) => 0xffffff - color);
+    const otherHeader = header
+      .replace(/^size: .*$/m, "size: 1920x1080")
+      .replace(
+        /^palette: .*$/m,
+        `palette: ${inverted.map((color) => color.toString(16).padStart(6, "0")).join(", ")}`,
+      );
+    const vobsubTrack = (number, language, codecPrivate) =>
+      element(0xae, [
+        element(0xd7, number),
+        element(0x83, 0x11),
+        element(0x86, "S_VOBSUB"),
+        element(0x22b59c, language),
+        element(0x63a2, codecPrivate),
+      ]);
+    const mkvFile = path.join(tempDir, "tracks.mkv");
+    await fs.writeFile(
+      mkvFile,
+      Buffer.concat([
+        element(0x1a45dfa3, [element(0x4282, "matroska")]),
+        element(0x18538067, [
+          element(0x1549a966, [element(0x2ad7b1, 1000000)]),
+          element(0x1654ae6b, [
+            vobsubTrack(1, "eng", header),
+            vobsubTrack(2, "ger", otherHeader),
+          ]),
+          ...expected.map(({ timestamp, filepos }) =>
+            element(0x1f43b675, [
+              element(0xe7, timestamp),
+              simpleBlock(1, 0, readSpu(sub, filepos).data),
+              simpleBlock(2, 0, readSpu(sub, filepos).data),
+            ]),
+          ),
+        ]),
+      ]),
+    );
+
+    const metadata = await readMkv(mkvFile);
+
+    assert.deepEqual(metadata.palette, palette);
+    assert.deepEqual(metadata.tracks[0].settings.palette, palette);
+    assert.deepEqual(metadata.tracks[1].settings.palette, inverted);
+    assert.equal(metadata.tracks[1].settings.width, 1920);
+    const decoders = await Promise.all(
+      ["en", "de"].map((track) =>
+        new VobSubDecoder({ inputFile: mkvFile, track }).parse(),
+      ),
+    );
+    assert.deepEqual(decoders[1].trackMetadata.palette, inverted);
+    assert.equal(decoders[1].trackMetadata.height, 1080);
+    const [english, german] = decoders.map(
+      (decoder) => decoder.decodeFrames()[0],
+    );
+    assert.notDeepEqual(german.image, english.image);
+  });
+
+  it("reads the frame size, palette and languages of an IFO file", () => {
+    const ifo = Buffer.alloc(4096);
+    ifo.write("DVDVIDEO-VTS", 0, "latin1");
+    // PAL video, two subpicture streams in German and French
+    ifo.writeUInt16BE(0x1000, 0x200);
+    ifo.writeUInt16BE(2, 0x254);
+    ifo.write("\x01\x00de", 0x256, "latin1");
+    ifo.write("\x01\x00fr", 0x25c, "latin1");
+    // First program chain in the second sector
+    ifo.writeUInt32BE(1, 0xcc);
+    ifo.writeUInt32BE(0x10, 2048 + 12);
+    const pgc = 2048 + 0x10;
+    // The French stream is substream 0x22 in every display mode
+    ifo.writeUInt32BE(0x80000000, pgc + 0x1c);
+    ifo.writeUInt32BE(0x82020202, pgc + 0x20);
+    ifo.writeUInt32BE(0x00eb8080, pgc + 0xa4);
+    ifo.writeUInt32BE(0x00108080, pgc + 0xa8);
+
+    const { width, height, palette, languages } = parseIfo(ifo);
+
+    assert.deepEqual({ width, height }, { width: 720, height: 576 });
+    assert.deepEqual(palette.slice(0, 2), [0xebebeb, 0x101010]);
+    assert.equal(languages.get(0x20), "de");
+    assert.equal(languages.get(0x22), "fr");
+    assert.throws(() => parseIfo(Buffer.alloc(4096)), /IFO/);
+  });
+});
@@ -0,0 +1,160 @@
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import path from "node:path";
+import { tmpdir } from "node:os";
+import { after, before, describe, it } from "node:test";
+import { fileURLToPath } from "node:url";
+import {
+  convert,
+  encodeSpu,
+  formatIdx,
+  InputError,
+  OcrEngine,
+  OcrError,
+  packSpu,
+  parseIdx,
+  parseSpuControl,
+  readSpu,
+} from "../lib/index.js";
+
+const dirname = path.dirname(fileURLToPath(import.meta.url));
+
+/**
+ * OCR engine failing on the frames of the second track
+ */
+class FakeOcrEngine extends OcrEngine {
+  get name() {
+    return "fake";
+  }
+
+  async recognize(images) {
+    if (images.some((image) => image.includes("track-1"))) {
+      throw new Error("Missing language data");
+    }
+    return images.map(() => ({ text: "Subtitle", confidence: 0.9 }));
+  }
+}
+
+/**
+ * OCR engine recording the languages it is asked to read
+ */
+class LanguageOcrEngine extends OcrEngine {
+  languages = [];
+
+  get name() {
+    return "language";
+  }
+
+  forLanguage(language) {
+    this.languages.push(language);
+    return this;
+  }
+
+  async recognize(images) {
+    return images.map(() => ({ text: "Subtitle", confidence: 0.9 }));
+  }
+}
+
+describe("convert", () => {
+  let tempDir;
+  let idxFile;
+
+  before(async () => {
+    tempDir = await fs.mkdtemp(path.join(tmpdir(), "vobsub-convert-"));
+    // Two tracks showing the same bitmaps, the first one forced
+    const idx = await fs.readFile(path.join(dirname, "input.idx"), "utf-8");
+    const sub = await fs.readFile(path.join(dirname, "input.sub"));
+    const metadata = parseIdx(idx);
+    const packs = [];
+    const tracks = [0, 1].map((index) => ({
+      language: ["en", "de"][index],
+      index,
+      entries: metadata.tracks[0].entries.slice(0, 3).map((entry, i) => {
+        const filepos = packs.reduce((sum, pack) => sum + pack.length, 0);
+        const { data } = readSpu(sub, entry.filepos);
+        const controls = { ...parseSpuControl(data), forced: i === 0 };
+        const spu = encodeSpu(data, controls, { duration: 1500 });
+        packs.push(
+          packSpu(spu, { pts: entry.timestamp, streamId: 0x20 + index }),
+        );
+        return { timestamp: entry.timestamp, filepos };
+      }),
+    }));
+    idxFile = path.join(tempDir, "movie.idx");
+    await fs.writeFile(idxFile, formatIdx({ ...metadata, langidx: 0 }, tracks));
+    await fs.writeFile(path.join(tempDir, "movie.sub"), Buffer.concat(packs));
+  });
+
+  after(async () => {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  it("keeps converting the other tracks when one fails", async () => {
+    const results = await convert({
+      idxFile,
+      outputPath: path.join(tempDir, "out", "movie.srt"),
+      allTracks: true,
+      ocrEngine: new FakeOcrEngine(),
+      segmentLines: false,
+    });
+
+    assert.equal(results.length, 2);
+    assert.equal(results[0].entries.length, 3);
+    assert.equal(
+      results[0].outputPath,
+      path.join(tempDir, "out", "movie.en.srt"),
+    );
+    assert.ok(results[1].error instanceof OcrError);
+    assert.equal(results[1].outputPath, null);
+  });
+
+  it("fails when no track can be converted", async () => {
+    await assert.rejects(
+      convert({
+        idxFile,
+        track: 1,
+        ocrEngine: new FakeOcrEngine(),
+        segmentLines: false,
+      }),
+      OcrError,
+    );
+  });
+
+  it("refuses SSA output paths", async () => {
+    await assert.rejects(
+      convert({
+        idxFile,
+        outputPath: path.join(tempDir, "movie.ssa"),
+        ocrEngine: new FakeOcrEngine(),
+      }),
+      InputError,
+    );
+  });
+
+  it("writes the forced entries of an SRT output to their own file", async () => {
+    const outputPath = path.join(tempDir, "forced", "movie.srt");
+    const [result] = await convert({
+      idxFile,
+      outputPath,
+      markForced: true,
+      ocrEngine: new FakeOcrEngine(),
+      segmentLines: false,
+    });
+
+    const forcedPath = path.join(tempDir, "forced", "movie.forced.srt");
+    assert.equal(result.forcedOutputPath, forcedPath);
+    assert.equal(result.entries.filter((entry) => entry.forced).length, 1);
+    const srt = await fs.readFile(outputPath, "utf-8");
+    const forced = await fs.readFile(forcedPath, "utf-8");
+    assert.equal(srt.match(/^\d+$/gm).length, 3);
+    assert.equal(forced.match(/^\d+$/gm).length, 1);
+    assert.doesNotMatch(srt + forced, /\{\\forced\}/);
+  });
+
+  it("reads each track in its own language", async () => {
+    const ocrEngine = new LanguageOcrEngine();
+    await convert({ idxFile, allTracks: true, ocrEngine, segmentLines: false });
+
+    assert.deepEqual([...new Set(ocrEngine.languages)], ["en", "de"]);
+  });
+});
@@ -0,0 +1,142 @@
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import path from "node:path";
+import { tmpdir } from "node:os";
+import { after, before, describe, it } from "node:test";
+import { fileURLToPath } from "node:url";
+import {
+  encodeSpu,
+  extract,
+  InputError,
+  packSpu,
+  parseIdx,
+  parseSpuControl,
+  readSpu,
+  VobSubDecoder,
+} from "../lib/index.js";
+
+const dirname = path.dirname(fileURLToPath(import.meta.url));
+const idxFile = path.join(dirname, "input.idx");
+
+describe("extract", () => {
+  let tempDir;
+  let source;
+
+  before(async () => {
+    tempDir = await fs.mkdtemp(path.join(tmpdir(), "vobsub-extract-"));
+    source = await new VobSubDecoder({
+      idxFile,
+      subFile: path.join(dirname, "input.sub"),
+    }).parse();
+  });
+
+  after(async () => {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  it("rewrites an SPU packet with new display times", () => {
+    const { data, controls } = source.packets[0];
+    const spu = encodeSpu(data, controls, { duration: 1500 });
+    const packs = packSpu(spu, { pts: 3723004 });
+
+    assert.equal(packs.length % 2048, 0);
+    const read = readSpu(packs, 0, 0x20);
+    assert.equal(read.pts, 3723004);
+    assert.deepEqual(read.data, spu);
+    const rewritten = parseSpuControl(read.data);
+    assert.equal(rewritten.start, 0);
+    assert.ok(rewritten.stop >= 1500 && rewritten.stop < 1512);
+    assert.deepEqual(
+      { ...rewritten, start: null, stop: null },
+      { ...controls, start: null, stop: null },
+    );
+  });
+
+  it("writes a retimed IDX/SUB pair with the same bitmaps", async () => {
+    const outputPath = path.join(tempDir, "idx", "movie.idx");
+    const result = await extract({
+      idxFile,
+      outputPath,
+      timing: { offset: 1000 },
+    });
+    assert.deepEqual(result.files, [
+      outputPath,
+      path.join(tempDir, "idx", "movie.sub"),
+    ]);
+
+    const metadata = parseIdx(await fs.readFile(outputPath, "utf-8"));
+    assert.equal(metadata.tracks.length, 1);
+    assert.equal(metadata.tracks[0].language, "en");
+    assert.deepEqual(metadata.palette, source.metadata.palette);
+
+    const retimed = await new VobSubDecoder({
+      idxFile: outputPath,
+      subFile: result.files[1],
+    }).parse();
+    assert.equal(retimed.timeline.length, source.timeline.length);
+    source.timeline.forEach((entry, i) => {
+      const copy = retimed.timeline[i];
+      assert.equal(copy.startTime, entry.startTime + 1000);
+      assert.ok(
+        Math.abs(
+          copy.endTime - copy.startTime - (entry.endTime - entry.startTime),
+        ) < 12,
+      );
+      assert.deepEqual(copy.position, entry.position);
+    });
+    const [before] = source.decodeFrames();
+    const [copy] = retimed.decodeFrames();
+    assert.deepEqual(copy.image, before.image);
+  });
+
+  it("writes PNG images with a BDN XML manifest", async () => {
+    const outputPath = path.join(tempDir, "bdn", "movie.xml");
+    const { entries, files } = await extract({
+      idxFile,
+      outputPath,
+      forcedOnly: false,
+    });
+
+    assert.equal(entries.length, source.timeline.length);
+    assert.equal(files.length, entries.length + 1);
+    assert.equal(entries[0].image, path.join(tempDir, "bdn", "movie_0001.png"));
+    const png = await fs.readFile(entries[0].image);
+    assert.equal(png.readUInt32BE(16), entries[0].position.width);
+    assert.equal(png.readUInt32BE(20), entries[0].position.height);
+
+    const xml = await fs.readFile(outputPath, "utf-8");
+    assert.match(xml, /<Language Code="eng"\/>/);
+    assert.match(xml, /FrameRate="29.97"/);
+    assert.match(xml, /NumberofEvents="457"/);
+    const { x, y, width, height } = entries[0].position;
+    assert.ok(
+      xml.includes(
+        `<Graphic Width="${width}" Height="${height}" X="${x}" Y="${y}">movie_0001.png</Graphic>`,
+      ),
+    );
+  });
+
+  it("writes a JSON manifest", async () => {
+    const outputPath = path.join(tempDir, "json", "movie.json");
+    await extract({ idxFile, outputPath });
+
+    const manifest = JSON.parse(await fs.readFile(outputPath, "utf-8"));
+    assert.equal(manifest.language, "en");
+    assert.equal(manifest.entries.length, source.timeline.length);
+    assert.deepEqual(manifest.entries[0], {
+      index: 0,
+      startTime: source.timeline[0].startTime,
+      endTime: source.timeline[0].endTime,
+      forced: false,
+      position: source.timeline[0].position,
+      image: "movie_0001.png",
+    });
+  });
+
+  it("rejects output paths without a known format", async () => {
+    await assert.rejects(
+      extract({ idxFile, outputPath: path.join(tempDir, "movie.srt") }),
+      InputError,
+    );
+  });
+});
@@ -0,0 +1,82 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { cropRows, findTextLines } from "../lib/index.js";
+
+/**
+ * Build a decoded bitmap from rows of pixel types
+ */
+function bitmap(rows) {
+  return {
+    width: rows[0].length,
+    height: rows.length,
+    pixels: Uint8Array.from(rows.flat()),
+  };
+}
+
+describe("findTextLines", () => {
+  const opacity = [0, 1, 1, 1];
+
+  it("splits rows at empty rows", () => {
+    const lines = findTextLines(
+      bitmap([
+        [0, 1, 1, 0],
+        [0, 2, 1, 0],
+        [0, 0, 0, 0],
+        [1, 1, 0, 0],
+        [0, 1, 3, 0],
+        [0, 0, 0, 0],
+      ]),
+      opacity,
+    );
+    assert.deepEqual(lines, [
+      { top: 0, bottom: 1 },
+      { top: 3, bottom: 4 },
+    ]);
+  });
+
+  it("merges accents into the closest line", () => {
+    const lines = findTextLines(
+      bitmap([
+        [0, 1, 0, 0],
+        [0, 0, 0, 0],
+        [1, 1, 1, 0],
+        [1, 0, 1, 0],
+        [1, 1, 1, 0],
+        [0, 0, 0, 0],
+        [0, 0, 0, 0],
+        [0, 1, 1, 0],
+        [0, 1, 1, 0],
+        [0, 1, 1, 0],
+      ]),
+      opacity,
+    );
+    assert.deepEqual(lines, [
+      { top: 0, bottom: 4 },
+      { top: 7, bottom: 9 },
+    ]);
+  });
+
+  it("ignores transparent pixels", () => {
+    assert.deepEqual(findTextLines(bitmap([[0, 1]]), [0, 0, 1, 1]), []);
+  });
+});
+
+describe("cropRows", () => {
+  it("pads a band of rows with the background", () => {
+    const rgba = Buffer.from([
+      ...[9, 9, 9, 255, 9, 9, 9, 255],
+      ...[1, 2, 3, 255, 4, 5, 6, 255],
+      ...[7, 8, 9, 255, 9, 9, 9, 255],
+    ]);
+    const band = cropRows({ width: 2, height: 3, rgba }, 1, 1, 1);
+    assert.equal(band.height, 3);
+    assert.deepEqual(
+      [...band.rgba],
+      [
+        ...[9, 9, 9, 255, 9, 9, 9, 255],
+        ...[1, 2, 3, 255, 4, 5, 6, 255],
+        ...[9, 9, 9, 255, 9, 9, 9, 255],
+      ],
+    );
+  });
+});
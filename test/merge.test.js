@@ -0,0 +1,117 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { mergeDuplicates, splitDialogue } from "../lib/index.js";
+
+describe("mergeDuplicates", () => {
+  it("merges redrawn lines, keeping the most confident text", () => {
+    const merged = mergeDuplicates([
+      {
+        index: 0,
+        startTime: 0,
+        endTime: 1000,
+        text: "Hell0 there",
+        confidence: 0.6,
+      },
+      {
+        index: 1,
+        startTime: 1040,
+        endTime: 2000,
+        text: "Hello there!",
+        confidence: 0.9,
+      },
+      {
+        index: 2,
+        startTime: 2040,
+        endTime: 3000,
+        text: "Goodbye",
+        confidence: 0.9,
+      },
+    ]);
+    assert.deepEqual(merged, [
+      {
+        index: 0,
+        startTime: 0,
+        endTime: 2000,
+        text: "Hello there!",
+        confidence: 0.9,
+      },
+      {
+        index: 2,
+        startTime: 2040,
+        endTime: 3000,
+        text: "Goodbye",
+        confidence: 0.9,
+      },
+    ]);
+  });
+
+  it("keeps repeated lines shown apart", () => {
+    const entries = [
+      { index: 0, startTime: 0, endTime: 1000, text: "No" },
+      { index: 1, startTime: 2000, endTime: 3000, text: "No" },
+    ];
+    assert.deepEqual(mergeDuplicates(entries), entries);
+  });
+
+  it("keeps lines with other numbers", () => {
+    const entries = [
+      { index: 0, startTime: 0, endTime: 1000, text: "Chapter 11" },
+      { index: 1, startTime: 1000, endTime: 2000, text: "Chapter 12" },
+    ];
+    assert.deepEqual(mergeDuplicates(entries), entries);
+  });
+
+  it("keeps entries forced when any of their draws is", () => {
+    const merged = mergeDuplicates([
+      { index: 0, startTime: 0, endTime: 1000, text: "Hi", confidence: 0.9 },
+      {
+        index: 1,
+        startTime: 1000,
+        endTime: 2000,
+        text: "Hi",
+        confidence: 0.5,
+        forced: true,
+      },
+    ]);
+    assert.equal(merged.length, 1);
+    assert.equal(merged[0].forced, true);
+  });
+});
+
+describe("splitDialogue", () => {
+  it("splits speakers over their own lines", () => {
+    const position = { x: 100, y: 400, width: 300, height: 90 };
+    const entries = splitDialogue([
+      { index: 0, text: "Where is he?\n- Gone.\nLong gone.", position },
+    ]);
+    assert.deepEqual(
+      entries.map(({ text, position }) => [text, position.y, position.height]),
+      [
+        ["Where is he?", 400, 30],
+        ["Gone.\nLong gone.", 430, 60],
+      ],
+    );
+  });
+
+  it("leaves lines without dashes alone", () => {
+    const entries = [{ index: 0, text: "-Hello\nworld", position: null }];
+    assert.deepEqual(splitDialogue(entries), entries);
+  });
+
+  it("splits dashed speakers without spaces when the first is dashed", () => {
+    const entries = splitDialogue([
+      { index: 0, text: "-Who?\n-Me.", position: null },
+    ]);
+    assert.deepEqual(
+      entries.map(({ text }) => text),
+      ["Who?", "Me."],
+    );
+  });
+
+  it("keeps lines starting with a negative number", () => {
+    const entries = [
+      { index: 0, text: "The high is\n-10 degrees", position: null },
+    ];
+    assert.deepEqual(splitDialogue(entries), entries);
+  });
+});
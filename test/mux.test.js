@@ -0,0 +1,125 @@
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import path from "node:path";
+import { tmpdir } from "node:os";
+import { after, before, describe, it } from "node:test";
+import { InputError, MuxError, muxSubtitles } from "../lib/index.js";
+
+/**
+ * Stand-in for ffmpeg: describes a video with one subtitle stream, and
+ * records the arguments of the mux command
+ */
+const FAKE_FFMPEG = `#!/usr/bin/env node
+const fs = require("node:fs");
+const args = process.argv.slice(2);
+if (!args.includes("-map")) {
+  process.stderr.write("Input #0, matroska,webm, from 'movie.mkv':\\n");
+  process.stderr.write("  Stream #0:0: Video: h264\\n");
+  process.stderr.write("  Stream #0:1(fre): Subtitle: subrip (default)\\n");
+  process.stderr.write("At least one output file must be specified\\n");
+  process.exit(1);
+}
+if (args.at(-1).endsWith("fail")) {
+  process.stderr.write("Invalid data found when processing input\\n");
+  process.exit(1);
+}
+fs.writeFileSync(args.at(-1), JSON.stringify(args));
+`;
+
+describe("muxSubtitles", { skip: process.platform === "win32" }, () => {
+  let tempDir;
+  let ffmpegPath;
+  let videoFile;
+
+  before(async () => {
+    tempDir = await fs.mkdtemp(path.join(tmpdir(), "vobsub-mux-"));
+    ffmpegPath = path.join(tempDir, "ffmpeg");
+    await fs.writeFile(ffmpegPath, FAKE_FFMPEG, { mode: 0o755 });
+    videoFile = path.join(tempDir, "movie.mkv");
+    await fs.writeFile(videoFile, "");
+  });
+
+  after(async () => {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  it("adds tracks after the existing subtitles without re-encoding", async () => {
+    const outputPath = await muxSubtitles({
+      videoFile,
+      subtitles: [
+        { file: "movie.en.srt", language: "en", default: true },
+        { file: "movie.fr.srt", language: "fr", forced: true },
+        { file: "movie.sk.srt", language: "sk" },
+      ],
+      ffmpegPath,
+    });
+
+    assert.equal(outputPath, path.join(tempDir, "movie.muxed.mkv"));
+    const args = JSON.parse(await fs.readFile(outputPath, "utf-8"));
+    assert.deepEqual(args.slice(args.indexOf("-map")), [
+      ...["-map", "0", "-map", "1:0", "-map", "2:0", "-map", "3:0"],
+      ...["-c", "copy"],
+      ...["-disposition:s:0", "-default"],
+      ...["-metadata:s:s:1", "language=eng", "-disposition:s:1", "default"],
+      ...["-metadata:s:s:2", "language=fre", "-disposition:s:2", "forced"],
+      ...["-metadata:s:s:3", "language=slo", "-disposition:s:3", "0"],
+      outputPath,
+    ]);
+  });
+
+  it("converts the subtitles to the text format of MP4 files", async () => {
+    const outputPath = path.join(tempDir, "movie.mp4");
+    await muxSubtitles({
+      videoFile,
+      subtitles: [{ file: "movie.srt", language: "" }],
+      outputPath,
+      ffmpegPath,
+    });
+
+    const args = JSON.parse(await fs.readFile(outputPath, "utf-8"));
+    assert.deepEqual(args.slice(args.indexOf("-c:s:1")), [
+      ...["-c:s:1", "mov_text", "-metadata:s:s:1", "language=und"],
+      ...["-disposition:s:1", "0", outputPath],
+    ]);
+  });
+
+  it("rejects subtitles that aren't a text format", async () => {
+    await assert.rejects(
+      muxSubtitles({
+        videoFile,
+        subtitles: [{ file: "movie.json", language: "en" }],
+        ffmpegPath,
+      }),
+      InputError,
+    );
+    await assert.rejects(
+      muxSubtitles({
+        videoFile,
+        subtitles: [{ file: "movie.srt", language: "en" }],
+        outputPath: videoFile,
+        ffmpegPath,
+      }),
+      InputError,
+    );
+  });
+
+  it("reports ffmpeg failures", async () => {
+    await assert.rejects(
+      muxSubtitles({
+        videoFile,
+        subtitles: [{ file: "fail.srt", language: "en" }],
+        outputPath: path.join(tempDir, "fail"),
+        ffmpegPath,
+      }),
+      { name: "MuxError", message: /Invalid data found/ },
+    );
+    await assert.rejects(
+      muxSubtitles({
+        videoFile,
+        subtitles: [{ file: "movie.srt", language: "en" }],
+        ffmpegPath: path.join(tempDir, "missing"),
+      }),
+      MuxError,
+    );
+  });
+});
@@ -0,0 +1,35 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { TesseractEngine, tesseractLanguage } from "../lib/index.js";
+
+describe("TesseractEngine", () => {
+  it("reads each track in its own language", () => {
+    const engine = new TesseractEngine();
+
+    assert.equal(engine.forLanguage("fr").cacheKey, "tesseract:fra");
+    assert.equal(engine.forLanguage("de").cacheKey, "tesseract:deu");
+    assert.equal(engine.forLanguage("zh").cacheKey, "tesseract:chi_sim");
+    assert.equal(engine.forLanguage("").cacheKey, "tesseract:eng");
+    assert.equal(engine.forLanguage("xx"), engine);
+  });
+
+  it("keeps the language it was given", () => {
+    const engine = new TesseractEngine({ language: "eng+fra" });
+
+    assert.equal(engine.forLanguage("de"), engine);
+    assert.equal(engine.cacheKey, "tesseract:eng+fra");
+  });
+
+  it("inverts subtitle images by default", () => {
+    assert.equal(new TesseractEngine().preprocess, "basic");
+  });
+});
+
+describe("tesseractLanguage", () => {
+  it("uses the terminology codes of Tesseract language data", () => {
+    assert.equal(tesseractLanguage("en"), "eng");
+    assert.equal(tesseractLanguage("FR"), "fra");
+    assert.equal(tesseractLanguage("nb"), "nor");
+    assert.equal(tesseractLanguage("constructor"), null);
+  });
+});
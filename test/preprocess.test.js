@@ -0,0 +1,69 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { preprocessImage, resolvePreprocessSteps } from "../lib/index.js";
+
+/**
+ * Build an RGBA image from rows of gray levels
+ */
+function image(rows) {
+  const rgba = Buffer.from(
+    rows.flat().flatMap((level) => [level, level, level, 0xff]),
+  );
+  return { width: rows[0].length, height: rows.length, rgba };
+}
+
+/**
+ * Read the gray levels of an RGBA image back as rows
+ */
+function levels({ width, height, rgba }) {
+  return Array.from({ length: height }, (_, y) =>
+    Array.from({ length: width }, (_, x) => rgba[(y * width + x) * 4]),
+  );
+}
+
+describe("resolvePreprocessSteps", () => {
+  it("resolves presets and lists of steps", () => {
+    assert.deepEqual(resolvePreprocessSteps(), []);
+    assert.deepEqual(resolvePreprocessSteps("basic"), ["crop", "invert"]);
+    assert.deepEqual(resolvePreprocessSteps("upscale,invert"), [
+      "upscale",
+      "invert",
+    ]);
+    assert.throws(() => resolvePreprocessSteps("sharpen"), /Unknown/);
+  });
+});
+
+describe("preprocessImage", () => {
+  const text = image([
+    [0, 0, 0, 0, 0, 0],
+    [0, 200, 90, 0, 0, 0],
+    [0, 200, 200, 0, 0, 150],
+    [0, 0, 0, 0, 0, 0],
+  ]);
+
+  it("removes specks, binarizes and inverts", () => {
+    // The dark anti-aliasing pixel is closer to the background
+    const result = preprocessImage(text, ["denoise", "binarize", "invert"]);
+    assert.deepEqual(levels(result), [
+      [255, 255, 255, 255, 255, 255],
+      [255, 0, 255, 255, 255, 255],
+      [255, 0, 0, 255, 255, 255],
+      [255, 255, 255, 255, 255, 255],
+    ]);
+  });
+
+  it("removes the outline around the fill color", () => {
+    const result = preprocessImage(text, ["outline"], { fillColor: "#c8c8c8" });
+    assert.deepEqual(levels(result)[1], [0, 200, 0, 0, 0, 0]);
+  });
+
+  it("crops with a margin and reports each step", () => {
+    const names = [];
+    const result = preprocessImage(text, ["crop", "upscale"], {
+      onStep: (name) => names.push(name),
+    });
+    assert.deepEqual(names, ["crop", "upscale"]);
+    assert.equal(result.width, (5 + 16) * 2);
+    assert.equal(result.height, (2 + 16) * 2);
+  });
+});
@@ -0,0 +1,81 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { checkReadingSpeed, wrapText } from "../lib/index.js";
+
+describe("wrapText", () => {
+  it("keeps text that already fits", () => {
+    assert.equal(wrapText("Hello\nworld"), "Hello\nworld");
+    assert.equal(
+      wrapText("Hello\nworld", { maxLineLength: 20, maxLines: 2 }),
+      "Hello\nworld",
+    );
+  });
+
+  it("wraps long lines without cutting words", () => {
+    assert.equal(
+      wrapText("one two three four five", { maxLineLength: 10 }),
+      "one two\nthree four\nfive",
+    );
+  });
+
+  it("widens lines rather than dropping text", () => {
+    const text = "one two three four five";
+    const wrapped = wrapText(text, { maxLineLength: 10, maxLines: 2 });
+    assert.equal(wrapped.split("\n").length, 2);
+    assert.equal(wrapped.replace("\n", " "), text);
+  });
+
+  it("keeps the line breaks found by OCR", () => {
+    assert.equal(
+      wrapText("one two three four\nfive", { maxLineLength: 10 }),
+      "one two\nthree four\nfive",
+    );
+  });
+
+  it("keeps speaker turns on their own lines", () => {
+    assert.equal(
+      wrapText("- Where did he go?\n- Out.", { maxLineLength: 12 }),
+      "- Where did\nhe go?\n- Out.",
+    );
+    assert.equal(
+      wrapText("- Where did he go?\n- Out.", {
+        maxLineLength: 12,
+        maxLines: 2,
+      }),
+      "- Where did he go?\n- Out.",
+    );
+  });
+});
+
+describe("checkReadingSpeed", () => {
+  const entry = { index: 1, startTime: 0, endTime: 1000 };
+
+  it("flags entries that are too fast or too short", () => {
+    const { entries, flagged } = checkReadingSpeed(
+      [
+        { ...entry, text: "Fine" },
+        { ...entry, text: "Far too many characters" },
+      ],
+      { maxCps: 10, minDuration: 1000 },
+    );
+    assert.equal(entries.length, 2);
+    assert.deepEqual(flagged, [
+      { ...entry, text: "Far too many characters", readingIssues: ["cps"] },
+    ]);
+  });
+
+  it("splits dense entries at their line breaks", () => {
+    const { entries, flagged } = checkReadingSpeed(
+      [{ ...entry, text: "First line\nSecond" }],
+      { maxCps: 10, action: "split" },
+    );
+    assert.deepEqual(
+      entries.map(({ text, startTime, endTime }) => [text, startTime, endTime]),
+      [
+        ["First line", 0, 625],
+        ["Second", 625, 1000],
+      ],
+    );
+    assert.equal(flagged.length, 2);
+  });
+});
@@ -0,0 +1,64 @@
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import path from "node:path";
+import { describe, it } from "node:test";
+import { fileURLToPath } from "node:url";
+import {
+  decodeSpuBitmap,
+  detectSpuStyle,
+  estimateSlant,
+  parseIdx,
+  parseSpuControl,
+  readSpu,
+} from "../lib/index.js";
+
+const dirname = path.dirname(fileURLToPath(import.meta.url));
+
+/**
+ * Read the SPU packet of an entry of the test IDX file
+ */
+async function readEntry(i) {
+  const idx = parseIdx(
+    await fs.readFile(path.join(dirname, "input.idx"), "utf-8"),
+  );
+  const sub = await fs.readFile(path.join(dirname, "input.sub"));
+  const { data } = readSpu(sub, idx.tracks[0].entries[i].filepos);
+  return { data, controls: parseSpuControl(data), palette: idx.palette };
+}
+
+/**
+ * Slant a decoded bitmap to the right, like italics
+ */
+function shear({ width, height, pixels }, factor) {
+  const sheared = width + Math.ceil(height * factor);
+  const out = new Uint8Array(sheared * height);
+  for (let y = 0; y < height; y++) {
+    const shift = Math.round((height - 1 - y) * factor);
+    out.set(pixels.subarray(y * width, (y + 1) * width), y * sheared + shift);
+  }
+  return { width: sheared, height, pixels: out };
+}
+
+describe("detectSpuStyle", () => {
+  it("finds upright text and its fill color", async () => {
+    const { data, controls, palette } = await readEntry(0);
+    assert.deepEqual(detectSpuStyle(data, controls, palette), {
+      italic: false,
+      slant: 0,
+      color: "#fdfdfd",
+    });
+  });
+
+  it("finds italic text", async () => {
+    const { data, controls, palette } = await readEntry(5);
+    assert.equal(detectSpuStyle(data, controls, palette).italic, true);
+  });
+
+  it("measures the slant of sheared glyphs", async () => {
+    const { data, controls } = await readEntry(0);
+    const bitmap = decodeSpuBitmap(data, controls);
+    const opacity = controls.alpha.map((value) => value / 15);
+    assert.equal(estimateSlant(bitmap, opacity), 0);
+    assert.ok(estimateSlant(shear(bitmap, 0.2), opacity) >= 0.16);
+  });
+});
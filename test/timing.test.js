@@ -0,0 +1,57 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { retime } from "../lib/index.js";
+
+/**
+ * Keep the timings of entries
+ */
+function times(entries) {
+  return entries.map(({ startTime, endTime }) => [startTime, endTime]);
+}
+
+describe("retime", () => {
+  it("converts the frame rate before adding the offset", () => {
+    const entries = [{ startTime: 24000, endTime: 48000 }];
+    assert.deepEqual(
+      times(retime(entries, { fpsFrom: 25, fpsTo: 24, offset: -1000 })),
+      [[24000, 49000]],
+    );
+  });
+
+  it("drops entries moved before the start", () => {
+    const entries = [
+      { startTime: 0, endTime: 400 },
+      { startTime: 300, endTime: 900 },
+    ];
+    assert.deepEqual(times(retime(entries, { offset: -500 })), [[0, 400]]);
+  });
+
+  it("lengthens short entries and fixes overlaps", () => {
+    const entries = [
+      { startTime: 1000, endTime: 1000 },
+      { startTime: 1500, endTime: 3000 },
+      { startTime: 2500, endTime: 4000 },
+    ];
+    assert.deepEqual(
+      times(retime(entries, { minDuration: 1000, fixOverlaps: true })),
+      [
+        [1000, 1500],
+        [1500, 2500],
+        [2500, 4000],
+      ],
+    );
+  });
+
+  it("shows zero-length entries until the next one when fixing overlaps", () => {
+    const entries = [
+      { startTime: 1000, endTime: 1000 },
+      { startTime: 1400, endTime: 1400 },
+      { startTime: 5000, endTime: 6000 },
+    ];
+    assert.deepEqual(times(retime(entries, { fixOverlaps: true })), [
+      [1000, 1400],
+      [1400, 2400],
+      [5000, 6000],
+    ]);
+  });
+});
@@ -0,0 +1,137 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { createSubtitleWriter, formatFromPath } from "../lib/index.js";
+
+/**
+ * Entries at the bottom, at the top in an italic speaker color, and
+ * without a position, with characters the formats reserve
+ */
+const entries = [
+  {
+    index: 0,
+    startTime: 3723004,
+    endTime: 3725500,
+    text: "Hello {there}\nC:\\dir",
+    color: "#ffffff",
+    confidence: 0.91,
+    position: { x: 200, y: 400, width: 320, height: 40 },
+  },
+  {
+    index: 1,
+    startTime: 5000,
+    endTime: 6000,
+    text: "Top line",
+    italic: true,
+    color: "#ffff00",
+    position: { x: 100, y: 20, width: 200, height: 40 },
+  },
+  {
+    index: 2,
+    startTime: 7000,
+    endTime: 8000,
+    text: "A & B <c>",
+    color: "#ffffff",
+    position: null,
+  },
+];
+
+const context = { width: 720, height: 480, language: "en" };
+
+describe("SrtWriter", () => {
+  it("writes timestamps, alignment tags, italics and colors", () => {
+    assert.equal(
+      createSubtitleWriter("srt").format(entries, context),
+      [
+        "1",
+        "01:02:03,004 --> 01:02:05,500",
+        "Hello {there}",
+        "C:\\dir",
+        "",
+        "2",
+        "00:00:05,000 --> 00:00:06,000",
+        '{\\an8}<font color="#ffff00"><i>Top line</i></font>',
+        "",
+        "3",
+        "00:00:07,000 --> 00:00:08,000",
+        "A & B <c>",
+        "",
+      ].join("\n"),
+    );
+  });
+});
+
+describe("VttWriter", () => {
+  it("writes cue settings, style classes and escaped text", () => {
+    assert.equal(
+      createSubtitleWriter("vtt").format(entries, context),
+      [
+        "WEBVTT",
+        "",
+        "1",
+        "01:02:03.004 --> 01:02:05.500",
+        "Hello {there}",
+        "C:\\dir",
+        "",
+        "2",
+        "00:00:05.000 --> 00:00:06.000 line:4.2% position:27.8%",
+        "<c.yellow><i>Top line</i></c>",
+        "",
+        "3",
+        "00:00:07.000 --> 00:00:08.000",
+        "A &amp; B &lt;c&gt;",
+        "",
+      ].join("\n"),
+    );
+  });
+});
+
+describe("AssWriter", () => {
+  it("writes positioned dialogue events with escaped text", () => {
+    const ass = createSubtitleWriter("ass").format(entries, context);
+
+    assert.match(ass, /^\[Script Info\]\nScriptType: v4\.00\+\nLanguage: en\n/);
+    assert.match(ass, /\nPlayResX: 720\nPlayResY: 480\n/);
+    assert.deepEqual(
+      ass.split("\n").filter((line) => line.startsWith("Dialogue:")),
+      [
+        "Dialogue: 0,1:02:03.00,1:02:05.50,Default,,0,0,0,,{\\pos(360,440)}Hello \\{there\\}\\NC:\\\\dir",
+        "Dialogue: 0,0:00:05.00,0:00:06.00,Default,,0,0,0,,{\\pos(200,60)}{\\i1\\c&H00FFFF&}Top line",
+        "Dialogue: 0,0:00:07.00,0:00:08.00,Default,,0,0,0,,A & B <c>",
+      ],
+    );
+  });
+
+  it("isn't picked for SSA paths", () => {
+    assert.equal(formatFromPath("movie.ass"), "ass");
+    assert.equal(formatFromPath("movie.ssa"), undefined);
+  });
+});
+
+describe("JsonWriter", () => {
+  it("keeps the source information and every entry field", () => {
+    const json = JSON.parse(
+      createSubtitleWriter("json").format(entries, context),
+    );
+
+    assert.deepEqual(
+      { ...json, entries: json.entries.length },
+      { language: "en", width: 720, height: 480, entries: 3 },
+    );
+    assert.deepEqual(json.entries[0], {
+      index: 0,
+      startTime: 3723004,
+      endTime: 3725500,
+      text: "Hello {there}\nC:\\dir",
+      confidence: 0.91,
+      lines: [],
+      forced: false,
+      italic: false,
+      color: "#ffffff",
+      readingIssues: [],
+      position: { x: 200, y: 400, width: 320, height: 40 },
+    });
+    assert.equal(json.entries[1].italic, true);
+    assert.equal(json.entries[1].confidence, null);
+    assert.equal(json.entries[2].position, null);
+  });
+});